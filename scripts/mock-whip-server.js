@@ -0,0 +1,163 @@
+// Mock WHIP/WHEP server for local development: `npm run mock:whip`, then
+// point VITE_WHIP_URL/VITE_WHEP_URL at http://localhost:8889/whip/{streamId}
+// and http://localhost:8889/whep/{streamId}.
+//
+// It speaks the HTTP side of both protocols but has no media stack: the
+// answer is the offer with its direction flipped and fresh ICE credentials,
+// so the browser accepts it but ICE never connects.
+import { createServer } from 'node:http';
+import { randomBytes, randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8889;
+
+// resource id -> { kind, streamId, layer }
+const sessions = new Map();
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'Location, Link'
+};
+
+const flippedDirections = {
+  'a=sendonly': 'a=recvonly',
+  'a=recvonly': 'a=sendonly',
+  'a=setup:actpass': 'a=setup:passive'
+};
+
+const answerFor = (offer) => {
+  const ufrag = randomBytes(4).toString('hex');
+  const pwd = randomBytes(12).toString('hex');
+
+  return offer
+    .split(/\r?\n/)
+    .filter(line => line && !/^a=(candidate|end-of-candidates|ice-options|ssrc|ssrc-group|msid)/.test(line))
+    .map(line => {
+      if (line.startsWith('a=ice-ufrag:')) {
+        return `a=ice-ufrag:${ufrag}`;
+      }
+      if (line.startsWith('a=ice-pwd:')) {
+        return `a=ice-pwd:${pwd}`;
+      }
+      // Simulcast layers offered for sending are accepted for receiving
+      if (line.startsWith('a=rid:')) {
+        return line.replace(' send', ' recv');
+      }
+      if (line.startsWith('a=simulcast:send ')) {
+        return line.replace('a=simulcast:send ', 'a=simulcast:recv ');
+      }
+      return flippedDirections[line] || line;
+    })
+    .join('\r\n') + '\r\n';
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+const send = (response, status, body = '', headers = {}) => {
+  response.writeHead(status, { ...corsHeaders, ...headers });
+  response.end(body);
+};
+
+const handleRequest = async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+  console.log(`${request.method} ${pathname}`);
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const offerRoute = pathname.match(/^\/(whip|whep)\/([^/]+)$/);
+  if (offerRoute && request.method === 'POST') {
+    if (!(request.headers['content-type'] || '').startsWith('application/sdp')) {
+      send(response, 415, 'Expected application/sdp');
+      return;
+    }
+
+    let offer;
+    try {
+      offer = await readBody(request);
+    } catch (error) {
+      console.error('  could not read the offer:', error.message);
+      send(response, 400, 'Could not read the request body');
+      return;
+    }
+    if (!offer.startsWith('v=0')) {
+      send(response, 400, 'Body is not an SDP offer');
+      return;
+    }
+
+    const id = randomUUID();
+    sessions.set(id, { kind: offerRoute[1], streamId: decodeURIComponent(offerRoute[2]), layer: null });
+    console.log(`  ${offerRoute[1]} session ${id} for stream ${offerRoute[2]}`);
+    send(response, 201, answerFor(offer), {
+      'Content-Type': 'application/sdp',
+      Location: `/sessions/${id}`,
+      // WHEP viewers may pick their simulcast layer
+      ...(offerRoute[1] === 'whep'
+        ? { Link: `</sessions/${id}/layer>; rel="urn:ietf:params:whep:ext:core:layer"` }
+        : {})
+    });
+    return;
+  }
+
+  const layerRoute = pathname.match(/^\/sessions\/([^/]+)\/layer$/);
+  if (layerRoute && request.method === 'POST') {
+    const session = sessions.get(layerRoute[1]);
+    if (!session || session.kind !== 'whep') {
+      send(response, 404, 'Not found');
+      return;
+    }
+
+    let encodingId;
+    try {
+      ({ encodingId } = JSON.parse(await readBody(request)));
+    } catch {
+      send(response, 400, 'Body is not JSON');
+      return;
+    }
+    if (typeof encodingId !== 'string') {
+      send(response, 400, 'Expected an encodingId');
+      return;
+    }
+
+    session.layer = encodingId;
+    console.log(`  session ${layerRoute[1]} switched to layer ${encodingId}`);
+    send(response, 200);
+    return;
+  }
+
+  const sessionRoute = pathname.match(/^\/sessions\/([^/]+)$/);
+  if (sessionRoute && request.method === 'DELETE') {
+    send(response, sessions.delete(sessionRoute[1]) ? 200 : 404);
+    return;
+  }
+
+  send(response, 404, 'Not found');
+};
+
+const server = createServer(async (request, response) => {
+  try {
+    await handleRequest(request, response);
+  } catch (error) {
+    console.error('  request failed:', error);
+    if (response.headersSent) {
+      response.end();
+    } else {
+      send(response, 500, 'Internal server error');
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock WHIP/WHEP server listening on http://localhost:${PORT}`);
+});
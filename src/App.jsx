@@ -1,7 +1,9 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
-import Broadcaster from '/home/dharshan/web-projects/web_broadcastFrontend/src/components/Broadcaster.jsx';
-import Viewer from '/home/dharshan/web-projects/web_broadcastFrontend/src/components/viewer.jsx';
+import Broadcaster from './components/Broadcaster.jsx';
+import Viewer from './components/viewer.jsx';
+import StreamList from './components/StreamList.jsx';
+import Wall from './components/Wall.jsx';
 import './App.css';
 
 function App() {
@@ -15,6 +17,12 @@ function App() {
               <li>
                 <Link to="/">Broadcast</Link>
               </li>
+              <li>
+                <Link to="/streams">Live streams</Link>
+              </li>
+              <li>
+                <Link to="/wall">Wall</Link>
+              </li>
             </ul>
           </nav>
         </header>
@@ -22,6 +30,8 @@ function App() {
           <Routes>
             <Route path="/" element={<Broadcaster />} />
             <Route path="/view/:streamId" element={<Viewer />} />
+            <Route path="/streams" element={<StreamList />} />
+            <Route path="/wall" element={<Wall />} />
           </Routes>
         </main>
       </div>
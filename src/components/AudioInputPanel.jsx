@@ -0,0 +1,56 @@
+import React from 'react';
+import { MAX_INPUT_GAIN_DB, MIN_INPUT_GAIN_DB } from '../services/audioProcessing.js';
+import AudioLevelMeter from './AudioLevelMeter.jsx';
+import './AudioInputPanel.css';
+
+const PROCESSING_OPTIONS = [
+  { key: 'echoCancellation', label: 'Echo cancellation' },
+  { key: 'noiseSuppression', label: 'Noise suppression' },
+  { key: 'autoGainControl', label: 'Automatic gain' }
+];
+
+const formatGain = (decibels) => `${decibels > 0 ? '+' : ''}${decibels} dB`;
+
+// Microphone processing switches, input gain and the level viewers receive.
+// `supported` lists the switches the browser honours.
+const AudioInputPanel = ({ processing, supported, gain, track, onProcessingChange, onGainChange }) => (
+  <div className="audio-input-panel">
+    <h3>Microphone</h3>
+
+    <div className="audio-processing-toggles">
+      {PROCESSING_OPTIONS.map(({ key, label }) => (
+        <label key={key} title={supported[key] ? undefined : 'Not supported by this browser'}>
+          <input
+            type="checkbox"
+            checked={processing[key]}
+            disabled={!supported[key]}
+            onChange={(e) => onProcessingChange({ ...processing, [key]: e.target.checked })}
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+
+    <div className="setting">
+      <label>Input gain: {formatGain(gain)}</label>
+      <input
+        type="range"
+        min={MIN_INPUT_GAIN_DB}
+        max={MAX_INPUT_GAIN_DB}
+        step="1"
+        value={gain}
+        onChange={(e) => onGainChange(Number(e.target.value))}
+        onDoubleClick={() => onGainChange(0)}
+      />
+    </div>
+
+    <div className="setting">
+      <label>Level:</label>
+      {track
+        ? <AudioLevelMeter track={track} label="Microphone level" warnOnClipping />
+        : <p className="audio-level-idle">Shown while live</p>}
+    </div>
+  </div>
+);
+
+export default AudioInputPanel;
@@ -0,0 +1,43 @@
+import React from 'react';
+import useAudioLevel from '../hooks/useAudioLevel.js';
+import { meterPosition } from '../services/audioLevel.js';
+import './AudioLevelMeter.css';
+
+// Loudness above this share of the meter is shown as running hot
+const HOT_POSITION = 0.9;
+
+// Horizontal level meter for an audio track: the bar follows the loudness,
+// the tick the peak. With `warnOnClipping` a warning shows while the
+// signal clips.
+const AudioLevelMeter = ({ track, label = 'Level', warnOnClipping = false, className = '' }) => {
+  const level = useAudioLevel(track);
+  const loudness = level ? meterPosition(level.rms) : 0;
+  const peak = level ? meterPosition(level.peak) : 0;
+  const clipping = Boolean(level && level.clipping);
+
+  const meter = (
+    <div
+      className={`audio-level-meter ${clipping ? 'clipping' : ''} ${className}`}
+      role="meter"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={1}
+      aria-valuenow={loudness}
+    >
+      <div className={`audio-level-bar ${loudness > HOT_POSITION ? 'hot' : ''}`} style={{ width: `${loudness * 100}%` }} />
+      <div className="audio-level-peak" style={{ left: `${peak * 100}%` }} />
+    </div>
+  );
+
+  if (!warnOnClipping) {
+    return meter;
+  }
+  return (
+    <div className="audio-level">
+      {meter}
+      {clipping && <p className="audio-clipping-warning">Clipping: lower the gain or move away from the microphone</p>}
+    </div>
+  );
+};
+
+export default AudioLevelMeter;
@@ -1,34 +1,251 @@
 import React, { useState, useEffect, useRef } from 'react';
+import {
+  MessageType,
+  buildBroadcasterReady,
+  buildBroadcasterState,
+  buildE2eeKey,
+  buildIceCandidate,
+  buildJoinRejected,
+  buildKickViewer,
+  buildOffer,
+  buildRelayAssign,
+  buildRelayDetach,
+  buildStageUpdate,
+  buildThumbnail
+} from '../services/signalingMessages.js';
+import { SignalingClient, SignalingRole } from '../services/signalingClient.js';
+import { rollbackUnansweredOffer, watchPeerConnection } from '../services/connectionRecovery.js';
+import {
+  getApiUrl,
+  getConfig,
+  getIceServers,
+  getSignalingUrl,
+  getThumbnailUploadUrl,
+  getViewerUrl,
+  getWhipUrl,
+  loadConfig
+} from '../services/config.js';
+import {
+  SourceType,
+  getCameraStream,
+  getCameraTrack,
+  getMicrophoneTrack,
+  getScreenTrack,
+  isScreenCaptureSupported,
+  replaceTrackOnPeers,
+  videoConstraints
+} from '../services/mediaDevices.js';
+import { applyEncodingParameters, applyEncodingParametersToPeers } from '../services/senderParameters.js';
+import { createSlateTrack } from '../services/slate.js';
+import useMediaDevices from '../hooks/useMediaDevices.js';
+import useConnectionStats from '../hooks/useConnectionStats.js';
+import useChat from '../hooks/useChat.js';
+import { StatsDirection } from '../services/connectionStats.js';
+import { CHAT_CHANNEL_LABEL, ChatHub } from '../services/chat.js';
+import {
+  AccessMode,
+  createChallenge,
+  createInviteToken,
+  generateInviteKey,
+  verifyViewerCredentials
+} from '../services/streamAuth.js';
+import { DEFAULT_RELAY_OPTIONS, RelayTree } from '../services/relayTree.js';
+import { StreamTransport, WHEP_TRANSPORT_PARAM, WhipSession } from '../services/whip.js';
+import { addSimulcastTrack, capToLayer, isQualityLayer } from '../services/simulcast.js';
+import {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TITLE_LENGTH,
+  StreamVisibility,
+  cleanStreamMetadata
+} from '../services/streamDirectory.js';
+import { ThumbnailCapturer, uploadThumbnail } from '../services/thumbnails.js';
+import { describeMediaError } from '../services/preflight.js';
+import { DEFAULT_EFFECTS, VideoEffectsPipeline, hasActiveEffects } from '../services/videoEffects.js';
+import {
+  AudioGainStage,
+  DEFAULT_AUDIO_PROCESSING,
+  applyAudioProcessing,
+  getSupportedAudioProcessing
+} from '../services/audioProcessing.js';
+import {
+  AudioMixer,
+  MAX_STAGE_GUESTS,
+  STAGE_HOST_ID,
+  StageCompositor,
+  setStageDirection
+} from '../services/stage.js';
+import { cancelSchedule, loadSavedSchedule, saveSchedule } from '../services/schedule.js';
+import { E2EE_FRAGMENT_PARAM, E2eeSession, generatePassphrase, isE2eeSupported, withE2ee } from '../services/e2ee.js';
+import { SessionLog } from '../services/sessionLog.js';
+import RecordingPanel from './RecordingPanel.jsx';
+import LiveControls from './LiveControls.jsx';
+import StatsPanel from './StatsPanel.jsx';
+import ViewerRoster from './ViewerRoster.jsx';
+import ChatPanel from './ChatPanel.jsx';
+import ReactionOverlay from './ReactionOverlay.jsx';
+import InviteLinks from './InviteLinks.jsx';
+import PreflightCheck from './PreflightCheck.jsx';
+import VideoEffectsPanel from './VideoEffectsPanel.jsx';
+import AudioInputPanel from './AudioInputPanel.jsx';
+import StagePanel from './StagePanel.jsx';
+import E2eePanel from './E2eePanel.jsx';
+import SchedulePanel from './SchedulePanel.jsx';
+import SessionSummary from './SessionSummary.jsx';
+import SessionHistory from './SessionHistory.jsx';
 import './Broadcaster.css';
 
+// How long to wait for a viewer to answer an offer
+const OFFER_TIMEOUT_MS = 15000;
+
+const DIRECT_VIEWER_LIMITS = [2, 4, 8, 16];
+
+// Key of the media server connection among the peer connections
+const WHIP_PEER_ID = 'whip';
+
+// Larger thumbnails are uploaded only, not pushed through signaling
+const MAX_SIGNALED_THUMBNAIL_LENGTH = 64 * 1024;
+
 const Broadcaster = () => {
   const [streamId, setStreamId] = useState('');
   const [isStreaming, setIsStreaming] = useState(false);
   const [status, setStatus] = useState('Ready to stream');
-  const [viewerCount, setViewerCount] = useState(0);
+  const [roster, setRoster] = useState([]);
+  const [bannedViewers, setBannedViewers] = useState([]);
+  const [isReconnecting, setIsReconnecting] = useState(false);
   const [resolution, setResolution] = useState('640x480');
+  const [sourceType, setSourceType] = useState(SourceType.CAMERA);
+  const [cameraId, setCameraId] = useState('');
+  const [microphoneId, setMicrophoneId] = useState('');
+  const [localStream, setLocalStreamState] = useState(null);
+  const [audioMuted, setAudioMuted] = useState(false);
+  const [videoOff, setVideoOff] = useState(false);
+  const [frameRate, setFrameRate] = useState(30);
+  const [maxBitrate, setMaxBitrate] = useState(null);
+  const [scaleResolutionDownBy, setScaleResolutionDownBy] = useState(1);
+  const [accessMode, setAccessMode] = useState(AccessMode.OPEN);
+  const [passcode, setPasscode] = useState('');
+  const [invites, setInvites] = useState([]);
+  const [relayEnabled, setRelayEnabled] = useState(false);
+  const [maxDirectViewers, setMaxDirectViewers] = useState(DEFAULT_RELAY_OPTIONS.maxDirect);
+  const [transport, setTransport] = useState(StreamTransport.P2P);
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [visibility, setVisibility] = useState(StreamVisibility.PUBLIC);
+  // Outcome of the last pre-flight check, null until one has run
+  const [preflight, setPreflight] = useState(null);
+  const [effects, setEffects] = useState(DEFAULT_EFFECTS);
+  const [audioProcessing, setAudioProcessing] = useState(DEFAULT_AUDIO_PROCESSING);
+  const [inputGain, setInputGain] = useState(0);
+  // Output of the gain stage while it runs, for the level meter
+  const [gainTrack, setGainTrack] = useState(null);
+  // Viewers on stage: [{ viewerId, stream }]
+  const [stageGuests, setStageGuests] = useState([]);
+  const [e2ee, setE2ee] = useState({ enabled: false, passphrase: '' });
+  // Announced start of this stream ID, until it goes live
+  const [schedule, setSchedule] = useState(null);
+  // Index of the key media is encrypted with while live, null when not encrypting
+  const [e2eeKeyIndex, setE2eeKeyIndex] = useState(null);
+  // { session, events } of the last broadcast, or one picked from the history
+  const [sessionReport, setSessionReport] = useState(null);
+  const { cameras, microphones, refresh: refreshDevices } = useMediaDevices();
+  const [supportedAudioProcessing] = useState(getSupportedAudioProcessing);
+  const connectionStats = useConnectionStats(() => peerConnectionsRef.current, {
+    direction: StatsDirection.OUTBOUND,
+    enabled: isStreaming
+  });
   
   const videoRef = useRef(null);
-  const socketRef = useRef(null);
+  const signalingRef = useRef(null);
   const localStreamRef = useRef(null);
   const peerConnectionsRef = useRef({});
+  const viewerInfoRef = useRef({});
+  const bannedViewersRef = useRef(new Set());
+  const slateRef = useRef(null);
+  // Draws the video effects onto the camera track while any are on
+  const effectsPipelineRef = useRef(null);
+  const effectsRef = useRef(DEFAULT_EFFECTS);
+  // Applies the input gain to the microphone while it isn't 0 dB
+  const gainStageRef = useRef(null);
+  const audioInputRef = useRef({ processing: DEFAULT_AUDIO_PROCESSING, gain: 0 });
+  // Viewers asking to go on stage
+  const raisedHandsRef = useRef(new Set());
+  // Viewers on stage, with the media they send us
+  const stageGuestsRef = useRef(new Map());
+  // Tile and mix the broadcaster with the guests while anyone is on stage
+  const compositorRef = useRef(null);
+  const mixerRef = useRef(null);
+  // Encrypts what we send end to end, when turned on
+  const e2eeRef = useRef(null);
+  // Audience, signaling and quality log of the current broadcast
+  const sessionLogRef = useRef(null);
+  const isMountedRef = useRef(false);
+  // Media server session when publishing over WHIP
+  const whipSessionRef = useRef(null);
+  // Mirrors of live settings for use inside signaling callbacks
+  const mediaStateRef = useRef({ audioMuted: false, videoOff: false });
+  const encodingRef = useRef({ maxBitrate: null, scaleResolutionDownBy: 1, maxFramerate: 30 });
+  // Quality layer each viewer asked for, capping its encoding
+  const viewerLayersRef = useRef({});
+  const accessRef = useRef({ mode: AccessMode.OPEN, passcode: '' });
+  // Signs invite tokens for the current stream ID
+  const inviteKeyRef = useRef(null);
+  // Outstanding passcode challenges by viewer
+  const challengesRef = useRef({});
+  // Who feeds whom; without relay mode every viewer is fed directly
+  const relayTreeRef = useRef(null);
+  if (!relayTreeRef.current) {
+    relayTreeRef.current = new RelayTree({ maxDirect: Infinity });
+  }
   const broadcasterId = useRef(`broadcaster_${Math.random().toString(36).substring(2, 15)}`);
+  // Relays chat between viewers; lives as long as the component
+  const chatRef = useRef(null);
+  if (!chatRef.current) {
+    chatRef.current = new ChatHub({ hostId: broadcasterId.current });
+  }
+  const chat = useChat(chatRef.current);
+  // Poster frames of the broadcast for viewers and the stream listing
+  const thumbnailsRef = useRef(null);
+  if (!thumbnailsRef.current) {
+    thumbnailsRef.current = new ThumbnailCapturer();
+  }
+  const [chatName, setChatName] = useState(chatRef.current.hostName);
 
-  // Fetch a new stream ID when component mounts
+  // Fetch a new stream ID when component mounts, unless a broadcast was
+  // scheduled under one
   useEffect(() => {
-    fetchStreamId();
+    const saved = loadSavedSchedule();
+    if (saved) {
+      restoreSchedule(saved);
+    } else {
+      fetchStreamId();
+    }
+    
+    isMountedRef.current = true;
     
     // Clean up when component unmounts
     return () => {
+      isMountedRef.current = false;
       stopStreaming();
     };
   }, []);
   
+  // Keep some of the polled connection quality in the session log
+  useEffect(() => {
+    if (sessionLogRef.current) {
+      sessionLogRef.current.recordQuality(connectionStats);
+    }
+  }, [connectionStats]);
+  
   // Fetch a stream ID from the server
   const fetchStreamId = async () => {
     try {
-      const response = await fetch('http://localhost:8000/api/get-stream-id/');
+      await loadConfig();
+      const response = await fetch(getApiUrl('/api/get-stream-id/'));
       const data = await response.json();
+      
+      // Invites are bound to a stream ID, so start over with a new key
+      inviteKeyRef.current = await generateInviteKey();
+      setInvites([]);
       setStreamId(data.stream_id);
     } catch (error) {
       console.error('Error fetching stream ID:', error);
@@ -36,163 +253,1027 @@ const Broadcaster = () => {
     }
   };
   
+  // Come back to a scheduled stream ID, with the title it was announced with
+  const restoreSchedule = async (saved) => {
+    try {
+      await loadConfig();
+      inviteKeyRef.current = await generateInviteKey();
+      setInvites([]);
+      setStreamId(saved.streamId);
+      setTitle(saved.title);
+      setDescription(saved.description);
+      setSchedule(saved);
+    } catch (error) {
+      console.error('Error restoring the schedule:', error);
+      setStatus('Error restoring the scheduled stream');
+    }
+  };
+  
+  const handleSchedule = async (startsAt) => {
+    const metadata = cleanStreamMetadata({ title, description, visibility });
+    setSchedule(await saveSchedule({ streamId, title: metadata.title, description: metadata.description, startsAt }));
+  };
+  
+  const handleCancelSchedule = async () => {
+    await cancelSchedule(streamId);
+    setSchedule(null);
+  };
+  
+  // Live now: viewers in the lobby switch over by themselves, and the
+  // schedule has served its purpose
+  const completeSchedule = () => {
+    if (schedule) {
+      cancelSchedule(schedule.streamId).catch(error => console.error('Error clearing the schedule:', error));
+      setSchedule(null);
+    }
+  };
+  
+  // Add to the current broadcast's session log, if there is one
+  const logSession = (record) => {
+    if (sessionLogRef.current) {
+      record(sessionLogRef.current);
+    }
+  };
+  
   // Start the broadcasting session
   const startStreaming = async () => {
     try {
-      // Get video stream from camera
-      const [width, height] = resolution.split('x').map(Number);
-      
-      localStreamRef.current = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
-          width: { ideal: width },
-          height: { ideal: height }
-        }, 
-        audio: true  // Enable audio for WebRTC
-      });
+      // Capture the selected video source and microphone
+      const constraints = getCaptureConstraints();
+      let stream;
+      
+      if (sourceType === SourceType.SCREEN) {
+        const screenTrack = await getScreenTrack(constraints);
+        const audioTrack = await getMicrophoneTrack({ deviceId: microphoneId, processing: audioInputRef.current.processing });
+        stream = new MediaStream([screenTrack, audioTrack]);
+      } else {
+        stream = await getCameraStream({
+          cameraId,
+          microphoneId,
+          audioProcessing: audioInputRef.current.processing,
+          ...constraints
+        });
+      }
       
-      // Set the video source
-      if (videoRef.current) {
-        videoRef.current.srcObject = localStreamRef.current;
+      stream.getTracks().forEach(watchLocalTrack);
+      const [videoTrack] = stream.getVideoTracks();
+      if (videoTrack && hasActiveEffects(effectsRef.current)) {
+        startEffects(videoTrack);
       }
+      const [microphoneTrack] = stream.getAudioTracks();
+      if (microphoneTrack && audioInputRef.current.gain !== 0) {
+        startGainStage(microphoneTrack);
+      }
+      setLocalStream(stream);
+      
+      // Device labels only become available once permission is granted
+      refreshDevices();
       
-      // Setup WebSocket connection for signaling
-      socketRef.current = new WebSocket(`ws://localhost:8000/ws/webrtc/${streamId}/`);
+      await loadConfig();
+      const metadata = cleanStreamMetadata({ title, description, visibility });
+      sessionLogRef.current = new SessionLog({ streamId, title: metadata.title, transport });
+      sessionLogRef.current.start();
+      setSessionReport(null);
+      
+      if (e2ee.enabled) {
+        await startE2ee();
+      }
+      if (transport === StreamTransport.WHIP) {
+        await publishViaWhip();
+        return;
+      }
+      
+      // Setup signaling connection
+      const signaling = new SignalingClient({
+        url: getSignalingUrl(streamId),
+        role: SignalingRole.BROADCASTER,
+        peerId: broadcasterId.current,
+        // Announce presence as broadcaster on every (re)connect, along with
+        // what the stream listing should show
+        announce: ({ resumed }) => buildBroadcasterReady({ broadcasterId: broadcasterId.current, resume: resumed, metadata })
+      });
+      signalingRef.current = signaling;
+      sessionLogRef.current.attachSignaling(signaling);
       
-      socketRef.current.onopen = () => {
-        console.log('WebRTC signaling connection established');
-        setStatus('Connected to signaling server, waiting for viewers');
+      signaling.on('open', ({ resumed }) => {
+        console.log(`WebRTC signaling connection ${resumed ? 'resumed' : 'established'}`);
+        setIsReconnecting(false);
         setIsStreaming(true);
-        
-        // Announce presence as broadcaster
-        socketRef.current.send(JSON.stringify({
-          type: 'broadcaster_ready',
-          broadcasterId: broadcasterId.current
-        }));
-      };
+        sendBroadcasterState();
+        if (!resumed) {
+          completeSchedule();
+        }
+        setStatus(resumed
+          ? 'Signaling connection restored'
+          : 'Connected to signaling server, waiting for viewers');
+      });
       
-      socketRef.current.onmessage = async (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          
-          if (message.type === 'viewer_joined') {
-            const viewerId = message.viewerId;
-            console.log(`New viewer joined: ${viewerId}`);
-            
-            // Create a new RTCPeerConnection for this viewer
-            const peerConnection = createPeerConnection(viewerId);
-            
-            // Add tracks from local stream to the peer connection
-            localStreamRef.current.getTracks().forEach(track => {
-              peerConnection.addTrack(track, localStreamRef.current);
-            });
-            
-            // Create and send an offer to the viewer
-            try {
-              const offer = await peerConnection.createOffer();
-              await peerConnection.setLocalDescription(offer);
-              
-              socketRef.current.send(JSON.stringify({
-                type: 'offer',
-                offer: offer,
-                viewerId: viewerId,
-                broadcasterId: broadcasterId.current
-              }));
-            } catch (error) {
-              console.error('Error creating offer:', error);
-            }
-            
-            // Update viewer count
-            setViewerCount(prevCount => prevCount + 1);
-          }
-          else if (message.type === 'answer' && message.broadcasterId === broadcasterId.current) {
-            const viewerId = message.viewerId;
-            const peerConnection = peerConnectionsRef.current[viewerId];
-            
-            if (peerConnection && peerConnection.signalingState !== 'closed') {
-              await peerConnection.setRemoteDescription(new RTCSessionDescription(message.answer));
-              console.log(`Processed answer from viewer: ${viewerId}`);
-            }
-          }
-          else if (message.type === 'ice_candidate' && message.broadcasterId === broadcasterId.current) {
-            const viewerId = message.viewerId;
-            const peerConnection = peerConnectionsRef.current[viewerId];
-            
-            if (peerConnection && peerConnection.signalingState !== 'closed') {
-              await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
-            }
-          }
-          else if (message.type === 'viewer_left') {
-            const viewerId = message.viewerId;
-            
-            // Clean up the peer connection
-            if (peerConnectionsRef.current[viewerId]) {
-              peerConnectionsRef.current[viewerId].close();
-              delete peerConnectionsRef.current[viewerId];
-              
-              // Update viewer count
-              setViewerCount(prevCount => Math.max(0, prevCount - 1));
-              console.log(`Viewer left: ${viewerId}`);
-            }
+      // Keep existing viewers connected while signaling is down
+      signaling.on('reconnecting', ({ attempt, delay }) => {
+        setIsReconnecting(true);
+        setStatus(`Signaling connection lost, reconnecting (attempt ${attempt}) in ${Math.ceil(delay / 1000)}s...`);
+      });
+      
+      signaling.on(MessageType.VIEWER_JOINED, handleViewerJoined);
+      
+      signaling.on(MessageType.ICE_CANDIDATE, async (message) => {
+        const peerConnection = peerConnectionsRef.current[message.viewerId];
+        
+        if (peerConnection && peerConnection.signalingState !== 'closed') {
+          try {
+            await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
+          } catch (error) {
+            console.error('Error adding received ice candidate', error);
           }
-        } catch (error) {
-          console.error('Error processing WebSocket message:', error);
         }
-      };
+      });
       
-      socketRef.current.onclose = (event) => {
-        console.log(`WebSocket connection closed: ${event.code}`);
-        setStatus('Signaling connection closed');
+      signaling.on(MessageType.VIEWER_LEFT, (message) => {
+        delete challengesRef.current[message.viewerId];
         
-        if (isStreaming) {
-          stopStreaming();
+        // Clean up the peer connection, or the relay feeding the viewer
+        if (removeViewer(message.viewerId)) {
+          console.log(`Viewer left: ${message.viewerId}`);
         }
-      };
+      });
+      
+      signaling.on(MessageType.ICE_RESTART_REQUEST, (message) => {
+        restartIce(message.viewerId);
+      });
+      
+      signaling.on(MessageType.LAYER_REQUEST, (message) => {
+        setViewerLayer(message.viewerId, message.layer);
+      });
+      
+      signaling.on(MessageType.HAND_RAISE, handleHandRaise);
+      
+      // Only fires once reconnecting has been given up, or when the first
+      // connection fails, which fails the start as well
+      signaling.on('close', (event) => {
+        console.log(`WebSocket connection closed: ${event.code}`);
+        stopStreaming({ showReport: signaling.hasConnected });
+        setStatus('Signaling connection closed');
+      });
       
-      socketRef.current.onerror = (error) => {
+      signaling.on('error', (error) => {
         console.error('WebSocket error:', error);
+        logSession(log => log.error('signaling', error));
         setStatus('Signaling connection error');
-      };
+      });
+      
+      await signaling.connect();
+      
+      // Thumbnails would show the encrypted broadcast to the server
+      if (!e2eeRef.current) {
+        thumbnailsRef.current.on('thumbnail', publishThumbnail);
+        thumbnailsRef.current.start(videoRef.current);
+      }
     } catch (error) {
       console.error('Error starting stream:', error);
-      setStatus(`Error: ${error.message}`);
+      // A broadcast that never got going has nothing to summarize, but
+      // keeps its log
+      logSession(log => {
+        log.error('start', error);
+        log.finish();
+      });
+      sessionLogRef.current = null;
+      // Release the camera, microphone and pipelines it already started
+      stopStreaming({ showReport: false });
+      setStatus(describeMediaError(error) || `Error: ${error.message}`);
     }
   };
   
-  // Create a new RTCPeerConnection for a viewer
-  const createPeerConnection = (viewerId) => {
-    // Configure ICE servers (STUN/TURN)
-    const configuration = {
-      iceServers: [
-        { 
-          urls: 'stun:stun.l.google.com:19302' 
-        },
-        // Add TURN servers for better NAT traversal in production
-        // {
-        //   urls: 'turn:your-turn-server.com:3478',
-        //   username: 'username',
-        //   credential: 'password'
-        // }
-      ]
+  // Hand the stream to a media server over WHIP, which serves the viewers.
+  // There is no signaling, so chat, access control and relaying are off.
+  const publishViaWhip = async () => {
+    const session = new WhipSession({ endpoint: getWhipUrl(streamId) });
+    whipSessionRef.current = session;
+    
+    // Keep it with the viewer connections so track swaps, encoding limits
+    // and stats apply to it as well
+    const iceServers = await getIceServers();
+    const peerConnection = new RTCPeerConnection(withE2ee({ iceServers }, e2eeRef.current));
+    peerConnectionsRef.current[WHIP_PEER_ID] = peerConnection;
+    
+    // The server picks a simulcast layer for each of its viewers
+    localStreamRef.current.getTracks().forEach(track => {
+      if (track.kind === 'video') {
+        addSimulcastTrack(peerConnection, getOutgoingTrack(track), localStreamRef.current);
+      } else {
+        peerConnection.addTrack(getOutgoingTrack(track), localStreamRef.current);
+      }
+    });
+    if (e2eeRef.current) {
+      e2eeRef.current.encryptSenders(peerConnection);
+    }
+    
+    peerConnection.onconnectionstatechange = () => {
+      console.log(`Media server connection state: ${peerConnection.connectionState}`);
+      
+      if (peerConnection.connectionState === 'connected') {
+        setStatus('Publishing to the media server');
+      } else if (peerConnection.connectionState === 'failed') {
+        logSession(log => log.error('media server', new Error('Connection failed')));
+        setStatus('Lost connection to the media server');
+      }
     };
     
-    const peerConnection = new RTCPeerConnection(configuration);
+    setStatus('Connecting to the media server...');
+    try {
+      await session.negotiate(peerConnection);
+    } catch (error) {
+      stopStreaming({ showReport: false });
+      throw error;
+    }
+    
+    await applyEncodingParameters(peerConnection, 'video', encodingRef.current);
+    setIsStreaming(true);
+  };
+  
+  // Publish a new local stream to the preview and the recorder
+  const setLocalStream = (stream) => {
+    localStreamRef.current = stream;
+    setLocalStreamState(stream);
+    showPreview();
+  };
+  
+  // The preview shows the video as viewers see it: with its effects, and
+  // tiled with the guests on stage
+  const showPreview = () => {
+    if (!videoRef.current) {
+      return;
+    }
+    const processed = compositorRef.current || effectsPipelineRef.current;
+    videoRef.current.srcObject = processed ? new MediaStream([processed.track]) : localStreamRef.current;
+  };
+  
+  // React to a capture device going away mid-broadcast
+  const watchLocalTrack = (track) => {
+    track.addEventListener('ended', () => {
+      // Tracks we stop ourselves don't fire 'ended', but make sure it's live
+      if (!localStreamRef.current || !localStreamRef.current.getTracks().includes(track)) {
+        return;
+      }
+      
+      if (track.kind === 'video' && track.contentHint === 'detail') {
+        // Screen sharing was stopped from the browser's own UI
+        setSourceType(SourceType.CAMERA);
+        switchVideoSource(SourceType.CAMERA, cameraId);
+      } else if (track.kind === 'video') {
+        setStatus('Camera disconnected, switching to the default camera');
+        setCameraId('');
+        switchVideoSource(SourceType.CAMERA, '');
+      } else {
+        setStatus('Microphone disconnected, switching to the default microphone');
+        setMicrophoneId('');
+        switchMicrophone('');
+      }
+    });
+  };
+  
+  const getCaptureConstraints = () => {
+    const [width, height] = resolution.split('x').map(Number);
+    return { width, height, frameRate };
+  };
+  
+  // The broadcaster's own picture and sound for a local track: the slate
+  // stands in for the camera while video is off, otherwise the camera gets
+  // its effects drawn on and the microphone its gain applied
+  const getHostTrack = (track) => {
+    if (track.kind === 'audio') {
+      return gainStageRef.current ? gainStageRef.current.track : track;
+    }
+    if (slateRef.current) {
+      return slateRef.current.track;
+    }
+    return effectsPipelineRef.current ? effectsPipelineRef.current.track : track;
+  };
+  
+  // The track a peer should receive for a local track. While guests are on
+  // stage that is the tiled video and the mixed audio, leaving out a guest's
+  // own voice when sending to it.
+  const getOutgoingTrack = (track, peerId = null) => {
+    if (track.kind === 'video' && compositorRef.current) {
+      return compositorRef.current.track;
+    }
+    if (track.kind === 'audio' && mixerRef.current) {
+      return mixerRef.current.getOutput(stageGuestsRef.current.has(peerId) ? peerId : null);
+    }
+    return getHostTrack(track);
+  };
+  
+  // Give every peer what it should now receive for a local track
+  const sendOutgoingTrack = (track) => Promise.all(
+    Object.entries(peerConnectionsRef.current).map(([peerId, peerConnection]) => (
+      replaceTrackOnPeers({ [peerId]: peerConnection }, getOutgoingTrack(track, peerId))
+    ))
+  );
+  
+  const startEffects = (track) => {
+    const pipeline = new VideoEffectsPipeline({ frameRate });
+    pipeline.start(track, effectsRef.current);
+    effectsPipelineRef.current = pipeline;
+  };
+  
+  // Effects change in place while the pipeline runs; turning the first one
+  // on or the last one off swaps the track viewers get
+  const handleEffectsChange = async (changed) => {
+    effectsRef.current = changed;
+    setEffects(changed);
+    
+    const [cameraTrack] = localStreamRef.current ? localStreamRef.current.getVideoTracks() : [];
+    const pipeline = effectsPipelineRef.current;
+    if (!cameraTrack) {
+      return;
+    }
+    
+    if (pipeline && hasActiveEffects(changed)) {
+      pipeline.setEffects(changed);
+      return;
+    }
+    if (!pipeline && hasActiveEffects(changed)) {
+      startEffects(cameraTrack);
+    } else if (pipeline) {
+      effectsPipelineRef.current = null;
+    } else {
+      return;
+    }
+    
+    showPreview();
+    updateStageHost();
+    await sendOutgoingTrack(cameraTrack);
+    if (pipeline) {
+      pipeline.stop();
+    }
+  };
+  
+  // Send a poster frame to waiting viewers and the stream listing. Protected
+  // streams don't show theirs to viewers who haven't been admitted.
+  const publishThumbnail = (thumbnail) => {
+    // Viewers see the slate, so keep the last camera frame as the poster
+    if (mediaStateRef.current.videoOff) {
+      return;
+    }
+    
+    if (signalingRef.current && accessRef.current.mode === AccessMode.OPEN &&
+        thumbnail.dataUrl.length <= MAX_SIGNALED_THUMBNAIL_LENGTH) {
+      signalingRef.current.send(buildThumbnail({
+        broadcasterId: broadcasterId.current,
+        image: thumbnail.dataUrl,
+        capturedAt: thumbnail.capturedAt
+      }));
+    }
+    
+    const uploadUrl = getThumbnailUploadUrl(streamId);
+    if (uploadUrl) {
+      uploadThumbnail(uploadUrl, thumbnail.blob).catch(error => {
+        console.error('Error uploading thumbnail:', error);
+      });
+    }
+  };
+  
+  // Tell viewers about mute/video-off so they can show it
+  const sendBroadcasterState = () => {
+    if (signalingRef.current) {
+      signalingRef.current.send(buildBroadcasterState({
+        broadcasterId: broadcasterId.current,
+        ...mediaStateRef.current,
+        encrypted: Boolean(e2eeRef.current)
+      }));
+    }
+  };
+  
+  const startGainStage = (track) => {
+    const stage = new AudioGainStage();
+    setGainTrack(stage.start(track, audioInputRef.current.gain));
+    gainStageRef.current = stage;
+  };
+  
+  // Like the video effects, the gain stage only runs while it does
+  // something; starting or stopping it swaps the track viewers get
+  const handleInputGainChange = async (gain) => {
+    audioInputRef.current = { ...audioInputRef.current, gain };
+    setInputGain(gain);
+    
+    const [microphoneTrack] = localStreamRef.current ? localStreamRef.current.getAudioTracks() : [];
+    const stage = gainStageRef.current;
+    if (!microphoneTrack) {
+      return;
+    }
+    
+    if (stage && gain !== 0) {
+      stage.setGain(gain);
+      return;
+    }
+    if (!stage && gain !== 0) {
+      startGainStage(microphoneTrack);
+    } else if (stage) {
+      gainStageRef.current = null;
+      setGainTrack(null);
+    } else {
+      return;
+    }
+    
+    updateStageHost();
+    await sendOutgoingTrack(microphoneTrack);
+    if (stage) {
+      stage.stop();
+    }
+  };
+  
+  // Switch the browser's echo cancellation, noise suppression or auto gain
+  // on the running microphone, reopening it if the change doesn't take
+  const handleAudioProcessingChange = async (processing) => {
+    audioInputRef.current = { ...audioInputRef.current, processing };
+    setAudioProcessing(processing);
+    
+    const [microphoneTrack] = localStreamRef.current ? localStreamRef.current.getAudioTracks() : [];
+    if (microphoneTrack && !(await applyAudioProcessing(microphoneTrack, processing))) {
+      await switchMicrophone(microphoneId);
+    }
+  };
+  
+  const toggleAudio = () => {
+    const audioMuted = !mediaStateRef.current.audioMuted;
+    mediaStateRef.current = { ...mediaStateRef.current, audioMuted };
+    setAudioMuted(audioMuted);
+    
+    // A disabled track keeps its sender but transmits silence
+    if (localStreamRef.current) {
+      localStreamRef.current.getAudioTracks().forEach(track => {
+        track.enabled = !audioMuted;
+      });
+    }
+    sendBroadcasterState();
+  };
+  
+  // Swap the camera for a "be right back" slate for every viewer, keeping
+  // the local preview running
+  const toggleVideo = async () => {
+    const videoOff = !mediaStateRef.current.videoOff;
+    mediaStateRef.current = { ...mediaStateRef.current, videoOff };
+    setVideoOff(videoOff);
+    
+    const [cameraTrack] = localStreamRef.current ? localStreamRef.current.getVideoTracks() : [];
+    if (videoOff) {
+      const { width, height } = getCaptureConstraints();
+      slateRef.current = createSlateTrack({ width, height });
+      updateStageHost();
+      if (cameraTrack) {
+        await sendOutgoingTrack(cameraTrack);
+      }
+    } else {
+      const slate = slateRef.current;
+      slateRef.current = null;
+      
+      updateStageHost();
+      if (cameraTrack) {
+        await sendOutgoingTrack(cameraTrack);
+      }
+      if (slate) {
+        slate.stop();
+      }
+    }
+    sendBroadcasterState();
+  };
+  
+  // Re-target the running capture track without re-acquiring it
+  const applyCaptureConstraints = async (changes) => {
+    const [track] = localStreamRef.current ? localStreamRef.current.getVideoTracks() : [];
+    if (!track) {
+      return;
+    }
+    
+    try {
+      await track.applyConstraints(videoConstraints({ ...getCaptureConstraints(), ...changes }));
+      // The pipeline reads from a clone, which keeps the old settings
+      if (effectsPipelineRef.current) {
+        effectsPipelineRef.current.setInput(track);
+      }
+    } catch (error) {
+      console.error('Error applying video constraints:', error);
+      setStatus(`Could not change video settings: ${error.message}`);
+    }
+  };
+  
+  // Encoding limits for one viewer: ours, capped to the layer it asked for
+  const getViewerEncoding = (viewerId) => capToLayer(encodingRef.current, viewerLayersRef.current[viewerId]);
+  
+  // Update the encoding limits on every viewer's video sender
+  const updateEncoding = (changes) => {
+    encodingRef.current = { ...encodingRef.current, ...changes };
+    applyEncodingParametersToPeers(peerConnectionsRef.current, 'video', getViewerEncoding);
+  };
+  
+  // Peer-to-peer stand-in for simulcast: re-encode a viewer's stream at the
+  // layer it asked for. Relayed viewers ask their relay instead.
+  const setViewerLayer = (viewerId, layer) => {
+    if (!viewerInfoRef.current[viewerId] || !isQualityLayer(layer)) {
+      return;
+    }
+    viewerLayersRef.current[viewerId] = layer;
+    syncRoster();
+    
+    const peerConnection = peerConnectionsRef.current[viewerId];
+    if (peerConnection) {
+      applyEncodingParameters(peerConnection, 'video', getViewerEncoding(viewerId));
+    }
+  };
+  
+  const handleFrameRateChange = (rate) => {
+    setFrameRate(rate);
+    if (isStreaming) {
+      applyCaptureConstraints({ frameRate: rate });
+    }
+    updateEncoding({ maxFramerate: rate });
+  };
+  
+  const handleMaxBitrateChange = (bitrate) => {
+    setMaxBitrate(bitrate);
+    updateEncoding({ maxBitrate: bitrate });
+  };
+  
+  const handleScaleChange = (scale) => {
+    setScaleResolutionDownBy(scale);
+    updateEncoding({ scaleResolutionDownBy: scale });
+  };
+  
+  // Swap a live track for a new one of the same kind, for the local preview
+  // and every viewer. Viewers keep their connection: replaceTrack needs no
+  // renegotiation.
+  const replaceLocalTrack = async (track) => {
+    const current = localStreamRef.current;
+    if (!current) {
+      track.stop();
+      return;
+    }
+    
+    watchLocalTrack(track);
+    if (track.kind === 'audio') {
+      track.enabled = !mediaStateRef.current.audioMuted;
+      if (gainStageRef.current) {
+        gainStageRef.current.setInput(track);
+      }
+    } else if (effectsPipelineRef.current) {
+      effectsPipelineRef.current.setInput(track);
+    }
+    await sendOutgoingTrack(track);
+    
+    const previous = current.getTracks().filter(candidate => candidate.kind === track.kind);
+    setLocalStream(new MediaStream([
+      ...current.getTracks().filter(candidate => candidate.kind !== track.kind),
+      track
+    ]));
+    updateStageHost();
+    previous.forEach(candidate => candidate.stop());
+  };
+  
+  const switchVideoSource = async (type, deviceId) => {
+    const constraints = getCaptureConstraints();
+    
+    try {
+      const track = type === SourceType.SCREEN
+        ? await getScreenTrack(constraints)
+        : await getCameraTrack({ deviceId, ...constraints });
+      await replaceLocalTrack(track);
+      return true;
+    } catch (error) {
+      console.error('Error switching video source:', error);
+      setStatus(`Could not switch video source: ${error.message}`);
+      return false;
+    }
+  };
+  
+  const switchMicrophone = async (deviceId) => {
+    try {
+      await replaceLocalTrack(await getMicrophoneTrack({ deviceId, processing: audioInputRef.current.processing }));
+    } catch (error) {
+      console.error('Error switching microphone:', error);
+      setStatus(`Could not switch microphone: ${error.message}`);
+    }
+  };
+  
+  // Admit a newly joined viewer and get the stream to it
+  const handleViewerJoined = async (message) => {
+    const viewerId = message.viewerId;
+    const existing = peerConnectionsRef.current[viewerId];
+    
+    // A viewer re-announcing itself after a signaling outage keeps its
+    // connection if it is still usable, or stays with its relay
+    if (message.resume) {
+      if (existing && existing.connectionState !== 'failed' && existing.connectionState !== 'closed') {
+        console.log(`Viewer resumed: ${viewerId}`);
+        sendStreamKey(viewerId);
+        return;
+      }
+      if (!existing && relayTreeRef.current.parentOf(viewerId)) {
+        console.log(`Relayed viewer resumed: ${viewerId}`);
+        sendStreamKey(viewerId);
+        return;
+      }
+    }
+    removeViewer(viewerId);
+    
+    // Banned viewers get reminded instead of an offer
+    if (bannedViewersRef.current.has(viewerId)) {
+      console.log(`Refusing banned viewer: ${viewerId}`);
+      logSession(log => log.viewerRejected(viewerId, 'banned'));
+      signalingRef.current.send(buildKickViewer({ broadcasterId: broadcasterId.current, viewerId, banned: true }));
+      return;
+    }
+    
+    // Protected streams get no offer until the viewer proves access
+    const rejection = await verifyViewerCredentials({
+      ...accessRef.current,
+      streamId,
+      inviteKey: inviteKeyRef.current,
+      challenge: challengesRef.current[viewerId]
+    }, message.credentials);
+    delete challengesRef.current[viewerId];
+    
+    if (rejection) {
+      console.log(`Refusing viewer ${viewerId}: ${rejection}`);
+      logSession(log => log.viewerRejected(viewerId, rejection));
+      rejectViewer(viewerId, rejection);
+      return;
+    }
+    
+    console.log(`New viewer joined: ${viewerId}`);
+    viewerInfoRef.current[viewerId] = { joinedAt: Date.now() };
+    logSession(log => log.viewerJoined(viewerId));
+    sendStreamKey(viewerId);
+    await connectViewer(viewerId);
+  };
+  
+  // Only admitted viewers get the stream key, ahead of their offer or
+  // relay assignment
+  const sendStreamKey = (viewerId, streamKey = e2eeRef.current && e2eeRef.current.streamKey) => {
+    if (streamKey && signalingRef.current) {
+      signalingRef.current.send(buildE2eeKey({ broadcasterId: broadcasterId.current, viewerId, ...streamKey }));
+    }
+  };
+  
+  // Encrypt with a new stream key, e.g. so a removed viewer can't decrypt
+  // what follows
+  const rotateStreamKey = () => {
+    if (e2eeRef.current && e2eeRef.current.streamKey) {
+      e2eeRef.current.rotateKey().catch(error => console.error('Error rotating the stream key:', error));
+    }
+  };
+  
+  // Feed a viewer from wherever the relay tree places it: through a relaying
+  // viewer, or directly with a peer connection of our own. Chat rides on the
+  // direct connection, so relayed viewers get media only.
+  const connectViewer = async (viewerId) => {
+    if (!signalingRef.current) {
+      return;
+    }
+    
+    const parentId = relayTreeRef.current.attach(viewerId);
+    if (parentId) {
+      console.log(`Relaying to ${viewerId} through ${parentId}`);
+      signalingRef.current.send(buildRelayAssign({ broadcasterId: broadcasterId.current, viewerId: parentId, childId: viewerId }));
+      syncRoster();
+      return;
+    }
+    await connectDirectly(viewerId);
+  };
+  
+  // Feed a viewer over a peer connection of our own
+  const connectDirectly = async (viewerId) => {
+    // Create a new RTCPeerConnection for this viewer, with fresh TURN
+    // credentials if they are time-limited
+    const iceServers = await getIceServers();
+    const peerConnection = createPeerConnection(viewerId, iceServers);
+    
+    // Open the chat channel before the offer so it is negotiated with it
+    chatRef.current.addChannel(viewerId, peerConnection.createDataChannel(CHAT_CHANNEL_LABEL));
+    
+    // Add tracks from local stream to the peer connection
+    localStreamRef.current.getTracks().forEach(track => {
+      peerConnection.addTrack(getOutgoingTrack(track, viewerId), localStreamRef.current);
+    });
+    if (e2eeRef.current) {
+      e2eeRef.current.encryptSenders(peerConnection);
+    }
+    
+    await negotiate(viewerId, peerConnection);
+    
+    // Encoding limits can only be set once the sender is negotiated
+    await applyEncodingParameters(peerConnection, 'video', getViewerEncoding(viewerId));
+    sendBroadcasterState();
+  };
+  
+  // Tell a viewer why it can't join; passcode attempts get a new challenge
+  const rejectViewer = (viewerId, reason) => {
+    let challenge = null;
+    if (accessRef.current.mode === AccessMode.PASSCODE) {
+      challenge = createChallenge();
+      challengesRef.current[viewerId] = challenge;
+    }
+    signalingRef.current.send(buildJoinRejected({ broadcasterId: broadcasterId.current, viewerId, reason, challenge }));
+  };
+  
+  // Create and send an offer to the viewer, then wait for its answer
+  const negotiate = async (viewerId, peerConnection, { iceRestart = false } = {}) => {
+    try {
+      const offer = await peerConnection.createOffer({ iceRestart });
+      await peerConnection.setLocalDescription(offer);
+      
+      const response = await signalingRef.current.request(
+        buildOffer({ offer, viewerId, broadcasterId: broadcasterId.current }),
+        { responseType: MessageType.ANSWER, match: (answer) => answer.viewerId === viewerId, timeout: OFFER_TIMEOUT_MS }
+      );
+      
+      if (peerConnection.signalingState !== 'closed') {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(response.answer));
+        console.log(`Processed answer from viewer: ${viewerId}`);
+      }
+    } catch (error) {
+      console.error(`Error negotiating with viewer ${viewerId}:`, error);
+      logSession(log => log.error(`negotiating with ${viewerId}`, error));
+      await rollbackUnansweredOffer(peerConnection);
+    }
+  };
+  
+  // Renegotiate a dropped viewer connection with fresh ICE credentials
+  const restartIce = async (viewerId) => {
+    const peerConnection = peerConnectionsRef.current[viewerId];
+    
+    // Skip while signaling is down or another negotiation is in flight;
+    // the next restart attempt will pick it up
+    if (!peerConnection || !signalingRef.current || !signalingRef.current.isOpen ||
+        peerConnection.signalingState !== 'stable') {
+      return;
+    }
+    
+    console.log(`Restarting ICE for viewer: ${viewerId}`);
+    await negotiate(viewerId, peerConnection, { iceRestart: true });
+  };
+  
+  // Close a viewer's peer connection, unless it was already replaced
+  const removePeerConnection = (viewerId, peerConnection = peerConnectionsRef.current[viewerId]) => {
+    if (!peerConnection || peerConnectionsRef.current[viewerId] !== peerConnection) {
+      return false;
+    }
+    
+    chatRef.current.removeChannel(viewerId);
+    peerConnection.close();
+    delete peerConnectionsRef.current[viewerId];
+    return true;
+  };
+  
+  // Forget a viewer wherever it sits in the relay tree: close its direct
+  // connection or tell its relay to stop, and find new parents for the
+  // viewers it was relaying to. Returns false if the viewer wasn't known.
+  const removeViewer = (viewerId, peerConnection = peerConnectionsRef.current[viewerId]) => {
+    // A late event from a connection that was already replaced
+    if (peerConnection && peerConnectionsRef.current[viewerId] !== peerConnection) {
+      return false;
+    }
+    
+    const hadConnection = removePeerConnection(viewerId, peerConnection);
+    const node = relayTreeRef.current.remove(viewerId);
+    const known = hadConnection || Boolean(node) || Boolean(viewerInfoRef.current[viewerId]);
+    if (viewerInfoRef.current[viewerId]) {
+      logSession(log => log.viewerLeft(viewerId));
+    }
+    delete viewerInfoRef.current[viewerId];
+    delete viewerLayersRef.current[viewerId];
+    raisedHandsRef.current.delete(viewerId);
+    removeFromStage(viewerId);
+    
+    if (node && node.parentId && signalingRef.current) {
+      signalingRef.current.send(buildRelayDetach({ broadcasterId: broadcasterId.current, viewerId: node.parentId, childId: viewerId }));
+    }
+    if (node) {
+      node.children.forEach(childId => {
+        console.log(`Re-parenting ${childId} after ${viewerId} left`);
+        connectViewer(childId);
+      });
+    }
+    
+    syncRoster();
+    return known;
+  };
+  
+  // Rebuild the roster from the admitted viewers and their connections
+  const syncRoster = () => {
+    setRoster(Object.entries(viewerInfoRef.current).map(([viewerId, info]) => {
+      const peerConnection = peerConnectionsRef.current[viewerId];
+      const relayParentId = relayTreeRef.current.parentOf(viewerId) || null;
+      
+      return {
+        viewerId,
+        joinedAt: info.joinedAt,
+        connectionState: peerConnection ? peerConnection.connectionState : relayParentId ? 'relayed' : 'new',
+        relayParentId,
+        layer: viewerLayersRef.current[viewerId] || null,
+        handRaised: raisedHandsRef.current.has(viewerId),
+        onStage: stageGuestsRef.current.has(viewerId)
+      };
+    }));
+  };
+  
+  // A viewer raising or lowering its hand; lowering it on stage means
+  // leaving the stage
+  const handleHandRaise = (message) => {
+    const { viewerId, raised } = message;
+    if (!viewerInfoRef.current[viewerId]) {
+      return;
+    }
+    
+    if (raised) {
+      raisedHandsRef.current.add(viewerId);
+    } else {
+      raisedHandsRef.current.delete(viewerId);
+      removeFromStage(viewerId);
+    }
+    syncRoster();
+  };
+  
+  const syncStage = () => {
+    setStageGuests([...stageGuestsRef.current].map(([viewerId, stream]) => ({ viewerId, stream })));
+  };
+  
+  // Let a viewer with its hand up send its camera and microphone. Guests
+  // need a connection of their own to send on, so relayed viewers are
+  // moved to one first.
+  const bringOnStage = async (viewerId) => {
+    if (!signalingRef.current || !raisedHandsRef.current.has(viewerId) ||
+        stageGuestsRef.current.size >= MAX_STAGE_GUESTS) {
+      return;
+    }
+    
+    raisedHandsRef.current.delete(viewerId);
+    stageGuestsRef.current.set(viewerId, new MediaStream());
+    syncStage();
+    syncRoster();
+    
+    // Sent ahead of the offer, so the viewer answers it with its media
+    signalingRef.current.send(buildStageUpdate({ broadcasterId: broadcasterId.current, viewerId, onStage: true }));
+    
+    const peerConnection = peerConnectionsRef.current[viewerId];
+    if (peerConnection) {
+      setStageDirection(peerConnection, true);
+      await negotiate(viewerId, peerConnection);
+      return;
+    }
+    
+    const relayId = relayTreeRef.current.attachDirect(viewerId);
+    if (relayId) {
+      signalingRef.current.send(buildRelayDetach({ broadcasterId: broadcasterId.current, viewerId: relayId, childId: viewerId }));
+    }
+    await connectDirectly(viewerId);
+  };
+  
+  // A guest's camera or microphone arrived: put it on stage
+  const addGuestTrack = (viewerId, track) => {
+    const stream = stageGuestsRef.current.get(viewerId);
+    if (!stream) {
+      return;
+    }
+    stream.getTracks()
+      .filter(candidate => candidate.kind === track.kind)
+      .forEach(candidate => stream.removeTrack(candidate));
+    stream.addTrack(track);
+    
+    if (!compositorRef.current) {
+      startStage();
+    }
+    if (track.kind === 'video') {
+      compositorRef.current.setSource(viewerId, track);
+    } else {
+      mixerRef.current.setInput(viewerId, track);
+    }
+    
+    // The guest now gets the mix without itself
+    if (localStreamRef.current) {
+      localStreamRef.current.getAudioTracks().forEach(sendOutgoingTrack);
+    }
+    syncStage();
+  };
+  
+  // Switch every viewer over to the tiled video and mixed audio
+  const startStage = () => {
+    const { width, height } = getCaptureConstraints();
+    compositorRef.current = new StageCompositor({ width, height, frameRate });
+    mixerRef.current = new AudioMixer();
+    updateStageHost();
+    showPreview();
+    if (localStreamRef.current) {
+      localStreamRef.current.getTracks().forEach(sendOutgoingTrack);
+    }
+  };
+  
+  // Back to sending the broadcaster alone once the last guest has left
+  const stopStage = async () => {
+    const compositor = compositorRef.current;
+    const mixer = mixerRef.current;
+    compositorRef.current = null;
+    mixerRef.current = null;
+    showPreview();
+    
+    if (localStreamRef.current) {
+      await Promise.all(localStreamRef.current.getTracks().map(sendOutgoingTrack));
+    }
+    compositor.stop();
+    mixer.stop();
+  };
+  
+  // Point the stage at the broadcaster's current picture and sound
+  const updateStageHost = () => {
+    if (!compositorRef.current || !localStreamRef.current) {
+      return;
+    }
+    localStreamRef.current.getTracks().forEach(track => {
+      if (track.kind === 'video') {
+        compositorRef.current.setSource(STAGE_HOST_ID, getHostTrack(track));
+      } else {
+        mixerRef.current.setInput(STAGE_HOST_ID, getHostTrack(track));
+      }
+    });
+  };
+  
+  // Take a guest off stage, and close its sending side if it is still
+  // connected
+  const removeFromStage = async (viewerId) => {
+    if (!stageGuestsRef.current.has(viewerId)) {
+      return;
+    }
+    stageGuestsRef.current.delete(viewerId);
+    syncStage();
+    syncRoster();
+    
+    if (compositorRef.current) {
+      compositorRef.current.removeSource(viewerId);
+      mixerRef.current.removeInput(viewerId);
+      
+      if (stageGuestsRef.current.size === 0) {
+        await stopStage();
+      } else if (localStreamRef.current) {
+        // Now an ordinary viewer, it gets the full mix
+        await Promise.all(localStreamRef.current.getAudioTracks().map(sendOutgoingTrack));
+        mixerRef.current.removeOutput(viewerId);
+      }
+    }
+    
+    const peerConnection = peerConnectionsRef.current[viewerId];
+    if (peerConnection && signalingRef.current) {
+      signalingRef.current.send(buildStageUpdate({ broadcasterId: broadcasterId.current, viewerId, onStage: false }));
+      setStageDirection(peerConnection, false);
+      await negotiate(viewerId, peerConnection);
+    }
+  };
+  
+  // Disconnect a viewer, optionally refusing it if it comes back
+  const kickViewer = (viewerId, { ban = false } = {}) => {
+    if (ban) {
+      bannedViewersRef.current.add(viewerId);
+      setBannedViewers([...bannedViewersRef.current]);
+    }
+    
+    if (signalingRef.current) {
+      signalingRef.current.send(buildKickViewer({ broadcasterId: broadcasterId.current, viewerId, banned: ban }));
+    }
+    removeViewer(viewerId);
+    rotateStreamKey();
+    console.log(`${ban ? 'Banned' : 'Kicked'} viewer: ${viewerId}`);
+  };
+  
+  const unbanViewer = (viewerId) => {
+    bannedViewersRef.current.delete(viewerId);
+    setBannedViewers([...bannedViewersRef.current]);
+  };
+  
+  // Create a new RTCPeerConnection for a viewer
+  const createPeerConnection = (viewerId, iceServers) => {
+    const peerConnection = new RTCPeerConnection(withE2ee({ iceServers }, e2eeRef.current));
     
     // Store the connection
     peerConnectionsRef.current[viewerId] = peerConnection;
+    syncRoster();
     
     // Handle ICE candidates
     peerConnection.onicecandidate = (event) => {
-      if (event.candidate && socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
-        socketRef.current.send(JSON.stringify({
-          type: 'ice_candidate',
+      if (event.candidate && signalingRef.current) {
+        signalingRef.current.send(buildIceCandidate({
           candidate: event.candidate,
-          viewerId: viewerId,
+          viewerId,
           broadcasterId: broadcasterId.current
         }));
       }
     };
     
-    // Log state changes
+    // Only guests on stage send us anything
+    peerConnection.ontrack = (event) => {
+      console.log(`Received ${event.track.kind} from guest ${viewerId}`);
+      if (e2eeRef.current) {
+        e2eeRef.current.decryptReceiver(event.receiver);
+      }
+      addGuestTrack(viewerId, event.track);
+    };
+    
     peerConnection.oniceconnectionstatechange = () => {
       console.log(`ICE connection state for ${viewerId}: ${peerConnection.iceConnectionState}`);
     };
@@ -200,36 +1281,73 @@ const Broadcaster = () => {
     peerConnection.onconnectionstatechange = () => {
       console.log(`Connection state for ${viewerId}: ${peerConnection.connectionState}`);
       
-      // Handle disconnections
-      if (peerConnection.connectionState === 'disconnected' || 
-          peerConnection.connectionState === 'failed' ||
-          peerConnection.connectionState === 'closed') {
-        
-        if (peerConnectionsRef.current[viewerId]) {
-          peerConnectionsRef.current[viewerId].close();
-          delete peerConnectionsRef.current[viewerId];
-          
-          // Update viewer count
-          setViewerCount(prevCount => Math.max(0, prevCount - 1));
-        }
+      if (peerConnection.connectionState === 'closed') {
+        removeViewer(viewerId, peerConnection);
+      } else if (peerConnectionsRef.current[viewerId] === peerConnection) {
+        syncRoster();
       }
     };
     
+    // Ride out network blips with ICE restarts before dropping the viewer
+    watchPeerConnection(peerConnection, {
+      onRestart: (attempt) => {
+        console.log(`Connection to ${viewerId} interrupted, ICE restart attempt ${attempt}`);
+        restartIce(viewerId);
+      },
+      onRecovered: () => console.log(`Connection to ${viewerId} recovered`),
+      onGiveUp: () => {
+        console.log(`Giving up on viewer ${viewerId}`);
+        logSession(log => log.error(`connection to ${viewerId}`, new Error('Lost after ICE restarts')));
+        removeViewer(viewerId, peerConnection);
+      }
+    });
+    
     return peerConnection;
   };
   
-  // Stop the broadcasting session
-  const stopStreaming = () => {
+  // Stop the broadcasting session. A start that failed leaves the session
+  // log to startStreaming, which closes it without a summary.
+  const stopStreaming = ({ showReport = true } = {}) => {
+    // Close the session log and show what the broadcast came to
+    if (sessionLogRef.current && showReport) {
+      sessionLogRef.current.finish().then(report => {
+        if (isMountedRef.current) {
+          setSessionReport(report);
+        }
+      });
+      sessionLogRef.current = null;
+    }
+    
     // Close all peer connections
     Object.values(peerConnectionsRef.current).forEach(pc => {
       pc.close();
     });
     peerConnectionsRef.current = {};
+    viewerInfoRef.current = {};
+    viewerLayersRef.current = {};
+    challengesRef.current = {};
+    relayTreeRef.current.clear();
+    setRoster([]);
+    chatRef.current.reset();
+    thumbnailsRef.current.stop();
+    thumbnailsRef.current.removeAllListeners();
+    
+    if (whipSessionRef.current) {
+      whipSessionRef.current.close();
+      whipSessionRef.current = null;
+    }
     
-    // Close WebSocket connection
-    if (socketRef.current) {
-      socketRef.current.close();
-      socketRef.current = null;
+    if (e2eeRef.current) {
+      e2eeRef.current.close();
+      e2eeRef.current = null;
+    }
+    setE2eeKeyIndex(null);
+    
+    // Close signaling connection
+    if (signalingRef.current) {
+      signalingRef.current.removeAllListeners();
+      signalingRef.current.close();
+      signalingRef.current = null;
     }
     
     // Stop local media stream
@@ -237,20 +1355,186 @@ const Broadcaster = () => {
       localStreamRef.current.getTracks().forEach(track => track.stop());
       localStreamRef.current = null;
     }
+    setLocalStreamState(null);
+    
+    if (effectsPipelineRef.current) {
+      effectsPipelineRef.current.stop();
+      effectsPipelineRef.current = null;
+    }
+    if (gainStageRef.current) {
+      gainStageRef.current.stop();
+      gainStageRef.current = null;
+    }
+    setGainTrack(null);
+    
+    // Everyone leaves the stage with the viewers gone
+    if (compositorRef.current) {
+      compositorRef.current.stop();
+      compositorRef.current = null;
+      mixerRef.current.stop();
+      mixerRef.current = null;
+    }
+    raisedHandsRef.current.clear();
+    stageGuestsRef.current.clear();
+    setStageGuests([]);
     
     // Reset video element
     if (videoRef.current) {
       videoRef.current.srcObject = null;
     }
     
+    // Drop the slate and start the next broadcast unmuted
+    if (slateRef.current) {
+      slateRef.current.stop();
+      slateRef.current = null;
+    }
+    mediaStateRef.current = { audioMuted: false, videoOff: false };
+    setAudioMuted(false);
+    setVideoOff(false);
+    
     setIsStreaming(false);
+    setIsReconnecting(false);
     setStatus('Stream ended');
-    setViewerCount(0);
   };
   
-  // Handle resolution change
+  // Access changes apply to viewers joining from now on
+  const handleAccessModeChange = (e) => {
+    setAccessMode(e.target.value);
+    accessRef.current = { ...accessRef.current, mode: e.target.value };
+  };
+  
+  const handlePasscodeChange = (e) => {
+    setPasscode(e.target.value);
+    accessRef.current = { ...accessRef.current, passcode: e.target.value };
+  };
+  
+  const createInvite = async (expiresIn) => {
+    try {
+      const token = await createInviteToken(inviteKeyRef.current, { streamId, expiresIn });
+      setInvites(current => [...current, {
+        token,
+        url: getViewerUrl(streamId, { token }, getShareFragment()),
+        expiresAt: Date.now() + expiresIn
+      }]);
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      setStatus(`Could not create invite: ${error.message}`);
+    }
+  };
+  
+  // Relay settings apply to viewers placed from now on
+  const handleRelayEnabledChange = (e) => {
+    setRelayEnabled(e.target.checked);
+    relayTreeRef.current.configure({ maxDirect: e.target.checked ? maxDirectViewers : Infinity });
+  };
+  
+  const handleMaxDirectViewersChange = (e) => {
+    const maxDirect = Number(e.target.value);
+    setMaxDirectViewers(maxDirect);
+    if (relayEnabled) {
+      relayTreeRef.current.configure({ maxDirect });
+    }
+  };
+  
+  // Viewers need to know to play from the media server instead
+  const getTransportParams = () => (
+    transport === StreamTransport.WHIP ? { transport: WHEP_TRANSPORT_PARAM } : {}
+  );
+  
+  const getShareUrl = () => getViewerUrl(streamId, getTransportParams(), getShareFragment());
+  
+  // The passphrase goes in the fragment, so it never reaches a server
+  const getShareFragment = () => (
+    e2ee.enabled && e2ee.passphrase ? { [E2EE_FRAGMENT_PARAM]: e2ee.passphrase } : {}
+  );
+  
+  // Derive the key before any connection is made; every sender is
+  // encrypted from its first frame. Viewers over the signaling server get
+  // random stream keys from us; media server viewers only have the
+  // passphrase, so those broadcasts keep its key.
+  const startE2ee = async () => {
+    const session = new E2eeSession();
+    session.on('key', setE2eeKeyIndex);
+    session.on('stream-key', (streamKey) => {
+      Object.keys(viewerInfoRef.current).forEach(viewerId => sendStreamKey(viewerId, streamKey));
+    });
+    try {
+      await session.setPassphrase(e2ee.passphrase, streamId);
+      if (transport === StreamTransport.P2P) {
+        await session.rotateKey({ delay: 0 });
+        session.startRotation();
+      }
+    } catch (error) {
+      session.close();
+      throw error;
+    }
+    e2eeRef.current = session;
+    setE2eeKeyIndex(session.keyIndex);
+  };
+  
+  const handleE2eeEnabledChange = (enabled) => {
+    setE2ee(current => ({
+      enabled,
+      passphrase: enabled && !current.passphrase ? generatePassphrase() : current.passphrase
+    }));
+  };
+  
+  const handleChatNameChange = (name) => {
+    setChatName(name);
+    chatRef.current.hostName = name.trim() || 'Broadcaster';
+  };
+  
+  // Handle resolution change, applied to the running capture while live
   const handleResolutionChange = (e) => {
     setResolution(e.target.value);
+    
+    if (isStreaming) {
+      const [width, height] = e.target.value.split('x').map(Number);
+      applyCaptureConstraints({ width, height });
+    }
+  };
+  
+  // Source changes apply immediately while live
+  const handleSourceTypeChange = async (e) => {
+    const type = e.target.value;
+    const previous = sourceType;
+    setSourceType(type);
+    
+    if (!isStreaming) {
+      setPreflight(null);
+    }
+    if (isStreaming && !(await switchVideoSource(type, cameraId))) {
+      // e.g. the screen picker was cancelled
+      setSourceType(previous);
+    }
+  };
+  
+  // The checks depend on the transport, so they have to run again
+  const handleTransportChange = (e) => {
+    setTransport(e.target.value);
+    setPreflight(null);
+  };
+  
+  const handleCameraChange = async (e) => {
+    const deviceId = e.target.value;
+    setCameraId(deviceId);
+    
+    if (isStreaming) {
+      await switchVideoSource(SourceType.CAMERA, deviceId);
+    } else {
+      setPreflight(null);
+    }
+  };
+  
+  const handleMicrophoneChange = async (e) => {
+    const deviceId = e.target.value;
+    setMicrophoneId(deviceId);
+    
+    if (isStreaming) {
+      await switchMicrophone(deviceId);
+    } else {
+      setPreflight(null);
+    }
   };
   
   return (
@@ -259,8 +1543,13 @@ const Broadcaster = () => {
       
       <div className="stream-info">
         <p>Stream ID: <span className="highlight">{streamId}</span></p>
-        <p>Status: <span className={`highlight ${isStreaming ? 'active' : ''}`}>{status}</span></p>
-        <p>Viewers: <span className="highlight">{viewerCount}</span></p>
+        <p>Status: <span className={`highlight ${isReconnecting ? 'reconnecting' : isStreaming ? 'active' : ''}`}>{status}</span></p>
+        {transport === StreamTransport.P2P && (
+          <p>Viewers: <span className="highlight">{roster.length}</span></p>
+        )}
+        {e2eeKeyIndex !== null && (
+          <p>Media: <span className="highlight e2ee">End-to-end encrypted</span></p>
+        )}
       </div>
       
       <div className="video-container">
@@ -272,6 +1561,8 @@ const Broadcaster = () => {
           style={{ display: isStreaming ? 'block' : 'none' }}
         />
         
+        {isStreaming && transport === StreamTransport.P2P && <ReactionOverlay reactions={chat.reactions} />}
+        
         {!isStreaming && (
           <div className="placeholder">
             Camera preview will appear here when streaming starts
@@ -279,15 +1570,176 @@ const Broadcaster = () => {
         )}
       </div>
       
+      {!isStreaming && sessionReport && (
+        <SessionSummary
+          session={sessionReport.session}
+          events={sessionReport.events}
+          onClose={() => setSessionReport(null)}
+        />
+      )}
+      
+      {isStreaming && (
+        <LiveControls
+          audioMuted={audioMuted}
+          videoOff={videoOff}
+          frameRate={frameRate}
+          maxBitrate={maxBitrate}
+          scaleResolutionDownBy={scaleResolutionDownBy}
+          onToggleAudio={toggleAudio}
+          onToggleVideo={toggleVideo}
+          onFrameRateChange={handleFrameRateChange}
+          onMaxBitrateChange={handleMaxBitrateChange}
+          onScaleChange={handleScaleChange}
+        />
+      )}
+      
+      <VideoEffectsPanel effects={effects} onChange={handleEffectsChange} />
+      
+      <AudioInputPanel
+        processing={audioProcessing}
+        supported={supportedAudioProcessing}
+        gain={inputGain}
+        track={isStreaming && localStream ? gainTrack || localStream.getAudioTracks()[0] || null : null}
+        onProcessingChange={handleAudioProcessingChange}
+        onGainChange={handleInputGainChange}
+      />
+      
+      <E2eePanel
+        enabled={e2ee.enabled}
+        passphrase={e2ee.passphrase}
+        supported={isE2eeSupported()}
+        live={isStreaming}
+        keyIndex={e2eeKeyIndex}
+        rotating={transport === StreamTransport.P2P}
+        onEnabledChange={handleE2eeEnabledChange}
+        onPassphraseChange={(passphrase) => setE2ee(current => ({ ...current, passphrase }))}
+        onGeneratePassphrase={() => setE2ee(current => ({ ...current, passphrase: generatePassphrase() }))}
+        onRotateKey={rotateStreamKey}
+      />
+      
       <div className="settings-panel">
         <h3>Streaming Settings</h3>
         
+        <div className="setting">
+          <label>Video source:</label>
+          <select value={sourceType} onChange={handleSourceTypeChange}>
+            <option value={SourceType.CAMERA}>Camera</option>
+            {isScreenCaptureSupported() && (
+              <option value={SourceType.SCREEN}>Screen or window</option>
+            )}
+          </select>
+        </div>
+        
+        {sourceType === SourceType.CAMERA && (
+          <div className="setting">
+            <label>Camera:</label>
+            <select value={cameraId} onChange={handleCameraChange}>
+              <option value="">Default camera</option>
+              {cameras.map(camera => (
+                <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        
+        <div className="setting">
+          <label>Microphone:</label>
+          <select value={microphoneId} onChange={handleMicrophoneChange}>
+            <option value="">Default microphone</option>
+            {microphones.map(microphone => (
+              <option key={microphone.deviceId} value={microphone.deviceId}>{microphone.label}</option>
+            ))}
+          </select>
+        </div>
+        
+        <div className="setting">
+          <label>Transport:</label>
+          <select value={transport} onChange={handleTransportChange} disabled={isStreaming}>
+            <option value={StreamTransport.P2P}>Peer-to-peer</option>
+            <option value={StreamTransport.WHIP} disabled={!getConfig().whipUrl}>
+              Media server (WHIP)
+            </option>
+          </select>
+        </div>
+        
+        {transport === StreamTransport.WHIP && (
+          <p className="setting-note">
+            Media server broadcasts aren't listed under Live streams. Share the viewer link instead.
+          </p>
+        )}
+        
+        {transport === StreamTransport.P2P && (
+          <>
+            <div className="setting">
+              <label>Title:</label>
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                maxLength={MAX_TITLE_LENGTH}
+                placeholder="Shown in the stream listing"
+                disabled={isStreaming}
+              />
+            </div>
+            
+            <div className="setting">
+              <label>Description:</label>
+              <textarea
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                maxLength={MAX_DESCRIPTION_LENGTH}
+                rows={2}
+                disabled={isStreaming}
+              />
+            </div>
+            
+            <div className="setting">
+              <label>Listing:</label>
+              <select value={visibility} onChange={(e) => setVisibility(e.target.value)} disabled={isStreaming}>
+                <option value={StreamVisibility.PUBLIC}>Public (listed under Live streams)</option>
+                <option value={StreamVisibility.UNLISTED}>Unlisted (link only)</option>
+              </select>
+            </div>
+            
+            <div className="setting">
+              <label>Access:</label>
+              <select value={accessMode} onChange={handleAccessModeChange}>
+                <option value={AccessMode.OPEN}>Anyone with the link</option>
+                <option value={AccessMode.PASSCODE}>Passcode</option>
+                <option value={AccessMode.INVITE}>Invite links only</option>
+              </select>
+            </div>
+            
+            {accessMode === AccessMode.PASSCODE && (
+              <div className="setting">
+                <label>Passcode:</label>
+                <input type="text" value={passcode} onChange={handlePasscodeChange} placeholder="Required to watch" />
+              </div>
+            )}
+            
+            {accessMode === AccessMode.INVITE && (
+              <InviteLinks invites={invites} onCreate={createInvite} disabled={!streamId} />
+            )}
+            
+            <div className="setting">
+              <label>
+                <input type="checkbox" checked={relayEnabled} onChange={handleRelayEnabledChange} />
+                Relay mode (viewers past the limit get the stream from other viewers)
+              </label>
+              <select value={maxDirectViewers} onChange={handleMaxDirectViewersChange} disabled={!relayEnabled}>
+                {DIRECT_VIEWER_LIMITS.map(limit => (
+                  <option key={limit} value={limit}>Up to {limit} direct viewers</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+        
         <div className="setting">
           <label>Resolution:</label>
           <select 
             value={resolution} 
             onChange={handleResolutionChange}
-            disabled={isStreaming}
           >
             <option value="320x240">320x240 (Low)</option>
             <option value="640x480">640x480 (Medium)</option>
@@ -296,18 +1748,47 @@ const Broadcaster = () => {
         </div>
       </div>
       
+      {transport === StreamTransport.P2P && !isStreaming && (
+        <SchedulePanel
+          schedule={schedule}
+          title={title}
+          calendarUrl={getViewerUrl(streamId, getTransportParams())}
+          disabled={isStreaming || !streamId}
+          onSchedule={handleSchedule}
+          onCancel={handleCancelSchedule}
+        />
+      )}
+      
+      {!isStreaming && (
+        <PreflightCheck
+          streamId={streamId}
+          transport={transport}
+          sourceType={sourceType}
+          cameraId={cameraId}
+          microphoneId={microphoneId}
+          resolution={resolution}
+          frameRate={frameRate}
+          onPermissionGranted={refreshDevices}
+          onResult={setPreflight}
+        />
+      )}
+      
       <div className="controls">
         {!isStreaming ? (
           <button 
             className="start-button"
             onClick={startStreaming}
+            disabled={!preflight || !preflight.ok || (e2ee.enabled && !e2ee.passphrase.trim())}
+            title={!preflight || !preflight.ok
+              ? 'Run the pre-flight check first'
+              : e2ee.enabled && !e2ee.passphrase.trim() ? 'Enter an encryption passphrase' : undefined}
           >
             Start Broadcasting
           </button>
         ) : (
           <button 
             className="stop-button"
-            onClick={stopStreaming}
+            onClick={() => stopStreaming()}
           >
             Stop Broadcasting
           </button>
@@ -316,18 +1797,69 @@ const Broadcaster = () => {
         <button 
           className="new-id-button"
           onClick={fetchStreamId}
-          disabled={isStreaming}
+          disabled={isStreaming || Boolean(schedule)}
+          title={schedule ? 'Viewers were given this stream ID; cancel the schedule first' : undefined}
         >
           Generate New Stream ID
         </button>
       </div>
       
+      {isStreaming && stageGuests.length > 0 && (
+        <StagePanel
+          guests={stageGuests}
+          onRemove={removeFromStage}
+        />
+      )}
+      
+      {isStreaming && transport === StreamTransport.P2P && (
+        <ViewerRoster
+          roster={roster}
+          stats={connectionStats}
+          bannedViewers={bannedViewers}
+          stageFull={stageGuests.length >= MAX_STAGE_GUESTS}
+          onKick={(viewerId) => kickViewer(viewerId)}
+          onBan={(viewerId) => kickViewer(viewerId, { ban: true })}
+          onUnban={unbanViewer}
+          onBringOnStage={bringOnStage}
+          onRemoveFromStage={removeFromStage}
+        />
+      )}
+      
+      {isStreaming && transport === StreamTransport.P2P && (
+        <ChatPanel
+          messages={chat.messages}
+          slowMode={chat.slowMode}
+          rejection={chat.rejection}
+          selfId={broadcasterId.current}
+          name={chatName}
+          onNameChange={handleChatNameChange}
+          onSend={(text) => {
+            chatRef.current.send(text);
+            return null;
+          }}
+          onReact={(emoji) => chatRef.current.react(emoji)}
+          moderator
+          onDelete={(id) => chatRef.current.deleteMessage(id)}
+          onSlowModeChange={(seconds) => chatRef.current.setSlowMode(seconds)}
+        />
+      )}
+      
+      <StatsPanel stats={connectionStats} role="broadcaster" streamId={streamId} />
+      
+      <RecordingPanel
+        stream={isStreaming ? localStream : null}
+        source="broadcast"
+        label={`broadcast-${streamId}`}
+      />
+      
+      {!isStreaming && <SessionHistory refreshKey={sessionReport} onView={setSessionReport} />}
+      
       <div className="instructions">
         <h3>How to use:</h3>
         <ol>
           <li>Share your Stream ID with viewers</li>
-          <li>Click "Start Broadcasting" to begin</li>
-          <li>Viewers can join at: http://localhost:5173/view/{streamId}</li>
+          <li>Run the pre-flight check, then click "Start Broadcasting" to begin</li>
+          <li>Viewers can join at: {getShareUrl()}</li>
         </ol>
       </div>
     </div>
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MAX_MESSAGE_LENGTH, MAX_NAME_LENGTH, REACTIONS } from '../services/chat.js';
+import './ChatPanel.css';
+
+const SLOW_MODE_OPTIONS = [
+  { label: 'Off', value: 0 },
+  { label: '5 seconds', value: 5 },
+  { label: '15 seconds', value: 15 },
+  { label: '1 minute', value: 60 }
+];
+
+const describeRejection = ({ reason, retryAfter }) => {
+  const seconds = Math.ceil(retryAfter / 1000);
+  switch (reason) {
+    case 'slow_mode':
+      return `Slow mode is on, you can send again in ${seconds}s`;
+    case 'rate_limited':
+      return `You're sending messages too quickly, try again in ${seconds}s`;
+    case 'not_connected':
+      return 'Chat is not connected yet';
+    default:
+      return '';
+  }
+};
+
+// Chat log, composer and reaction buttons. Moderators (the broadcaster) can
+// also delete messages and set slow mode.
+const ChatPanel = ({
+  messages,
+  slowMode,
+  rejection,
+  selfId,
+  name,
+  onNameChange,
+  onSend,
+  onReact,
+  moderator = false,
+  onDelete,
+  onSlowModeChange,
+  disabled = false
+}) => {
+  const [draft, setDraft] = useState('');
+  const [localRejection, setLocalRejection] = useState(null);
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  // Clear a rejection once sending is allowed again
+  useEffect(() => {
+    if (!localRejection) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setLocalRejection(null), Math.max(localRejection.retryAfter, 3000));
+    return () => clearTimeout(timer);
+  }, [localRejection]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = onSend(draft);
+    setLocalRejection(result);
+    if (!result || result.reason === 'empty') {
+      setDraft('');
+    }
+  };
+
+  const notice = localRejection || rejection;
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-header">
+        <h3>Chat</h3>
+        {moderator ? (
+          <label className="slow-mode-setting">
+            Slow mode:
+            <select value={slowMode} onChange={(e) => onSlowModeChange(Number(e.target.value))}>
+              {SLOW_MODE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        ) : slowMode > 0 && (
+          <span className="slow-mode-badge">Slow mode: {slowMode}s</span>
+        )}
+      </div>
+
+      <ul className="chat-messages" ref={listRef}>
+        {messages.length === 0 && <li className="chat-empty">No messages yet.</li>}
+        {messages.map(message => (
+          <li
+            key={message.id}
+            className={`chat-message ${message.host ? 'host' : ''} ${message.senderId === selfId ? 'own' : ''}`}
+          >
+            <span className="chat-time">{new Date(message.sentAt).toLocaleTimeString()}</span>
+            <span className="chat-name">{message.name}</span>
+            <span className="chat-text">{message.text}</span>
+            {moderator && (
+              <button className="chat-delete" title="Delete message" onClick={() => onDelete(message.id)}>
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {notice && describeRejection(notice) && <p className="chat-notice">{describeRejection(notice)}</p>}
+
+      <div className="chat-reactions">
+        {REACTIONS.map(emoji => (
+          <button key={emoji} onClick={() => onReact(emoji)} disabled={disabled}>{emoji}</button>
+        ))}
+      </div>
+
+      <form className="chat-composer" onSubmit={handleSubmit}>
+        <input
+          className="chat-name-input"
+          type="text"
+          value={name}
+          placeholder="Your name"
+          maxLength={MAX_NAME_LENGTH}
+          onChange={(e) => onNameChange(e.target.value)}
+        />
+        <input
+          className="chat-input"
+          type="text"
+          value={draft}
+          placeholder={disabled ? 'Chat is unavailable' : 'Say something...'}
+          maxLength={MAX_MESSAGE_LENGTH}
+          disabled={disabled}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+        <button type="submit" disabled={disabled || !draft.trim()}>Send</button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
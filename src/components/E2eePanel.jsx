@@ -0,0 +1,78 @@
+import React from 'react';
+import { KEY_ROTATION_INTERVAL_MS } from '../services/e2ee.js';
+import './E2eePanel.css';
+
+// End-to-end encryption settings: chosen before going live, with the key in
+// use and a manual rotation while live. `rotating` is false for media
+// server broadcasts, which stay on the passphrase's key.
+const E2eePanel = ({
+  enabled,
+  passphrase,
+  supported,
+  live,
+  keyIndex,
+  rotating,
+  onEnabledChange,
+  onPassphraseChange,
+  onGeneratePassphrase,
+  onRotateKey
+}) => (
+  <div className="e2ee-panel">
+    <h3>End-to-end Encryption</h3>
+
+    {!supported && (
+      <p className="e2ee-note">This browser can't encrypt media end to end.</p>
+    )}
+
+    <div className="setting">
+      <label>
+        <input
+          type="checkbox"
+          checked={enabled}
+          disabled={live || !supported}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+        />
+        Encrypt video and audio so relays and media servers can't see them
+      </label>
+    </div>
+
+    {enabled && (
+      <div className="setting">
+        <label>Passphrase:</label>
+        <div className="e2ee-passphrase">
+          <input
+            type="text"
+            value={passphrase}
+            onChange={(e) => onPassphraseChange(e.target.value)}
+            placeholder="Viewers need this to watch"
+            disabled={live}
+          />
+          <button onClick={onGeneratePassphrase} disabled={live}>Generate</button>
+        </div>
+        <p className="e2ee-note">
+          Share links include the passphrase after the '#', which browsers don't send to any server.
+          Anyone with the link can watch, so share it only with your viewers.
+          Over peer-to-peer, viewers get a random key that changes every {KEY_ROTATION_INTERVAL_MS / 60000} minutes
+          and whenever you kick or ban someone, so removed viewers can't decrypt what follows.
+          Media server broadcasts use a key derived from the passphrase for their whole length.
+        </p>
+      </div>
+    )}
+
+    {live && keyIndex !== null && (
+      <div className="e2ee-status">
+        <span className="e2ee-badge">Encrypted</span>
+        {rotating ? (
+          <>
+            <span>Key #{keyIndex}, rotated every {KEY_ROTATION_INTERVAL_MS / 60000} minutes and on every kick or ban</span>
+            <button onClick={onRotateKey}>Rotate now</button>
+          </>
+        ) : (
+          <span>Key derived from the passphrase, not rotated</span>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default E2eePanel;
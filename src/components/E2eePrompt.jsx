@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import './E2eePrompt.css';
+
+// Shown over the video while an end-to-end encrypted stream can't be
+// decrypted: we have no passphrase, or the one we have is wrong
+const E2eePrompt = ({ failing, onSubmitPassphrase }) => {
+  const [passphrase, setPassphrase] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmitPassphrase(passphrase.trim());
+  };
+
+  return (
+    <div className="e2ee-prompt">
+      <p>
+        {failing
+          ? 'This stream can\'t be decrypted with the passphrase you have. Check your link, or enter the passphrase.'
+          : 'This stream is end-to-end encrypted. Open the full link from the broadcaster, or enter the passphrase.'}
+      </p>
+
+      <form onSubmit={handleSubmit}>
+        <input
+          type="password"
+          value={passphrase}
+          placeholder="Passphrase"
+          autoFocus
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+        <button type="submit" disabled={!passphrase.trim()}>Decrypt</button>
+      </form>
+    </div>
+  );
+};
+
+export default E2eePrompt;
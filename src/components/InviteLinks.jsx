@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import './InviteLinks.css';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 hour', value: 60 * 60 * 1000 },
+  { label: '1 day', value: 24 * 60 * 60 * 1000 },
+  { label: '1 week', value: 7 * 24 * 60 * 60 * 1000 }
+];
+
+// Create signed invite links and list the ones issued for this stream ID
+const InviteLinks = ({ invites, onCreate, disabled }) => {
+  const [expiresIn, setExpiresIn] = useState(EXPIRY_OPTIONS[1].value);
+  const now = Date.now();
+
+  const copy = (url) => {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(error => console.error('Error copying invite:', error));
+    }
+  };
+
+  return (
+    <div className="invite-links">
+      <div className="invite-create">
+        <label>Invite valid for:</label>
+        <select value={expiresIn} onChange={(e) => setExpiresIn(Number(e.target.value))}>
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button onClick={() => onCreate(expiresIn)} disabled={disabled}>Create invite link</button>
+      </div>
+
+      {invites.length > 0 && (
+        <ul>
+          {invites.map(invite => (
+            <li key={invite.token} className={invite.expiresAt <= now ? 'expired' : ''}>
+              <input type="text" value={invite.url} readOnly onFocus={(e) => e.target.select()} />
+              <button onClick={() => copy(invite.url)}>Copy</button>
+              <span className="invite-expiry">
+                {invite.expiresAt <= now ? 'Expired' : `Expires ${new Date(invite.expiresAt).toLocaleString()}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default InviteLinks;
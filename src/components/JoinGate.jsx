@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { JoinRejectReason } from '../services/streamAuth.js';
+import './JoinGate.css';
+
+const messages = {
+  [JoinRejectReason.PASSCODE_REQUIRED]: 'This stream is protected by a passcode.',
+  [JoinRejectReason.INVALID_PASSCODE]: 'That passcode is not correct, try again.',
+  [JoinRejectReason.TOKEN_REQUIRED]: 'This stream is invite-only. Ask the broadcaster for an invite link.',
+  [JoinRejectReason.INVALID_TOKEN]: 'This invite link is not valid for this stream.',
+  [JoinRejectReason.EXPIRED_TOKEN]: 'This invite link has expired. Ask the broadcaster for a new one.'
+};
+
+const passcodeReasons = [JoinRejectReason.PASSCODE_REQUIRED, JoinRejectReason.INVALID_PASSCODE];
+
+// Shown in place of the video when the broadcaster refused to let us in
+const JoinGate = ({ reason, onSubmitPasscode }) => {
+  const [passcode, setPasscode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmitPasscode(passcode);
+  };
+
+  return (
+    <div className="join-gate">
+      <p>{messages[reason] || 'You are not allowed to join this stream.'}</p>
+
+      {passcodeReasons.includes(reason) && (
+        <form onSubmit={handleSubmit}>
+          <input
+            type="password"
+            value={passcode}
+            placeholder="Passcode"
+            autoFocus
+            onChange={(e) => setPasscode(e.target.value)}
+          />
+          <button type="submit" disabled={!passcode}>Join</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default JoinGate;
@@ -0,0 +1,85 @@
+import React from 'react';
+import './LiveControls.css';
+
+const FRAME_RATES = [15, 24, 30];
+
+// Max video bitrate per viewer, in bits per second; null leaves it to the browser
+const BITRATE_OPTIONS = [
+  { value: null, label: 'Auto' },
+  { value: 2500000, label: '2.5 Mbps' },
+  { value: 1000000, label: '1 Mbps' },
+  { value: 500000, label: '500 kbps' },
+  { value: 250000, label: '250 kbps' }
+];
+
+const SCALE_OPTIONS = [
+  { value: 1, label: 'Full resolution' },
+  { value: 1.5, label: '1/1.5' },
+  { value: 2, label: '1/2' },
+  { value: 4, label: '1/4' }
+];
+
+// Mute, video-off and quality controls for a running broadcast
+const LiveControls = ({
+  audioMuted,
+  videoOff,
+  frameRate,
+  maxBitrate,
+  scaleResolutionDownBy,
+  onToggleAudio,
+  onToggleVideo,
+  onFrameRateChange,
+  onMaxBitrateChange,
+  onScaleChange
+}) => (
+  <div className="live-controls">
+    <h3>Live Controls</h3>
+
+    <div className="live-toggles">
+      <button
+        className={`toggle-button ${audioMuted ? 'off' : ''}`}
+        onClick={onToggleAudio}
+      >
+        {audioMuted ? 'Unmute Microphone' : 'Mute Microphone'}
+      </button>
+      <button
+        className={`toggle-button ${videoOff ? 'off' : ''}`}
+        onClick={onToggleVideo}
+      >
+        {videoOff ? 'Resume Video' : 'Be Right Back'}
+      </button>
+    </div>
+
+    <div className="setting">
+      <label>Frame rate:</label>
+      <select value={frameRate} onChange={(e) => onFrameRateChange(Number(e.target.value))}>
+        {FRAME_RATES.map(rate => (
+          <option key={rate} value={rate}>{rate} fps</option>
+        ))}
+      </select>
+    </div>
+
+    <div className="setting">
+      <label>Max bitrate per viewer:</label>
+      <select
+        value={maxBitrate === null ? '' : maxBitrate}
+        onChange={(e) => onMaxBitrateChange(e.target.value === '' ? null : Number(e.target.value))}
+      >
+        {BITRATE_OPTIONS.map(option => (
+          <option key={option.label} value={option.value === null ? '' : option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+
+    <div className="setting">
+      <label>Resolution sent to viewers:</label>
+      <select value={scaleResolutionDownBy} onChange={(e) => onScaleChange(Number(e.target.value))}>
+        {SCALE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  </div>
+);
+
+export default LiveControls;
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import { buildCalendarEvent, calendarFileName } from '../services/schedule.js';
+import { downloadBlob } from '../utils/download.js';
+import { formatCountdown } from '../utils/format.js';
+import './Lobby.css';
+
+// Shown in place of the video while a scheduled broadcast hasn't started.
+// The viewer switches to the stream by itself once the broadcaster is live.
+const Lobby = ({ schedule, url }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remaining = schedule.startsAt - now;
+
+  const addToCalendar = () => {
+    const calendar = buildCalendarEvent({ ...schedule, url });
+    downloadBlob(new Blob([calendar], { type: 'text/calendar' }), calendarFileName(schedule.title));
+  };
+
+  return (
+    <div className="lobby">
+      <p className="lobby-label">{remaining > 0 ? 'Starting in' : 'Starting soon'}</p>
+      {remaining > 0 && <p className="lobby-countdown">{formatCountdown(remaining)}</p>}
+      <h2>{schedule.title || 'Scheduled broadcast'}</h2>
+      <p className="lobby-time">
+        {new Date(schedule.startsAt).toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short' })}
+      </p>
+      {schedule.description && <p className="lobby-description">{schedule.description}</p>}
+      {remaining > 0 && <button onClick={addToCalendar}>Add to calendar</button>}
+    </div>
+  );
+};
+
+export default Lobby;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  CheckStatus,
+  checkSignaling,
+  describeMediaError,
+  estimateUplink,
+  estimateViewerCapacity,
+  gatherIceCandidates,
+  isMediaCaptureAvailable,
+  rateIceCandidates
+} from '../services/preflight.js';
+import { getConfig, getIceServers, getSignalingUrl, loadConfig } from '../services/config.js';
+import { SourceType, getCameraStream, getMicrophoneTrack, isScreenCaptureSupported } from '../services/mediaDevices.js';
+import { StreamTransport } from '../services/whip.js';
+import { formatBitrate } from '../utils/format.js';
+import AudioLevelMeter from './AudioLevelMeter.jsx';
+import './PreflightCheck.css';
+
+const CHECKS = [
+  { key: 'media', label: 'Camera and microphone' },
+  { key: 'signaling', label: 'Signaling server' },
+  { key: 'network', label: 'Network connectivity' },
+  { key: 'uplink', label: 'Upload speed' }
+];
+
+const statusLabels = {
+  [CheckStatus.PENDING]: 'Not checked',
+  [CheckStatus.RUNNING]: 'Checking...',
+  [CheckStatus.PASSED]: 'OK',
+  [CheckStatus.WARNING]: 'Warning',
+  [CheckStatus.FAILED]: 'Failed',
+  [CheckStatus.SKIPPED]: 'Skipped'
+};
+
+// Below this many direct viewers, suggest relay mode
+const FEW_VIEWERS = 3;
+
+const initialChecks = () => Object.fromEntries(
+  CHECKS.map(({ key }) => [key, { status: CheckStatus.PENDING, detail: '' }])
+);
+
+// Step-by-step check of everything going live depends on, with a camera
+// preview and mic level meter. Reports { ok } through `onResult`; ok is
+// false if any check failed.
+const PreflightCheck = ({
+  streamId,
+  transport,
+  sourceType,
+  cameraId,
+  microphoneId,
+  resolution,
+  frameRate,
+  onPermissionGranted,
+  onResult
+}) => {
+  const [checks, setChecks] = useState(initialChecks);
+  const [running, setRunning] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const videoRef = useRef(null);
+  const previewRef = useRef(null);
+  const activeRef = useRef(true);
+
+  // Release the devices when the wizard goes away, e.g. on going live
+  useEffect(() => {
+    activeRef.current = true;
+    return () => {
+      activeRef.current = false;
+      if (previewRef.current) {
+        previewRef.current.getTracks().forEach(track => track.stop());
+        previewRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = preview;
+    }
+  }, [preview]);
+
+  const replacePreview = (stream) => {
+    if (previewRef.current) {
+      previewRef.current.getTracks().forEach(track => track.stop());
+    }
+    previewRef.current = stream;
+    setPreview(stream);
+  };
+
+  // Screen sharing asks what to share on going live, so only the
+  // microphone can be tried now
+  const openPreview = async () => {
+    if (sourceType === SourceType.SCREEN) {
+      if (!isScreenCaptureSupported()) {
+        throw Object.assign(new Error('Screen sharing is not supported in this browser'), { name: 'NotSupportedError' });
+      }
+      return new MediaStream([await getMicrophoneTrack({ deviceId: microphoneId })]);
+    }
+
+    const [width, height] = resolution.split('x').map(Number);
+    return getCameraStream({ cameraId, microphoneId, width, height, frameRate });
+  };
+
+  const describePreview = (stream) => {
+    const [video] = stream.getVideoTracks();
+    const [audio] = stream.getAudioTracks();
+    const parts = [];
+
+    if (video) {
+      const { width, height } = video.getSettings();
+      parts.push(`${video.label || 'Camera'} at ${width}x${height}`);
+    } else {
+      parts.push('Screen sharing is available; you pick what to share when going live');
+    }
+    parts.push(`${audio ? audio.label || 'Microphone' : 'no microphone'}. Speak to check the level meter.`);
+    return parts.join(', ');
+  };
+
+  const checkMedia = async (report) => {
+    if (!isMediaCaptureAvailable()) {
+      report(CheckStatus.FAILED, 'This page can\'t use the camera. Open it over https in a current browser.');
+      return;
+    }
+
+    try {
+      const stream = await openPreview();
+      if (!activeRef.current) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      replacePreview(stream);
+      onPermissionGranted();
+      report(CheckStatus.PASSED, describePreview(stream));
+    } catch (error) {
+      console.error('Pre-flight device check failed:', error);
+      report(CheckStatus.FAILED, describeMediaError(error) || `Could not start the devices: ${error.message}`);
+    }
+  };
+
+  const checkSignalingServer = async (report) => {
+    if (transport === StreamTransport.WHIP) {
+      report(CheckStatus.SKIPPED, 'Not used when publishing to a media server.');
+      return;
+    }
+
+    try {
+      const elapsed = await checkSignaling(getSignalingUrl(streamId));
+      report(CheckStatus.PASSED, `Connected in ${elapsed} ms.`);
+    } catch (error) {
+      report(
+        CheckStatus.FAILED,
+        `Could not reach ${getConfig().signalingBaseUrl} (${error.message}). Check your connection, and whether a firewall or proxy blocks WebSockets.`
+      );
+    }
+  };
+
+  const checkNetwork = async (report) => {
+    try {
+      const iceServers = await getIceServers();
+      const { status, detail } = rateIceCandidates(await gatherIceCandidates(iceServers), iceServers);
+      report(status, detail);
+    } catch (error) {
+      report(CheckStatus.FAILED, `Could not gather network candidates: ${error.message}`);
+    }
+  };
+
+  const checkUplink = async (report) => {
+    let uplink;
+    try {
+      uplink = await estimateUplink(getConfig().uplinkTestUrl);
+    } catch (error) {
+      report(CheckStatus.WARNING, `Could not measure the upload speed (${error.message}).`);
+      return;
+    }
+
+    // The media server does the fanning out
+    if (transport === StreamTransport.WHIP) {
+      report(CheckStatus.PASSED, `About ${formatBitrate(uplink)} up.`);
+      return;
+    }
+
+    const capacity = estimateViewerCapacity(uplink, resolution);
+    if (capacity < 1) {
+      report(CheckStatus.WARNING, `About ${formatBitrate(uplink)} up, too little for a viewer at ${resolution}. Pick a lower resolution.`);
+    } else {
+      report(
+        CheckStatus.PASSED,
+        `About ${formatBitrate(uplink)} up, enough for about ${capacity} direct viewer${capacity === 1 ? '' : 's'} at ${resolution}.` +
+        (capacity < FEW_VIEWERS ? ' Relay mode can serve more.' : '')
+      );
+    }
+  };
+
+  const run = async () => {
+    setRunning(true);
+    const results = initialChecks();
+    setChecks(results);
+
+    const reporter = (key) => (status, detail = '') => {
+      results[key] = { status, detail };
+      setChecks({ ...results });
+    };
+    const step = async (key, check) => {
+      const report = reporter(key);
+      report(CheckStatus.RUNNING);
+      return check(report);
+    };
+
+    await loadConfig();
+    await step('media', checkMedia);
+    await step('signaling', checkSignalingServer);
+    await step('network', checkNetwork);
+    await step('uplink', checkUplink);
+
+    if (!activeRef.current) {
+      return;
+    }
+    setRunning(false);
+    onResult({
+      ok: !Object.values(results).some(result => result.status === CheckStatus.FAILED)
+    });
+  };
+
+  const [audioTrack] = preview ? preview.getAudioTracks() : [];
+  const hasVideo = Boolean(preview && preview.getVideoTracks().length > 0);
+
+  return (
+    <div className="preflight-check">
+      <h3>Pre-flight Check</h3>
+
+      <div className="preflight-body">
+        <div className="preflight-preview">
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            style={{ display: hasVideo ? 'block' : 'none' }}
+          />
+          {!hasVideo && <div className="preflight-preview-empty">No preview yet</div>}
+          <AudioLevelMeter track={audioTrack || null} label="Microphone level" />
+        </div>
+
+        <ol className="preflight-steps">
+          {CHECKS.map(({ key, label }) => (
+            <li key={key} className={`preflight-step ${checks[key].status}`}>
+              <span className="preflight-step-label">{label}</span>
+              <span className="preflight-step-status">{statusLabels[checks[key].status]}</span>
+              {checks[key].detail && <p className="preflight-step-detail">{checks[key].detail}</p>}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <button onClick={run} disabled={running || !streamId}>
+        {running ? 'Checking...' : checks.media.status === CheckStatus.PENDING ? 'Run checks' : 'Check again'}
+      </button>
+    </div>
+  );
+};
+
+export default PreflightCheck;
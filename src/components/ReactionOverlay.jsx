@@ -0,0 +1,29 @@
+import React from 'react';
+import './ReactionOverlay.css';
+
+// Spread reactions across the video, stable for a given id
+const horizontalPosition = (id) => {
+  let hash = 0;
+  for (let i = 0; i < id.length; i += 1) {
+    hash = (hash * 31 + id.charCodeAt(i)) % 1000;
+  }
+  return 10 + (hash % 80);
+};
+
+// Reactions floating up over the video; place inside a positioned container
+const ReactionOverlay = ({ reactions }) => (
+  <div className="reaction-overlay">
+    {reactions.map(reaction => (
+      <span
+        key={reaction.id}
+        className="floating-reaction"
+        style={{ left: `${horizontalPosition(reaction.id)}%` }}
+      >
+        {reaction.emoji}
+        <span className="floating-reaction-name">{reaction.name}</span>
+      </span>
+    ))}
+  </div>
+);
+
+export default ReactionOverlay;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { StreamRecorder, getSupportedFormats } from '../services/recorder.js';
+import {
+  RecordingStatus,
+  deleteRecording,
+  getRecordingBlob,
+  listRecordings,
+  markInterruptedRecordings
+} from '../services/recordingStore.js';
+import { downloadBlob } from '../utils/download.js';
+import { formatBytes, formatDuration } from '../utils/format.js';
+import './RecordingPanel.css';
+
+const statusLabels = {
+  [RecordingStatus.RECORDING]: 'Recording',
+  [RecordingStatus.PAUSED]: 'Paused',
+  [RecordingStatus.COMPLETE]: 'Complete',
+  [RecordingStatus.INTERRUPTED]: 'Interrupted'
+};
+
+const buildFilename = (recording) => {
+  const timestamp = new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-');
+  return `${recording.label || recording.source || 'recording'}-${timestamp}.${recording.extension}`;
+};
+
+// Local recording controls and the list of stored recordings.
+// `stream` is recorded while set; recording stops when it goes away.
+const RecordingPanel = ({ stream, source, label }) => {
+  const [formats] = useState(() => getSupportedFormats());
+  const [formatId, setFormatId] = useState(formats.length ? formats[0].id : '');
+  const [recorderState, setRecorderState] = useState('inactive');
+  const [elapsed, setElapsed] = useState(0);
+  const [recordings, setRecordings] = useState([]);
+  const [error, setError] = useState('');
+
+  const recorderRef = useRef(null);
+
+  const refreshRecordings = useCallback(async () => {
+    try {
+      setRecordings(await listRecordings());
+    } catch (error) {
+      console.error('Error listing recordings:', error);
+      setError('Recordings are unavailable (IndexedDB blocked?)');
+    }
+  }, []);
+
+  // Set up the recorder and pick up recordings left behind by a crashed tab
+  useEffect(() => {
+    const recorder = new StreamRecorder();
+    recorderRef.current = recorder;
+
+    recorder.on('state', setRecorderState);
+    recorder.on('progress', refreshRecordings);
+    recorder.on('stop', refreshRecordings);
+    recorder.on('error', (error) => setError(`Recording error: ${error.message}`));
+
+    markInterruptedRecordings()
+      .catch(error => console.error('Error recovering recordings:', error))
+      .finally(refreshRecordings);
+
+    return () => {
+      recorder.stop();
+      recorder.removeAllListeners();
+      recorderRef.current = null;
+    };
+  }, [refreshRecordings]);
+
+  // Stop when the stream being recorded ends, continue in a new recording
+  // when it is replaced
+  useEffect(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) {
+      return;
+    }
+    if (!stream) {
+      recorder.stop();
+    } else {
+      recorder.switchStream(stream);
+    }
+  }, [stream]);
+
+  // Tick the elapsed time while recording
+  useEffect(() => {
+    if (recorderState !== 'recording') {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      setElapsed(recorderRef.current ? recorderRef.current.duration : 0);
+    }, 500);
+    return () => clearInterval(timer);
+  }, [recorderState]);
+
+  const startRecording = async () => {
+    const format = formats.find(candidate => candidate.id === formatId);
+    setError('');
+    setElapsed(0);
+
+    try {
+      await recorderRef.current.start(stream, format, { label, source });
+      await refreshRecordings();
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      setError(`Could not start recording: ${error.message}`);
+    }
+  };
+
+  const handleDownload = async (recording) => {
+    try {
+      downloadBlob(await getRecordingBlob(recording.id), buildFilename(recording));
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      setError(`Could not download recording: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (recording) => {
+    try {
+      await deleteRecording(recording.id);
+      await refreshRecordings();
+    } catch (error) {
+      console.error('Error deleting recording:', error);
+      setError(`Could not delete recording: ${error.message}`);
+    }
+  };
+
+  if (formats.length === 0) {
+    return (
+      <div className="recording-panel">
+        <h3>Recording</h3>
+        <p>Recording is not supported in this browser.</p>
+      </div>
+    );
+  }
+
+  const isRecording = recorderState !== 'inactive';
+
+  return (
+    <div className="recording-panel">
+      <h3>Recording</h3>
+
+      <div className="recording-controls">
+        <select
+          value={formatId}
+          onChange={(e) => setFormatId(e.target.value)}
+          disabled={isRecording}
+        >
+          {formats.map(format => (
+            <option key={format.id} value={format.id}>{format.label}</option>
+          ))}
+        </select>
+
+        {!isRecording ? (
+          <button className="record-button" onClick={startRecording} disabled={!stream}>
+            Start Recording
+          </button>
+        ) : (
+          <>
+            {recorderState === 'recording' ? (
+              <button className="pause-button" onClick={() => recorderRef.current.pause()}>Pause</button>
+            ) : (
+              <button className="pause-button" onClick={() => recorderRef.current.resume()}>Resume</button>
+            )}
+            <button className="stop-button" onClick={() => recorderRef.current.stop()}>Stop</button>
+          </>
+        )}
+
+        {isRecording && (
+          <span className={`recording-indicator ${recorderState}`}>
+            {recorderState === 'recording' ? 'REC' : 'PAUSED'} {formatDuration(elapsed)}
+          </span>
+        )}
+      </div>
+
+      {error && <p className="recording-error">{error}</p>}
+
+      {recordings.length > 0 && (
+        <ul className="recording-list">
+          {recordings.map(recording => (
+            <li key={recording.id}>
+              <span className="recording-name">{buildFilename(recording)}</span>
+              <span className="recording-meta">
+                {statusLabels[recording.status]} · {formatDuration(recording.duration)} · {formatBytes(recording.size)}
+              </span>
+              <button
+                onClick={() => handleDownload(recording)}
+                disabled={recording.size === 0}
+              >
+                Download
+              </button>
+              <button
+                onClick={() => handleDelete(recording)}
+                disabled={recording.status === RecordingStatus.RECORDING || recording.status === RecordingStatus.PAUSED}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecordingPanel;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { buildCalendarEvent, calendarFileName } from '../services/schedule.js';
+import { downloadBlob } from '../utils/download.js';
+import './SchedulePanel.css';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// <input type="datetime-local"> works in local time without a zone
+const toInputValue = (time) => {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const nextFullHour = () => Math.ceil((Date.now() + 1) / HOUR_MS) * HOUR_MS;
+
+// Announce the broadcast ahead of time, under the title and description
+// from the streaming settings. Viewers opening the link early get a lobby.
+// `calendarUrl` is the stream's link without a passphrase or invite token,
+// since calendar entries get synced and shared.
+const SchedulePanel = ({ schedule, title, calendarUrl, disabled, onSchedule, onCancel }) => {
+  const [startsAt, setStartsAt] = useState(() => toInputValue(nextFullHour()));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      console.error('Error updating the schedule:', actionError);
+      setError(actionError.message);
+    }
+    setBusy(false);
+  };
+
+  const handleSchedule = () => {
+    const time = new Date(startsAt).getTime();
+    if (Number.isNaN(time) || time <= Date.now()) {
+      setError('Pick a start time in the future');
+      return;
+    }
+    submit(() => onSchedule(time));
+  };
+
+  const addToCalendar = () => {
+    const calendar = buildCalendarEvent({ ...schedule, url: calendarUrl });
+    downloadBlob(new Blob([calendar], { type: 'text/calendar' }), calendarFileName(schedule.title));
+  };
+
+  return (
+    <div className="schedule-panel">
+      <h3>Schedule</h3>
+
+      {schedule ? (
+        <>
+          <p className="schedule-summary">
+            <strong>{schedule.title}</strong> is scheduled for{' '}
+            {new Date(schedule.startsAt).toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short' })}.
+            Viewers opening the link before then see a countdown.
+          </p>
+          <div className="schedule-actions">
+            <button onClick={addToCalendar}>Add to calendar</button>
+            <button onClick={() => submit(onCancel)} disabled={busy || disabled}>Cancel schedule</button>
+          </div>
+        </>
+      ) : (
+        <div className="schedule-create">
+          <label htmlFor="schedule-starts-at">Starts at:</label>
+          <input
+            id="schedule-starts-at"
+            type="datetime-local"
+            value={startsAt}
+            min={toInputValue(Date.now())}
+            onChange={(e) => setStartsAt(e.target.value)}
+            disabled={disabled}
+          />
+          <button
+            onClick={handleSchedule}
+            disabled={busy || disabled || !title.trim()}
+            title={title.trim() ? undefined : 'Give the stream a title first'}
+          >
+            Schedule
+          </button>
+        </div>
+      )}
+
+      {error && <p className="schedule-error">{error}</p>}
+    </div>
+  );
+};
+
+export default SchedulePanel;
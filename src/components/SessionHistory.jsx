@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { summarizeSession } from '../services/sessionLog.js';
+import {
+  SessionStatus,
+  deleteSession,
+  getSessionEvents,
+  listSessions,
+  markInterruptedSessions
+} from '../services/sessionStore.js';
+import { formatDuration } from '../utils/format.js';
+import './SessionHistory.css';
+
+const statusLabels = {
+  [SessionStatus.LIVE]: 'Live',
+  [SessionStatus.ENDED]: 'Ended',
+  [SessionStatus.INTERRUPTED]: 'Interrupted'
+};
+
+// Past broadcasts kept in IndexedDB. `refreshKey` changes when a session
+// ends, so the list picks it up.
+const SessionHistory = ({ refreshKey, onView }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      setError('Session history is unavailable (IndexedDB blocked?)');
+    }
+  }, []);
+
+  // Pick up sessions left behind by a crashed tab along with new ones
+  useEffect(() => {
+    markInterruptedSessions()
+      .catch(error => console.error('Error recovering sessions:', error))
+      .finally(refreshSessions);
+  }, [refreshKey, refreshSessions]);
+
+  // The stored summary is only as recent as the last flush, so work it out
+  // again from the events
+  const handleView = async (session) => {
+    try {
+      const events = await getSessionEvents(session.id);
+      const summary = summarizeSession(events, { startedAt: session.startedAt, endedAt: session.endedAt || session.updatedAt });
+      onView({ session: { ...session, summary }, events });
+    } catch (error) {
+      console.error('Error loading session:', error);
+      setError(`Could not load session: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (session) => {
+    try {
+      await deleteSession(session.id);
+      await refreshSessions();
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      setError(`Could not delete session: ${error.message}`);
+    }
+  };
+
+  if (sessions.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <details className="session-history">
+      <summary>Past sessions ({sessions.length})</summary>
+
+      {error && <p className="session-history-error">{error}</p>}
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id}>
+            <span className="session-name">{session.title || session.streamId}</span>
+            <span className="session-meta">
+              {new Date(session.startedAt).toLocaleString()} · {statusLabels[session.status]}
+              {session.summary && ` · ${formatDuration(session.summary.duration)} · ${session.summary.uniqueViewers} viewers, peak ${session.summary.peakViewers}`}
+            </span>
+            <button onClick={() => handleView(session)}>View</button>
+            <button onClick={() => handleDelete(session)} disabled={session.status === SessionStatus.LIVE}>
+              Delete
+            </button>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default SessionHistory;
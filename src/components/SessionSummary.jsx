@@ -0,0 +1,114 @@
+import React from 'react';
+import { buildSessionCsv, buildSessionJson, sessionFileName } from '../services/sessionLog.js';
+import { SessionStatus } from '../services/sessionStore.js';
+import { downloadBlob } from '../utils/download.js';
+import { formatBitrate, formatDuration } from '../utils/format.js';
+import './SessionSummary.css';
+
+// Viewers beyond this are left to the exports
+const MAX_LISTED_VIEWERS = 20;
+
+const formatMetric = (value, unit, digits = 0) => (value === null ? '–' : `${value.toFixed(digits)} ${unit}`);
+
+// Who watched a broadcast and for how long, shown when it ends or picked
+// from the session history, with the full event log for download
+const SessionSummary = ({ session, events, onClose }) => {
+  const { summary } = session;
+
+  const exportCsv = () => {
+    downloadBlob(new Blob([buildSessionCsv(session, events)], { type: 'text/csv' }), sessionFileName(session, 'csv'));
+  };
+
+  const exportJson = () => {
+    downloadBlob(new Blob([buildSessionJson(session, events)], { type: 'application/json' }), sessionFileName(session, 'json'));
+  };
+
+  return (
+    <div className="session-summary">
+      <div className="session-summary-header">
+        <h3>{session.title || 'Broadcast'} – session summary</h3>
+        <button className="session-summary-close" onClick={onClose} aria-label="Close summary">×</button>
+      </div>
+      <p className="session-summary-time">
+        {new Date(session.startedAt).toLocaleString()} · stream {session.streamId}
+        {session.status === SessionStatus.INTERRUPTED && ' · interrupted, figures up to the last save'}
+      </p>
+
+      <dl className="session-figures">
+        <div>
+          <dt>Duration</dt>
+          <dd>{formatDuration(summary.duration)}</dd>
+        </div>
+        <div>
+          <dt>Viewers</dt>
+          <dd>{summary.uniqueViewers}</dd>
+        </div>
+        <div>
+          <dt>Peak concurrent</dt>
+          <dd>
+            {summary.peakViewers}
+            {summary.peakAt !== null && <small> at {formatDuration(summary.peakAt - session.startedAt)}</small>}
+          </dd>
+        </div>
+        <div>
+          <dt>Total watch time</dt>
+          <dd>{formatDuration(summary.totalWatchTime)}</dd>
+        </div>
+        <div>
+          <dt>Average watch time</dt>
+          <dd>{formatDuration(summary.averageWatchTime)}</dd>
+        </div>
+        <div>
+          <dt>Average bitrate</dt>
+          <dd>{formatBitrate(summary.quality.bitrate === null ? null : Math.round(summary.quality.bitrate))}</dd>
+        </div>
+        <div>
+          <dt>Average packet loss</dt>
+          <dd>{formatMetric(summary.quality.packetLoss, '%', 1)}</dd>
+        </div>
+        <div>
+          <dt>Average round trip</dt>
+          <dd>{formatMetric(summary.quality.rtt, 'ms')}</dd>
+        </div>
+        <div>
+          <dt>Errors</dt>
+          <dd className={summary.errorCount > 0 ? 'session-errors' : undefined}>{summary.errorCount}</dd>
+        </div>
+      </dl>
+
+      {summary.viewers.length > 0 && (
+        <table className="session-viewers">
+          <thead>
+            <tr>
+              <th>Viewer</th>
+              <th>First joined</th>
+              <th>Visits</th>
+              <th>Watched</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.viewers.slice(0, MAX_LISTED_VIEWERS).map(viewer => (
+              <tr key={viewer.viewerId}>
+                <td>{viewer.viewerId}</td>
+                <td>{formatDuration(viewer.firstJoinedAt - session.startedAt)}</td>
+                <td>{viewer.visits}</td>
+                <td>{formatDuration(viewer.watchTime)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {summary.viewers.length > MAX_LISTED_VIEWERS && (
+        <p className="session-more">and {summary.viewers.length - MAX_LISTED_VIEWERS} more in the exports</p>
+      )}
+
+      <div className="session-actions">
+        <button onClick={exportCsv}>Export CSV</button>
+        <button onClick={exportJson}>Export JSON</button>
+        <span className="session-event-count">{events.length} events logged</span>
+      </div>
+    </div>
+  );
+};
+
+export default SessionSummary;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Tiny inline SVG line chart of recent values; null values are skipped
+const Sparkline = ({ values, width = 120, height = 30, color = '#2196f3' }) => {
+  const points = values
+    .map((value, index) => ({ value, index }))
+    .filter(point => typeof point.value === 'number');
+
+  if (points.length < 2) {
+    return <svg className="sparkline" width={width} height={height} />;
+  }
+
+  const max = Math.max(...points.map(point => point.value));
+  const min = Math.min(...points.map(point => point.value));
+  const range = max - min || 1;
+  const step = width / Math.max(values.length - 1, 1);
+
+  const path = points
+    .map(point => `${(point.index * step).toFixed(1)},${(height - 2 - ((point.value - min) / range) * (height - 4)).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <polyline points={path} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+export default Sparkline;
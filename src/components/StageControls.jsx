@@ -0,0 +1,42 @@
+import React, { useEffect, useRef } from 'react';
+import './StageControls.css';
+
+// Raise-hand button for viewers, with a preview of the camera that goes
+// out once the broadcaster brings them on stage
+const StageControls = ({ handRaised, onStage, media, error, disabled, onRaise, onLower }) => {
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.srcObject = media;
+    }
+  }, [media]);
+
+  return (
+    <div className={`stage-controls ${onStage ? 'on-stage' : ''}`}>
+      {media && <video ref={previewRef} className="stage-preview" autoPlay playsInline muted />}
+
+      <div className="stage-controls-body">
+        {onStage ? (
+          <>
+            <p><strong>You're on stage.</strong> Everyone watching can see and hear you.</p>
+            <button className="leave-stage-button" onClick={onLower}>Leave stage</button>
+          </>
+        ) : handRaised ? (
+          <>
+            <p>Your hand is raised. The broadcaster can bring you on stage with this camera and microphone.</p>
+            <button onClick={onLower}>Lower hand</button>
+          </>
+        ) : (
+          <>
+            <p>Want to join in? Raise your hand to ask the broadcaster to bring you on stage.</p>
+            <button onClick={onRaise} disabled={disabled}>Raise hand</button>
+          </>
+        )}
+        {error && <p className="stage-error">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default StageControls;
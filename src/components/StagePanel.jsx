@@ -0,0 +1,37 @@
+import React, { useEffect, useRef } from 'react';
+import './StagePanel.css';
+
+// One guest's camera, played with sound so the broadcaster can hear them
+const GuestTile = ({ viewerId, stream, onRemove }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  return (
+    <div className="guest-tile">
+      <video ref={videoRef} autoPlay playsInline />
+      <div className="guest-tile-bar">
+        <span className="viewer-id">{viewerId}</span>
+        <button onClick={() => onRemove(viewerId)}>Off stage</button>
+      </div>
+    </div>
+  );
+};
+
+// Guests on stage, as the broadcaster receives them
+const StagePanel = ({ guests, onRemove }) => (
+  <div className="stage-panel">
+    <h3>On Stage ({guests.length})</h3>
+    <div className="guest-tiles">
+      {guests.map(guest => (
+        <GuestTile key={guest.viewerId} viewerId={guest.viewerId} stream={guest.stream} onRemove={onRemove} />
+      ))}
+    </div>
+  </div>
+);
+
+export default StagePanel;
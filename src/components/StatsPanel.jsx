@@ -0,0 +1,100 @@
+import React from 'react';
+import Sparkline from './Sparkline.jsx';
+import { downloadBlob } from '../utils/download.js';
+import { formatBitrate } from '../utils/format.js';
+import './StatsPanel.css';
+
+const formatValue = (value, unit = '') => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+// Metrics with a sparkline of their history
+const charts = [
+  { key: 'bitrate', label: 'Bitrate', format: formatBitrate },
+  { key: 'packetLoss', label: 'Packet loss', format: (value) => formatValue(value, '%') },
+  { key: 'jitter', label: 'Jitter', format: (value) => formatValue(value, ' ms') },
+  { key: 'rtt', label: 'RTT', format: (value) => formatValue(value, ' ms') }
+];
+
+const ConnectionStats = ({ id, latest, history }) => (
+  <div className="connection-stats">
+    <h4>{id}</h4>
+
+    <div className="stats-charts">
+      {charts.map(chart => (
+        <div key={chart.key} className="stats-chart">
+          <span className="stats-label">{chart.label}</span>
+          <span className="stats-value">{chart.format(latest[chart.key])}</span>
+          <Sparkline values={history.map(sample => sample[chart.key])} />
+        </div>
+      ))}
+    </div>
+
+    <dl className="stats-details">
+      <dt>Route</dt>
+      <dd>
+        {formatValue(latest.localCandidateType)} → {formatValue(latest.remoteCandidateType)}
+        {latest.protocol && ` (${latest.protocol})`}
+      </dd>
+      <dt>Codec</dt>
+      <dd>{formatValue(latest.codec)}</dd>
+      <dt>Video</dt>
+      <dd>{formatValue(latest.resolution)} @ {formatValue(latest.framesPerSecond, ' fps')}</dd>
+      {latest.jitterBuffer !== null && (
+        <>
+          <dt>Jitter buffer</dt>
+          <dd>{latest.jitterBuffer} ms</dd>
+        </>
+      )}
+      {latest.framesDropped !== null && (
+        <>
+          <dt>Frames dropped</dt>
+          <dd>{latest.framesDropped}</dd>
+        </>
+      )}
+      {latest.qualityLimitationReason && latest.qualityLimitationReason !== 'none' && (
+        <>
+          <dt>Limited by</dt>
+          <dd>{latest.qualityLimitationReason}</dd>
+        </>
+      )}
+    </dl>
+  </div>
+);
+
+// Live getStats() dashboard for one or more peer connections, with a JSON
+// export of the collected history for bug reports
+const StatsPanel = ({ stats, role, streamId }) => {
+  const entries = Object.entries(stats);
+
+  const exportStats = () => {
+    const report = {
+      exportedAt: new Date().toISOString(),
+      role,
+      streamId,
+      userAgent: navigator.userAgent,
+      connections: Object.fromEntries(entries.map(([id, { history }]) => [id, history]))
+    };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `stats-${role}-${streamId}-${Date.now()}.json`);
+  };
+
+  return (
+    <details className="stats-panel">
+      <summary>Connection statistics ({entries.length})</summary>
+
+      {entries.length === 0 ? (
+        <p>No active connections.</p>
+      ) : (
+        <>
+          {entries.map(([id, { latest, history }]) => (
+            <ConnectionStats key={id} id={id} latest={latest} history={history} />
+          ))}
+          <button className="export-stats-button" onClick={exportStats}>
+            Export JSON
+          </button>
+        </>
+      )}
+    </details>
+  );
+};
+
+export default StatsPanel;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import useLiveStreams from '../hooks/useLiveStreams.js';
+import { formatDuration } from '../utils/format.js';
+import './StreamList.css';
+
+// Refresh the "live for" times this often
+const CLOCK_INTERVAL_MS = 30000;
+
+const StreamCard = ({ stream, now }) => (
+  <li className="stream-card">
+    <Link to={`/view/${stream.streamId}`}>
+      <div className="stream-thumbnail">
+        {stream.thumbnailUrl ? (
+          <img src={stream.thumbnailUrl} alt="" loading="lazy" />
+        ) : (
+          <span className="stream-thumbnail-empty">No preview</span>
+        )}
+        <span className="stream-live-badge">LIVE</span>
+        <span className="stream-viewers">
+          {stream.viewerCount} watching
+        </span>
+      </div>
+      <h3>{stream.title || 'Untitled stream'}</h3>
+    </Link>
+    {stream.description && <p className="stream-description">{stream.description}</p>}
+    {stream.startedAt && (
+      <p className="stream-started" title={new Date(stream.startedAt).toLocaleString()}>
+        Live for {formatDuration(Math.max(0, now - stream.startedAt))}
+      </p>
+    )}
+  </li>
+);
+
+// Public broadcasts that are live right now, most watched first
+const StreamList = () => {
+  const { streams, loading, error, isLive } = useLiveStreams();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const sorted = [...streams].sort((a, b) => b.viewerCount - a.viewerCount || (b.startedAt || 0) - (a.startedAt || 0));
+
+  return (
+    <div className="stream-list">
+      <div className="stream-list-header">
+        <h1>Live Now</h1>
+        {!loading && !isLive && (
+          <span className="stream-list-stale">Live updates paused, reconnecting...</span>
+        )}
+        {sorted.length > 1 && (
+          <Link className="stream-list-wall" to={`/wall?${new URLSearchParams({ streams: sorted.map(stream => stream.streamId).join(',') })}`}>
+            Watch all on a wall
+          </Link>
+        )}
+      </div>
+
+      {loading ? (
+        <p>Loading streams...</p>
+      ) : error && streams.length === 0 ? (
+        <p>Could not load streams: {error.message}</p>
+      ) : sorted.length === 0 ? (
+        <p>Nobody is live right now. <Link to="/">Start a broadcast</Link></p>
+      ) : (
+        <ul className="stream-grid">
+          {sorted.map(stream => (
+            <StreamCard key={stream.streamId} stream={stream} now={now} />
+          ))}
+        </ul>
+      )}
+
+      <p className="stream-list-note">
+        Broadcasts sent through a media server (WHIP) aren't listed here. Open them from the link their broadcaster shares.
+      </p>
+    </div>
+  );
+};
+
+export default StreamList;
@@ -0,0 +1,92 @@
+import React, { useRef } from 'react';
+import { isInsertableStreamsSupported, loadLogo } from '../services/videoEffects.js';
+import './VideoEffectsPanel.css';
+
+// Blur, watermark, lower-third and timestamp settings. Changes apply to
+// viewers immediately while live.
+const VideoEffectsPanel = ({ effects, onChange }) => {
+  const logoInputRef = useRef(null);
+
+  const update = (changes) => onChange({ ...effects, ...changes });
+
+  const handleLogoChange = async (e) => {
+    const [file] = e.target.files;
+    if (!file) {
+      return;
+    }
+
+    try {
+      update({ logo: await loadLogo(file) });
+    } catch (error) {
+      console.error('Error loading logo:', error);
+    }
+  };
+
+  const removeLogo = () => {
+    update({ logo: null });
+    if (logoInputRef.current) {
+      logoInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <div className="video-effects-panel">
+      <h3>Video Effects</h3>
+
+      <div className="effect-toggles">
+        <label>
+          <input type="checkbox" checked={effects.blur} onChange={(e) => update({ blur: e.target.checked })} />
+          Blur background
+        </label>
+        <label>
+          <input type="checkbox" checked={effects.timestamp} onChange={(e) => update({ timestamp: e.target.checked })} />
+          Show time
+        </label>
+      </div>
+
+      <div className="setting">
+        <label>Watermark text:</label>
+        <input
+          type="text"
+          value={effects.watermarkText}
+          maxLength={40}
+          onChange={(e) => update({ watermarkText: e.target.value })}
+        />
+      </div>
+
+      <div className="setting">
+        <label>Watermark logo:</label>
+        <div className="logo-picker">
+          <input ref={logoInputRef} type="file" accept="image/*" onChange={handleLogoChange} />
+          {effects.logo && <button onClick={removeLogo}>Remove</button>}
+        </div>
+      </div>
+
+      <div className="setting">
+        <label>Lower third:</label>
+        <input
+          type="text"
+          value={effects.lowerThirdTitle}
+          placeholder="Title, e.g. your name"
+          maxLength={60}
+          onChange={(e) => update({ lowerThirdTitle: e.target.value })}
+        />
+        <input
+          type="text"
+          value={effects.lowerThirdSubtitle}
+          placeholder="Subtitle"
+          maxLength={80}
+          onChange={(e) => update({ lowerThirdSubtitle: e.target.value })}
+        />
+      </div>
+
+      {!isInsertableStreamsSupported() && (
+        <p className="effects-note">
+          This browser draws effects on a timer, so the video may stutter while the tab is in the background.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default VideoEffectsPanel;
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useRef } from 'react';
+import AudioLevelMeter from './AudioLevelMeter.jsx';
+import './VideoPlayer.css';
+
+const VOLUME_KEY = 'webcam-broadcast:volume';
+const VOLUME_STEP = 0.1;
+
+const AutoplayState = Object.freeze({
+  PLAYING: 'playing',
+  // Playing, but only because we muted it
+  MUTED: 'muted',
+  // Not even muted playback was allowed
+  BLOCKED: 'blocked'
+});
+
+const loadVolume = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VOLUME_KEY));
+    if (saved && typeof saved.volume === 'number') {
+      return { volume: saved.volume, muted: Boolean(saved.muted) };
+    }
+  } catch {
+    // Fall through to the defaults
+  }
+  return { volume: 1, muted: false };
+};
+
+// Try to play with sound, then muted, which browsers allow without a click.
+// `mute` is called before falling back.
+const startPlayback = async (video, mute) => {
+  try {
+    await video.play();
+    return AutoplayState.PLAYING;
+  } catch (error) {
+    // e.g. an AbortError because the source was replaced; that one plays
+    if (error.name !== 'NotAllowedError') {
+      return AutoplayState.PLAYING;
+    }
+  }
+
+  if (video.muted) {
+    return AutoplayState.BLOCKED;
+  }
+  mute();
+  try {
+    await video.play();
+    return AutoplayState.MUTED;
+  } catch {
+    return AutoplayState.BLOCKED;
+  }
+};
+
+const isPictureInPictureSupported = () => document.pictureInPictureEnabled === true;
+
+// Keys typed into chat or a settings field aren't shortcuts
+const isTypingTarget = (target) => Boolean(target) && (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+);
+
+const latencyRating = (latency) => {
+  if (latency < 500) {
+    return 'good';
+  }
+  return latency < 1500 ? 'fair' : 'poor';
+};
+
+const formatLatency = (latency) => (latency < 1000 ? `${latency} ms` : `${(latency / 1000).toFixed(1)} s`);
+
+// Live video with our own controls instead of the browser's: a prompt when
+// autoplay with sound is blocked, remembered volume, fullscreen,
+// picture-in-picture, theater layout and the estimated delay behind the
+// broadcaster. Children are overlays and stay visible in fullscreen.
+//
+// Shortcuts: M mute, F fullscreen, P picture-in-picture, T theater,
+// arrow up/down volume.
+const VideoPlayer = ({ videoRef, stream, latency = null, theater = false, onTheaterChange, className = '', children }) => {
+  const containerRef = useRef(null);
+  const [volume, setVolume] = useState(() => loadVolume().volume);
+  const [muted, setMuted] = useState(() => loadVolume().muted);
+  const [autoplay, setAutoplay] = useState(AutoplayState.PLAYING);
+  const [fullscreen, setFullscreen] = useState(false);
+  const [pictureInPicture, setPictureInPicture] = useState(false);
+  // Muted by us to get past autoplay blocking, so not saved as a preference
+  const forcedMuteRef = useRef(false);
+
+  // Restore the saved volume and follow changes from any source
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) {
+      return undefined;
+    }
+
+    const saved = loadVolume();
+    video.volume = saved.volume;
+    video.muted = saved.muted;
+
+    const onVolumeChange = () => {
+      setVolume(video.volume);
+      setMuted(video.muted);
+      if (!forcedMuteRef.current) {
+        localStorage.setItem(VOLUME_KEY, JSON.stringify({ volume: video.volume, muted: video.muted }));
+      }
+    };
+    const onEnterPictureInPicture = () => setPictureInPicture(true);
+    const onLeavePictureInPicture = () => setPictureInPicture(false);
+
+    video.addEventListener('volumechange', onVolumeChange);
+    video.addEventListener('enterpictureinpicture', onEnterPictureInPicture);
+    video.addEventListener('leavepictureinpicture', onLeavePictureInPicture);
+
+    return () => {
+      video.removeEventListener('volumechange', onVolumeChange);
+      video.removeEventListener('enterpictureinpicture', onEnterPictureInPicture);
+      video.removeEventListener('leavepictureinpicture', onLeavePictureInPicture);
+    };
+  }, [videoRef]);
+
+  useEffect(() => {
+    const onFullscreenChange = () => setFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', onFullscreenChange);
+  }, []);
+
+  // Start every new stream ourselves so a blocked autoplay can be noticed
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !stream) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    if (video.srcObject !== stream) {
+      video.srcObject = stream;
+    }
+    startPlayback(video, () => {
+      forcedMuteRef.current = true;
+      video.muted = true;
+    }).then(state => {
+      if (!cancelled) {
+        setAutoplay(state);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stream, videoRef]);
+
+  // Unmuting from a click also satisfies the autoplay policy
+  const unmute = () => {
+    const video = videoRef.current;
+    forcedMuteRef.current = false;
+    video.muted = false;
+    if (video.volume === 0) {
+      video.volume = VOLUME_STEP;
+    }
+    video.play().catch(error => console.error('Error starting playback:', error));
+    setAutoplay(AutoplayState.PLAYING);
+  };
+
+  const toggleMute = () => {
+    if (videoRef.current.muted) {
+      unmute();
+    } else {
+      videoRef.current.muted = true;
+    }
+  };
+
+  const changeVolume = (value) => {
+    const next = Math.min(Math.max(value, 0), 1);
+    videoRef.current.volume = next;
+    if (next > 0 && videoRef.current.muted) {
+      unmute();
+    }
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+      return;
+    }
+
+    const container = containerRef.current;
+    if (container.requestFullscreen) {
+      container.requestFullscreen().catch(error => console.error('Error entering fullscreen:', error));
+    } else if (videoRef.current.webkitEnterFullscreen) {
+      // iOS Safari can only take the video itself fullscreen
+      videoRef.current.webkitEnterFullscreen();
+    }
+  };
+
+  const togglePictureInPicture = async () => {
+    try {
+      if (document.pictureInPictureElement) {
+        await document.exitPictureInPicture();
+      } else {
+        await videoRef.current.requestPictureInPicture();
+      }
+    } catch (error) {
+      console.error('Error toggling picture-in-picture:', error);
+    }
+  };
+
+  const toggleTheater = () => {
+    if (onTheaterChange) {
+      onTheaterChange(!theater);
+    }
+  };
+
+  // The level as received, whatever the volume is set to
+  const [audioTrack] = stream ? stream.getAudioTracks() : [];
+
+  // Read on every key press, so the listener always sees the current state
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = stream ? {
+    m: toggleMute,
+    f: toggleFullscreen,
+    p: isPictureInPictureSupported() ? togglePictureInPicture : null,
+    t: onTheaterChange ? toggleTheater : null,
+    ArrowUp: () => changeVolume(videoRef.current.volume + VOLUME_STEP),
+    ArrowDown: () => changeVolume(videoRef.current.volume - VOLUME_STEP)
+  } : {};
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+        return;
+      }
+      const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+      const action = shortcutsRef.current[key];
+      if (action) {
+        event.preventDefault();
+        action();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`video-player ${className} ${fullscreen ? 'fullscreen' : ''}`}
+    >
+      <video
+        ref={videoRef}
+        playsInline
+        onDoubleClick={toggleFullscreen}
+        style={{ display: stream ? 'block' : 'none' }}
+      />
+
+      {children}
+
+      {stream && autoplay !== AutoplayState.PLAYING && (
+        <button className="unmute-prompt" onClick={unmute}>
+          {autoplay === AutoplayState.MUTED ? 'Click to unmute' : 'Click to play'}
+        </button>
+      )}
+
+      {stream && (
+        <div className="player-controls">
+          <button onClick={toggleMute} title="Mute (M)">
+            {muted ? 'Unmute' : 'Mute'}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={muted ? 0 : volume}
+            onChange={(e) => changeVolume(Number(e.target.value))}
+            aria-label="Volume"
+            title="Volume (arrow up/down)"
+          />
+          {audioTrack && (
+            <AudioLevelMeter track={audioTrack} label="Stream audio level" className="player-audio-level" />
+          )}
+          <span
+            className={`live-badge ${latency !== null ? latencyRating(latency) : ''}`}
+            title="Estimated delay behind the broadcaster"
+          >
+            LIVE{latency !== null && ` · ${formatLatency(latency)}`}
+          </span>
+
+          <span className="player-spacer" />
+
+          {onTheaterChange && (
+            <button onClick={toggleTheater} title="Theater mode (T)">
+              {theater ? 'Default view' : 'Theater'}
+            </button>
+          )}
+          {isPictureInPictureSupported() && (
+            <button onClick={togglePictureInPicture} title="Picture-in-picture (P)">
+              {pictureInPicture ? 'Exit picture-in-picture' : 'Picture-in-picture'}
+            </button>
+          )}
+          <button onClick={toggleFullscreen} title="Fullscreen (F)">
+            {fullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoPlayer;
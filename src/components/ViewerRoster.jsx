@@ -0,0 +1,121 @@
+import React from 'react';
+import { ConnectionQuality, rateQuality } from '../services/connectionStats.js';
+import { formatDuration } from '../utils/format.js';
+import './ViewerRoster.css';
+
+const qualityLabels = {
+  [ConnectionQuality.GOOD]: 'Good',
+  [ConnectionQuality.FAIR]: 'Fair',
+  [ConnectionQuality.POOR]: 'Poor',
+  [ConnectionQuality.UNKNOWN]: '–'
+};
+
+// Who is watching, with per-viewer kick and ban, and the stage controls
+// for viewers with their hand up. Bans go by the viewer id the viewer picks
+// itself, so they are soft: a new id gets round them.
+const SOFT_BAN_NOTE = 'Soft ban: it goes by the viewer\'s own id, so a viewer who clears their browser storage can come back';
+const ViewerRoster = ({
+  roster,
+  stats,
+  bannedViewers,
+  stageFull,
+  onKick,
+  onBan,
+  onUnban,
+  onBringOnStage,
+  onRemoveFromStage
+}) => {
+  const now = Date.now();
+
+  return (
+    <div className="viewer-roster">
+      <h3>Viewers ({roster.length})</h3>
+
+      {roster.length === 0 ? (
+        <p>Nobody is watching yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Viewer</th>
+              <th>Joined</th>
+              <th>Connection</th>
+              <th>Route</th>
+              <th>Quality</th>
+              <th>Layer</th>
+              <th>Stage</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {roster.map(viewer => {
+              const quality = rateQuality(stats[viewer.viewerId] && stats[viewer.viewerId].latest);
+
+              return (
+                <tr key={viewer.viewerId}>
+                  <td className="viewer-id">{viewer.viewerId}</td>
+                  <td>
+                    {viewer.joinedAt
+                      ? `${new Date(viewer.joinedAt).toLocaleTimeString()} (${formatDuration(now - viewer.joinedAt)})`
+                      : '–'}
+                  </td>
+                  <td className={`connection-state ${viewer.connectionState}`}>{viewer.connectionState}</td>
+                  <td>
+                    {viewer.relayParentId
+                      ? <>via <span className="viewer-id">{viewer.relayParentId}</span></>
+                      : 'Direct'}
+                  </td>
+                  <td><span className={`quality-badge ${quality}`}>{qualityLabels[quality]}</span></td>
+                  <td className="viewer-layer">{viewer.layer || '–'}</td>
+                  <td>
+                    {viewer.onStage ? (
+                      <span className="stage-badge on-stage">On stage</span>
+                    ) : viewer.handRaised ? (
+                      <span className="stage-badge hand-raised">Hand raised</span>
+                    ) : '–'}
+                  </td>
+                  <td className="roster-actions">
+                    {viewer.onStage && (
+                      <button onClick={() => onRemoveFromStage(viewer.viewerId)}>Off stage</button>
+                    )}
+                    {viewer.handRaised && (
+                      <button
+                        className="stage-button"
+                        onClick={() => onBringOnStage(viewer.viewerId)}
+                        disabled={stageFull}
+                        title={stageFull ? 'The stage is full' : undefined}
+                      >
+                        Bring on stage
+                      </button>
+                    )}
+                    <button onClick={() => onKick(viewer.viewerId)}>Kick</button>
+                    <button className="ban-button" onClick={() => onBan(viewer.viewerId)} title={SOFT_BAN_NOTE}>
+                      Ban
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {bannedViewers.length > 0 && (
+        <div className="banned-viewers">
+          <h4>Banned</h4>
+          <p className="ban-note">{SOFT_BAN_NOTE}.</p>
+          <ul>
+            {bannedViewers.map(viewerId => (
+              <li key={viewerId}>
+                <span className="viewer-id">{viewerId}</span>
+                <button onClick={() => onUnban(viewerId)}>Unban</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViewerRoster;
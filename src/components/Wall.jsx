@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import WallTile from './WallTile.jsx';
+import './Wall.css';
+
+// More tiles than this would need more bandwidth and decoding than a
+// single browser tab can be expected to handle
+const MAX_TILES = 16;
+
+// Stream IDs from the `streams` query parameter, e.g. ?streams=lobby,dock-2
+const parseStreamIds = (value) => [...new Set(
+  (value || '').split(/[\s,]+/).map(id => id.trim()).filter(Boolean)
+)].slice(0, MAX_TILES);
+
+// Monitoring wall: several streams at once, each tile connected on its own
+const Wall = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const streamIds = parseStreamIds(searchParams.get('streams'));
+  const [draft, setDraft] = useState(() => streamIds.join(', '));
+  // Stream whose audio is playing; the others are muted
+  const [focusedId, setFocusedId] = useState(null);
+
+  const showStreams = (ids) => {
+    setSearchParams(ids.length > 0 ? { streams: ids.join(',') } : {});
+    if (!ids.includes(focusedId)) {
+      setFocusedId(null);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const ids = parseStreamIds(draft);
+    setDraft(ids.join(', '));
+    showStreams(ids);
+  };
+
+  const handleRemove = (streamId) => {
+    const ids = streamIds.filter(id => id !== streamId);
+    setDraft(ids.join(', '));
+    showStreams(ids);
+  };
+
+  const handleFocus = (streamId) => {
+    setFocusedId(current => (current === streamId ? null : streamId));
+  };
+
+  // Near-square grid, wider than tall
+  const columns = Math.ceil(Math.sqrt(streamIds.length));
+
+  return (
+    <div className="wall">
+      <form className="wall-streams" onSubmit={handleSubmit}>
+        <label htmlFor="wall-stream-ids">Streams:</label>
+        <input
+          id="wall-stream-ids"
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Stream IDs, separated by commas"
+        />
+        <button type="submit">Show</button>
+      </form>
+
+      {streamIds.length === 0 ? (
+        <p className="wall-empty">
+          Enter the IDs of the streams to watch, up to {MAX_TILES}. Click a tile to listen to it.
+        </p>
+      ) : (
+        <div className="wall-grid" style={{ '--wall-columns': columns }}>
+          {streamIds.map(streamId => (
+            <WallTile
+              key={streamId}
+              streamId={streamId}
+              focused={focusedId === streamId}
+              onFocus={handleFocus}
+              onRemove={handleRemove}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Wall;
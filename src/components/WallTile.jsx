@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { StreamSubscriber, SubscriberState } from '../services/streamSubscriber.js';
+import { QualityLayer } from '../services/simulcast.js';
+import AudioLevelMeter from './AudioLevelMeter.jsx';
+import './WallTile.css';
+
+const stateLabels = {
+  [SubscriberState.IDLE]: 'Idle',
+  [SubscriberState.CONNECTING]: 'Connecting',
+  [SubscriberState.WAITING]: 'Offline',
+  [SubscriberState.NEGOTIATING]: 'Connecting',
+  [SubscriberState.LIVE]: 'Live',
+  [SubscriberState.RECOVERING]: 'Recovering',
+  [SubscriberState.LOST]: 'Lost',
+  [SubscriberState.REJECTED]: 'No access',
+  [SubscriberState.CLOSED]: 'Closed'
+};
+
+// One stream on the monitoring wall, with its own connection. Clicking it
+// gives it the audio focus; the focused tile also asks for the top quality.
+const WallTile = ({ streamId, focused, onFocus, onRemove }) => {
+  const [status, setStatus] = useState({ state: SubscriberState.IDLE, detail: '' });
+  const [stream, setStream] = useState(null);
+  const [broadcasterState, setBroadcasterState] = useState({ audioMuted: false, videoOff: false });
+  const videoRef = useRef(null);
+  const subscriberRef = useRef(null);
+
+  useEffect(() => {
+    const subscriber = new StreamSubscriber({ streamId, layer: QualityLayer.MEDIUM });
+    subscriberRef.current = subscriber;
+    subscriber.on('state', setStatus);
+    subscriber.on('stream', setStream);
+    subscriber.on('broadcaster-state', ({ audioMuted, videoOff, encrypted }) => {
+      // Without the passphrase there is nothing to show, nor to relay
+      if (encrypted) {
+        subscriber.reject('End-to-end encrypted, open it in the viewer to enter the passphrase');
+        return;
+      }
+      setBroadcasterState({ audioMuted, videoOff });
+    });
+    subscriber.on('join-rejected', () => {
+      subscriber.reject('This stream is protected, open it in the viewer to sign in');
+    });
+    subscriber.connect();
+
+    return () => {
+      subscriber.close();
+      subscriberRef.current = null;
+    };
+  }, [streamId]);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  // Only the focused tile is heard; the click that focused it lets it play
+  // with sound
+  useEffect(() => {
+    const video = videoRef.current;
+    video.muted = !focused;
+    if (focused && video.srcObject) {
+      video.play().catch(error => console.error('Error starting playback:', error));
+    }
+    if (subscriberRef.current) {
+      subscriberRef.current.setLayer(focused ? QualityLayer.HIGH : QualityLayer.MEDIUM);
+    }
+  }, [focused]);
+
+  const reconnect = (e) => {
+    e.stopPropagation();
+    setBroadcasterState({ audioMuted: false, videoOff: false });
+    subscriberRef.current.reconnect();
+  };
+
+  const remove = (e) => {
+    e.stopPropagation();
+    onRemove(streamId);
+  };
+
+  const live = status.state === SubscriberState.LIVE;
+  const [audioTrack] = stream ? stream.getAudioTracks() : [];
+
+  return (
+    <div
+      className={`wall-tile ${focused ? 'focused' : ''}`}
+      onClick={() => onFocus(streamId)}
+      title={focused ? 'Click to mute' : 'Click to listen'}
+    >
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted
+        style={{ display: live && stream ? 'block' : 'none' }}
+      />
+
+      {!(live && stream) && (
+        <div className="wall-tile-placeholder">
+          <p>{status.detail || stateLabels[status.state]}</p>
+        </div>
+      )}
+
+      <div className="wall-tile-header">
+        <span className={`wall-tile-status ${status.state}`}>{stateLabels[status.state]}</span>
+        <span className="wall-tile-name">{streamId}</span>
+        {focused && <span className="wall-tile-audio">Audio</span>}
+      </div>
+
+      {live && (broadcasterState.audioMuted || broadcasterState.videoOff) && (
+        <div className="wall-tile-overlays">
+          {broadcasterState.videoOff && <span>Camera off</span>}
+          {broadcasterState.audioMuted && <span>Muted</span>}
+        </div>
+      )}
+
+      <div className="wall-tile-footer">
+        {audioTrack && live && (
+          <AudioLevelMeter track={audioTrack} label={`Audio level of ${streamId}`} className="wall-tile-level" />
+        )}
+        <span className="wall-tile-spacer" />
+        <button onClick={reconnect} title="Reconnect this stream">Reconnect</button>
+        <Link to={`/view/${streamId}`} onClick={(e) => e.stopPropagation()}>Open</Link>
+        <button onClick={remove} title="Remove from the wall" aria-label={`Remove ${streamId}`}>×</button>
+      </div>
+    </div>
+  );
+};
+
+export default WallTile;
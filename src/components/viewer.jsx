@@ -1,242 +1,557 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { SignalingState } from '../services/signalingClient.js';
+import { StreamSubscriber, SubscriberState } from '../services/streamSubscriber.js';
+import { getIceServers, getViewerUrl, getWhepUrl, loadConfig } from '../services/config.js';
+import useConnectionStats from '../hooks/useConnectionStats.js';
+import useChat from '../hooks/useChat.js';
+import useQualityLayer from '../hooks/useQualityLayer.js';
+import { StatsDirection, estimateLatency } from '../services/connectionStats.js';
+import { CHAT_CHANNEL_LABEL, ChatClient } from '../services/chat.js';
+import { JoinRejectReason, createPasscodeProof } from '../services/streamAuth.js';
+import { WHEP_TRANSPORT_PARAM, WhipSession } from '../services/whip.js';
+import { QualityLayer } from '../services/simulcast.js';
+import { captureFrame, hasVideoFrame } from '../services/thumbnails.js';
+import { getCameraStream } from '../services/mediaDevices.js';
+import { describeMediaError } from '../services/preflight.js';
+import { fetchSchedule } from '../services/schedule.js';
+import { E2EE_FRAGMENT_PARAM, E2eeSession, isE2eeSupported, readPassphrase, withE2ee } from '../services/e2ee.js';
+import RecordingPanel from './RecordingPanel.jsx';
+import StatsPanel from './StatsPanel.jsx';
+import ChatPanel from './ChatPanel.jsx';
+import ReactionOverlay from './ReactionOverlay.jsx';
+import VideoPlayer from './VideoPlayer.jsx';
+import JoinGate from './JoinGate.jsx';
+import StageControls from './StageControls.jsx';
+import E2eePrompt from './E2eePrompt.jsx';
+import Lobby from './Lobby.jsx';
 import './Viewer.css';
 
+const banStorageKey = (streamId) => `webcam-broadcast:banned:${streamId}`;
+const DISPLAY_NAME_KEY = 'webcam-broadcast:display-name';
+const QUALITY_KEY = 'webcam-broadcast:quality';
+const THEATER_KEY = 'webcam-broadcast:theater';
+
+// What we send once on stage
+const STAGE_CAPTURE = { width: 640, height: 480, frameRate: 30 };
+
+// Our own copy of the last frame before a drop, sharper than the
+// broadcaster's thumbnails
+const LAST_FRAME_OPTIONS = { maxWidth: 640, quality: 0.8 };
+
+const qualityLabels = {
+  [QualityLayer.HIGH]: 'High',
+  [QualityLayer.MEDIUM]: 'Medium',
+  [QualityLayer.LOW]: 'Low'
+};
+
 const Viewer = () => {
   const { streamId } = useParams();
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
   const [status, setStatus] = useState('Connecting to stream...');
   const [connected, setConnected] = useState(false);
   const [broadcasterFound, setBroadcasterFound] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [broadcasterState, setBroadcasterState] = useState({ audioMuted: false, videoOff: false, encrypted: false });
+  const [banned, setBanned] = useState(false);
+  const [joinRejection, setJoinRejection] = useState(null);
+  const [relayChildCount, setRelayChildCount] = useState(0);
+  // Recent frame shown while waiting for the video: { streamId, image }
+  const [poster, setPoster] = useState(null);
+  // Upcoming broadcast on this stream ID, shown as a lobby until it starts
+  const [schedule, setSchedule] = useState(null);
+  // Interactive mode: our hand is up, or the broadcaster put us on stage
+  const [stage, setStage] = useState({ handRaised: false, onStage: false });
+  // Our camera and microphone, opened when raising our hand
+  const [stageMedia, setStageMedia] = useState(null);
+  const [stageError, setStageError] = useState(null);
+  // End-to-end decryption: on when we have a passphrase; `decrypting` is
+  // null until the first frame tells whether it is the right one
+  const [e2ee, setE2ee] = useState({ active: false, decrypting: null });
+  // The broadcaster publishes to a media server and we play from there
+  const whepPlayback = searchParams.get('transport') === WHEP_TRANSPORT_PARAM;
+  // Whether the media server lets us pick a layer, null until it answered
+  const [whepLayers, setWhepLayers] = useState(null);
   
   const videoRef = useRef(null);
-  const socketRef = useRef(null);
+  // Our end of the signaling protocol, including relaying to other viewers
+  const subscriberRef = useRef(null);
+  // The media server connection when playing over WHEP
   const peerConnectionRef = useRef(null);
+  const whepSessionRef = useRef(null);
+  const stageMediaRef = useRef(null);
+  const e2eeRef = useRef(null);
+  // From the link's fragment, or entered when the stream turns out encrypted
+  const e2eePassphraseRef = useRef(readPassphrase(location.hash));
+  // Pending retry from the Reconnect button
+  const reconnectTimerRef = useRef(null);
   const viewerId = useRef(`viewer_${Math.random().toString(36).substring(2, 15)}`);
+  // Sent with every viewer_joined: an invite token from the link, or a
+  // passcode proof once the user has entered one
+  const credentialsRef = useRef(searchParams.get('token') ? { token: searchParams.get('token') } : null);
+  const passcodeRef = useRef('');
+  const chatRef = useRef(null);
+  if (!chatRef.current) {
+    chatRef.current = new ChatClient();
+  }
+  const chat = useChat(chatRef.current);
+  const [displayName, setDisplayName] = useState(() => localStorage.getItem(DISPLAY_NAME_KEY) || '');
+  
+  const connectionStats = useConnectionStats(
+    () => ({ broadcaster: subscriberRef.current ? subscriberRef.current.peerConnection : peerConnectionRef.current }),
+    { direction: StatsDirection.INBOUND, enabled: connected }
+  );
+  const [qualityPreference, setQualityPreference] = useState(() => localStorage.getItem(QUALITY_KEY) || QualityLayer.AUTO);
+  const requestedLayer = useQualityLayer(qualityPreference, {
+    sample: connectionStats.broadcaster && connectionStats.broadcaster.latest,
+    videoRef
+  });
+  const requestedLayerRef = useRef(requestedLayer);
+  const [theater, setTheater] = useState(() => localStorage.getItem(THEATER_KEY) === 'true');
   
   // Connect to the stream when component mounts
   useEffect(() => {
-    if (streamId) {
-      connectToStream();
-    } else {
+    if (!streamId) {
       setStatus('Invalid stream ID');
+    } else if (localStorage.getItem(banStorageKey(streamId))) {
+      setBanned(true);
+      setStatus('You have been banned from this stream');
+    } else {
+      connectToStream();
     }
     
     // Clean up when component unmounts
     return () => {
+      clearTimeout(reconnectTimerRef.current);
+      reconnectTimerRef.current = null;
       disconnectFromStream();
     };
   }, [streamId]);
   
+  // Arriving before a scheduled broadcast shows its lobby
+  useEffect(() => {
+    let cancelled = false;
+    loadConfig()
+      .then(() => fetchSchedule(streamId))
+      .then(result => {
+        if (!cancelled) {
+          setSchedule(result);
+        }
+      })
+      .catch(error => console.error('Error fetching the schedule:', error));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [streamId]);
+  
+  // Ask whoever sends us video for the layer we want, again whenever it
+  // changes or we get connected to someone new
+  useEffect(() => {
+    requestedLayerRef.current = requestedLayer;
+    if (connected && subscriberRef.current) {
+      subscriberRef.current.setLayer(requestedLayer);
+    }
+    if (connected && whepSessionRef.current) {
+      whepSessionRef.current.selectLayer(requestedLayer)
+        .catch(error => console.error('Error selecting a WHEP layer:', error));
+    }
+  }, [requestedLayer, connected]);
+  
   // Connect to the signaling server and set up WebRTC
   const connectToStream = async () => {
     try {
-      // Configure ICE servers (STUN/TURN)
-      const configuration = {
-        iceServers: [
-          { 
-            urls: 'stun:stun.l.google.com:19302' 
-          },
-          // Add TURN servers for better NAT traversal in production
-          // {
-          //   urls: 'turn:your-turn-server.com:3478',
-          //   username: 'username',
-          //   credential: 'password'
-          // }
-        ]
-      };
-      
-      // Create RTCPeerConnection
-      const peerConnection = new RTCPeerConnection(configuration);
-      peerConnectionRef.current = peerConnection;
-      
-      // Set up event handlers for the peer connection
-      setupPeerConnectionEventHandlers(peerConnection);
-      
-      // Connect to signaling server
-      const socket = new WebSocket(`ws://localhost:8000/ws/webrtc/${streamId}/`);
-      socketRef.current = socket;
+      await loadConfig();
+      await startE2ee();
+      if (whepPlayback) {
+        await playViaWhep();
+        return;
+      }
       
-      socket.onopen = () => {
-        console.log('Connected to signaling server');
-        setStatus('Connected to signaling server, looking for broadcast...');
-        
-        // Announce presence as viewer
-        socket.send(JSON.stringify({
-          type: 'viewer_joined',
-          viewerId: viewerId.current
-        }));
-      };
+      const subscriber = new StreamSubscriber({
+        streamId,
+        viewerId: viewerId.current,
+        credentials: credentialsRef.current,
+        layer: requestedLayerRef.current,
+        e2ee: e2eeRef.current
+      });
+      subscriberRef.current = subscriber;
       
-      socket.onmessage = async (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          
-          if (message.type === 'broadcaster_ready') {
-            setBroadcasterFound(true);
-            setStatus('Broadcaster found, connecting...');
-          }
-          else if (message.type === 'offer' && message.viewerId === viewerId.current) {
-            setBroadcasterFound(true);
-            setStatus('Received offer from broadcaster, establishing connection...');
-            
-            const broadcasterId = message.broadcasterId;
-            
-            // Set the remote description from the offer
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(message.offer));
-            
-            // Create and send an answer
-            const answer = await peerConnection.createAnswer();
-            await peerConnection.setLocalDescription(answer);
-            
-            socket.send(JSON.stringify({
-              type: 'answer',
-              answer: answer,
-              broadcasterId: broadcasterId,
-              viewerId: viewerId.current
-            }));
-          }
-          else if (message.type === 'ice_candidate' && message.viewerId === viewerId.current) {
-            try {
-              // Add the ICE candidate from the broadcaster
-              await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
-            } catch (error) {
-              console.error('Error adding received ice candidate', error);
-            }
-          }
-        } catch (error) {
-          console.error('Error handling WebSocket message:', error);
+      subscriber.on('state', handleSubscriberState);
+      subscriber.on('signaling-state', (state) => setIsReconnecting(state === SignalingState.RECONNECTING));
+      subscriber.on('stream', showStream);
+      subscriber.on('broadcaster-state', setBroadcasterState);
+      subscriber.on('join-rejected', handleJoinRejected);
+      subscriber.on('kicked', handleKicked);
+      subscriber.on('thumbnail', (image) => setPoster({ streamId, image }));
+      subscriber.on('stage-update', handleStageUpdate);
+      subscriber.on('relay-children', setRelayChildCount);
+      subscriber.on('datachannel', (channel) => {
+        if (channel.label === CHAT_CHANNEL_LABEL) {
+          chatRef.current.attach(channel);
         }
-      };
-      
-      socket.onclose = (event) => {
-        console.log(`WebSocket connection closed: ${event.code}`);
-        setStatus('Connection to stream closed');
-        setBroadcasterFound(false);
-        setConnected(false);
-      };
+      });
       
-      socket.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        setStatus('Connection error');
-      };
+      await subscriber.connect();
     } catch (error) {
       console.error('Error connecting to stream:', error);
       setStatus(`Error: ${error.message}`);
     }
   };
   
-  // Set up event handlers for the peer connection
-  const setupPeerConnectionEventHandlers = (peerConnection) => {
-    // When ICE candidates are generated, send them to the broadcaster
-    peerConnection.onicecandidate = (event) => {
-      if (event.candidate && socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
-        socketRef.current.send(JSON.stringify({
-          type: 'ice_candidate',
-          candidate: event.candidate,
-          broadcasterId: null, // This will be filled in by the signaling server
-          viewerId: viewerId.current
-        }));
+  const handleSubscriberState = ({ state, detail }) => {
+    if (detail) {
+      setStatus(detail);
+    }
+    
+    if (state === SubscriberState.LIVE) {
+      setConnected(true);
+      setBroadcasterFound(true);
+    } else if (state === SubscriberState.NEGOTIATING || state === SubscriberState.REJECTED) {
+      setBroadcasterFound(true);
+    } else if (state === SubscriberState.WAITING) {
+      setBroadcasterFound(false);
+    } else if (state === SubscriberState.LOST) {
+      setConnected(false);
+      setBroadcasterFound(false);
+    } else if (state === SubscriberState.RECOVERING) {
+      // Keep the last frame on screen while the connection recovers, and
+      // as the poster if it doesn't
+      keepLastFrame();
+    }
+  };
+  
+  const showStream = (stream) => {
+    setRemoteStream(stream);
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  };
+  
+  const handleJoinRejected = ({ reason, challenge }) => {
+    // A passcode we already know just needs answering with the new challenge
+    if (reason === JoinRejectReason.PASSCODE_REQUIRED && challenge && passcodeRef.current) {
+      sendPasscode(passcodeRef.current, challenge);
+      return;
+    }
+    setJoinRejection({ reason, challenge });
+  };
+  
+  const handleKicked = ({ banned }) => {
+    // Remembered locally so a reload doesn't just rejoin under a new id
+    if (banned) {
+      localStorage.setItem(banStorageKey(streamId), String(Date.now()));
+      setBanned(true);
+    }
+    disconnectFromStream();
+    setStatus(banned
+      ? 'You have been banned from this stream'
+      : 'You were removed from the stream by the broadcaster');
+  };
+  
+  // Arrives ahead of the offer that opens or closes our sending side
+  const handleStageUpdate = ({ onStage }) => {
+    if (onStage && stageMediaRef.current) {
+      subscriberRef.current.setStageMedia(stageMediaRef.current);
+      setStage({ handRaised: false, onStage: true });
+      return;
+    }
+    // Brought on after lowering our hand: have the broadcaster undo it
+    if (onStage) {
+      subscriberRef.current.raiseHand(false);
+    }
+    releaseStageMedia();
+  };
+  
+  // Prove we know the passcode by hashing it with the broadcaster's challenge
+  const sendPasscode = async (passcode, challenge) => {
+    try {
+      const proof = await createPasscodeProof({ streamId, passcode, challenge });
+      passcodeRef.current = passcode;
+      credentialsRef.current = { challenge, proof };
+      setJoinRejection(null);
+      
+      if (subscriberRef.current) {
+        subscriberRef.current.join(credentialsRef.current);
       }
-    };
+    } catch (error) {
+      console.error('Error sending passcode:', error);
+      setStatus(`Error: ${error.message}`);
+    }
+  };
+  
+  // Play from a media server over WHEP. There is no signaling, so chat,
+  // access control and relaying don't apply.
+  const playViaWhep = async () => {
+    const session = new WhipSession({ endpoint: getWhepUrl(streamId) });
+    whepSessionRef.current = session;
+    
+    const iceServers = await getIceServers();
+    const peerConnection = new RTCPeerConnection(withE2ee({ iceServers }, e2eeRef.current));
+    peerConnectionRef.current = peerConnection;
+    peerConnection.addTransceiver('video', { direction: 'recvonly' });
+    peerConnection.addTransceiver('audio', { direction: 'recvonly' });
     
-    // When we receive a track, add it to the video element
+    // Media servers don't always put their tracks in a stream
+    let looseTracks = null;
     peerConnection.ontrack = (event) => {
-      console.log('Received track from broadcaster');
-      if (videoRef.current) {
-        videoRef.current.srcObject = event.streams[0];
-        setConnected(true);
-        setStatus('Connected to broadcast');
+      if (e2eeRef.current) {
+        e2eeRef.current.decryptReceiver(event.receiver);
       }
-    };
-    
-    // Log connection state changes
-    peerConnection.oniceconnectionstatechange = () => {
-      console.log(`ICE connection state: ${peerConnection.iceConnectionState}`);
-      
-      if (peerConnection.iceConnectionState === 'disconnected' || 
-          peerConnection.iceConnectionState === 'failed' ||
-          peerConnection.iceConnectionState === 'closed') {
-        
-        setStatus('Connection lost');
-        setConnected(false);
+      if (event.streams[0]) {
+        showStream(event.streams[0]);
+        return;
       }
+      looseTracks = looseTracks || new MediaStream();
+      looseTracks.addTrack(event.track);
+      showStream(looseTracks);
     };
     
     peerConnection.onconnectionstatechange = () => {
-      console.log(`Connection state: ${peerConnection.connectionState}`);
+      console.log(`Media server connection state: ${peerConnection.connectionState}`);
       
       if (peerConnection.connectionState === 'connected') {
         setStatus('Connected to broadcast');
         setConnected(true);
-      } else if (peerConnection.connectionState === 'disconnected' || 
-                peerConnection.connectionState === 'failed' ||
-                peerConnection.connectionState === 'closed') {
-        
-        setStatus('Connection ended');
+      } else if (peerConnection.connectionState === 'disconnected') {
+        setStatus('Connection interrupted, trying to recover...');
+        keepLastFrame();
+      } else if (peerConnection.connectionState === 'failed') {
+        setStatus('Connection lost');
         setConnected(false);
       }
     };
+    
+    setBroadcasterFound(true);
+    setStatus('Connecting to the media server...');
+    await session.negotiate(peerConnection);
+    setWhepLayers(session.supportsLayers);
+  };
+  
+  // Decrypt with the passphrase we have, if any. Receivers get their
+  // transforms as their tracks arrive.
+  const startE2ee = async () => {
+    if (!e2eePassphraseRef.current) {
+      return;
+    }
+    if (!isE2eeSupported()) {
+      throw new Error('This browser can\'t play end-to-end encrypted streams');
+    }
+    
+    const session = new E2eeSession();
+    session.on('status', ({ decrypting }) => setE2ee({ active: true, decrypting }));
+    try {
+      await session.setPassphrase(e2eePassphraseRef.current, streamId);
+    } catch (error) {
+      session.close();
+      throw error;
+    }
+    e2eeRef.current = session;
+    setE2ee({ active: true, decrypting: null });
+  };
+  
+  // Keep the passphrase in the fragment, so a reload still has it, and
+  // connect again with it
+  const submitPassphrase = (passphrase) => {
+    e2eePassphraseRef.current = passphrase;
+    navigate(
+      { search: location.search, hash: new URLSearchParams({ [E2EE_FRAGMENT_PARAM]: passphrase }).toString() },
+      { replace: true }
+    );
+    handleReconnect();
+  };
+  
+  const keepLastFrame = () => {
+    const video = videoRef.current;
+    if (!hasVideoFrame(video)) {
+      return;
+    }
+    captureFrame(video, LAST_FRAME_OPTIONS)
+      .then(frame => setPoster({ streamId, image: frame.dataUrl }))
+      .catch(error => console.error('Error capturing last frame:', error));
+  };
+  
+  // Open the camera and microphone up front, so a raised hand is ready to
+  // go on stage
+  const raiseHand = async () => {
+    setStageError(null);
+    try {
+      const media = await getCameraStream(STAGE_CAPTURE);
+      if (!subscriberRef.current) {
+        media.getTracks().forEach(track => track.stop());
+        return;
+      }
+      stageMediaRef.current = media;
+      setStageMedia(media);
+      subscriberRef.current.raiseHand(true);
+      setStage({ handRaised: true, onStage: false });
+    } catch (error) {
+      console.error('Error opening the camera for the stage:', error);
+      setStageError(describeMediaError(error) || `Could not open the camera: ${error.message}`);
+    }
+  };
+  
+  // Lower our hand, or leave the stage
+  const lowerHand = () => {
+    if (subscriberRef.current) {
+      subscriberRef.current.raiseHand(false);
+    }
+    releaseStageMedia();
+  };
+  
+  const releaseStageMedia = () => {
+    if (stageMediaRef.current) {
+      stageMediaRef.current.getTracks().forEach(track => track.stop());
+      stageMediaRef.current = null;
+    }
+    if (subscriberRef.current) {
+      subscriberRef.current.setStageMedia(null);
+    }
+    setStageMedia(null);
+    setStage({ handRaised: false, onStage: false });
   };
   
   // Disconnect from the stream
   const disconnectFromStream = () => {
-    // Close peer connection
+    // Leave the stream; viewers we relayed to get re-parented by the
+    // broadcaster
+    if (subscriberRef.current) {
+      subscriberRef.current.close();
+      subscriberRef.current = null;
+    }
+    setRelayChildCount(0);
+    chatRef.current.reset();
+    
     if (peerConnectionRef.current) {
       peerConnectionRef.current.close();
       peerConnectionRef.current = null;
     }
+    if (whepSessionRef.current) {
+      whepSessionRef.current.close();
+      whepSessionRef.current = null;
+    }
+    setWhepLayers(null);
     
-    // Close WebSocket connection
-    if (socketRef.current) {
-      if (socketRef.current.readyState === WebSocket.OPEN) {
-        socketRef.current.send(JSON.stringify({
-          type: 'viewer_left',
-          viewerId: viewerId.current
-        }));
-      }
-      socketRef.current.close();
-      socketRef.current = null;
+    if (e2eeRef.current) {
+      e2eeRef.current.close();
+      e2eeRef.current = null;
+    }
+    setE2ee({ active: false, decrypting: null });
+    
+    // Off the stage along with the stream
+    if (stageMediaRef.current) {
+      stageMediaRef.current.getTracks().forEach(track => track.stop());
+      stageMediaRef.current = null;
     }
+    setStageMedia(null);
+    setStage({ handRaised: false, onStage: false });
     
     // Clear video element
     if (videoRef.current) {
       videoRef.current.srcObject = null;
     }
     
+    setRemoteStream(null);
+    setBroadcasterState({ audioMuted: false, videoOff: false, encrypted: false });
+    setJoinRejection(null);
     setConnected(false);
     setBroadcasterFound(false);
+    setIsReconnecting(false);
     setStatus('Disconnected from stream');
   };
   
+  const posterImage = poster && poster.streamId === streamId ? poster.image : null;
+  const upcoming = schedule && schedule.streamId === streamId ? schedule : null;
+  const needsPassphrase = (broadcasterState.encrypted && !e2ee.active) || e2ee.decrypting === false;
+  
+  const handleTheaterChange = (enabled) => {
+    setTheater(enabled);
+    localStorage.setItem(THEATER_KEY, String(enabled));
+  };
+  
+  const handleQualityChange = (e) => {
+    setQualityPreference(e.target.value);
+    localStorage.setItem(QUALITY_KEY, e.target.value);
+  };
+  
+  const handleDisplayNameChange = (name) => {
+    setDisplayName(name);
+    localStorage.setItem(DISPLAY_NAME_KEY, name);
+  };
+  
   // Attempt to reconnect to the stream
   const handleReconnect = () => {
     disconnectFromStream();
-    setTimeout(() => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = setTimeout(() => {
+      reconnectTimerRef.current = null;
       connectToStream();
     }, 1000);
   };
   
   return (
-    <div className="viewer-container">
+    <div className={`viewer-container ${theater ? 'theater' : ''}`}>
       <h1>Live Stream Viewer</h1>
       
       <div className="stream-info">
         <p>Stream ID: <span className="highlight">{streamId}</span></p>
-        <p>Status: <span className={`highlight ${connected ? 'active' : ''}`}>{status}</span></p>
+        <p>Status: <span className={`highlight ${isReconnecting ? 'reconnecting' : connected ? 'active' : ''}`}>{status}</span></p>
+        {e2ee.active && (
+          <p>
+            Media:{' '}
+            <span className={`highlight ${e2ee.decrypting === false ? 'e2ee-failing' : 'e2ee'}`}>
+              {e2ee.decrypting === false ? 'End-to-end encrypted, can\'t decrypt' : 'End-to-end encrypted'}
+            </span>
+          </p>
+        )}
+        {relayChildCount > 0 && (
+          <p>Relaying to <span className="highlight">{relayChildCount}</span> other viewer{relayChildCount === 1 ? '' : 's'}</p>
+        )}
       </div>
       
-      <div className="video-container">
-        <video 
-          ref={videoRef} 
-          autoPlay 
-          playsInline 
-          controls
-          style={{ display: connected ? 'block' : 'none' }}
-        />
+      <VideoPlayer
+        className="video-container"
+        videoRef={videoRef}
+        stream={connected ? remoteStream : null}
+        latency={estimateLatency(connectionStats.broadcaster && connectionStats.broadcaster.latest)}
+        theater={theater}
+        onTheaterChange={handleTheaterChange}
+      >
+        {connected && <ReactionOverlay reactions={chat.reactions} />}
+        
+        {connected && (broadcasterState.audioMuted || broadcasterState.videoOff) && (
+          <div className="media-overlays">
+            {broadcasterState.videoOff && (
+              <span className="media-overlay">Broadcaster's camera is off</span>
+            )}
+            {broadcasterState.audioMuted && (
+              <span className="media-overlay">Broadcaster is muted</span>
+            )}
+          </div>
+        )}
         
-        {!connected && (
-          <div className="placeholder">
-            {!broadcasterFound ? (
+        {needsPassphrase && (
+          <div className="placeholder e2ee-locked">
+            <E2eePrompt failing={e2ee.decrypting === false} onSubmitPassphrase={submitPassphrase} />
+          </div>
+        )}
+        
+        {!connected && !needsPassphrase && (
+          <div
+            className={`placeholder ${posterImage ? 'with-poster' : ''}`}
+            style={posterImage ? { backgroundImage: `url(${posterImage})` } : undefined}
+          >
+            {joinRejection ? (
+              <JoinGate
+                reason={joinRejection.reason}
+                onSubmitPasscode={(passcode) => sendPasscode(passcode, joinRejection.challenge)}
+              />
+            ) : !broadcasterFound && upcoming ? (
+              <Lobby schedule={upcoming} url={getViewerUrl(streamId, whepPlayback ? { transport: WHEP_TRANSPORT_PARAM } : {})} />
+            ) : !broadcasterFound ? (
               <div>
                 <p>Waiting for broadcast to begin...</p>
                 <div className="loading-spinner"></div>
@@ -246,23 +561,77 @@ const Viewer = () => {
             )}
           </div>
         )}
-      </div>
+      </VideoPlayer>
       
       <div className="controls">
         <button 
           className="reconnect-button"
           onClick={handleReconnect}
+          disabled={banned}
         >
           Reconnect
         </button>
+        
+        <label
+          className="quality-select"
+          title={whepLayers === false ? 'The media server picks the quality' : undefined}
+        >
+          Quality:
+          <select
+            value={qualityPreference}
+            onChange={handleQualityChange}
+            disabled={whepPlayback && whepLayers === false}
+          >
+            <option value={QualityLayer.AUTO}>
+              Auto{connected ? ` (${qualityLabels[requestedLayer]})` : ''}
+            </option>
+            <option value={QualityLayer.HIGH}>{qualityLabels[QualityLayer.HIGH]}</option>
+            <option value={QualityLayer.MEDIUM}>{qualityLabels[QualityLayer.MEDIUM]}</option>
+            <option value={QualityLayer.LOW}>{qualityLabels[QualityLayer.LOW]}</option>
+          </select>
+        </label>
       </div>
       
+      {!whepPlayback && connected && (
+        <StageControls
+          handRaised={stage.handRaised}
+          onStage={stage.onStage}
+          media={stageMedia}
+          error={stageError}
+          disabled={isReconnecting}
+          onRaise={raiseHand}
+          onLower={lowerHand}
+        />
+      )}
+      
+      {!whepPlayback && (
+        <ChatPanel
+          messages={chat.messages}
+          slowMode={chat.slowMode}
+          rejection={chat.rejection}
+          selfId={viewerId.current}
+          name={displayName}
+          onNameChange={handleDisplayNameChange}
+          onSend={(text) => chatRef.current.send(text, displayName)}
+          onReact={(emoji) => chatRef.current.react(emoji, displayName)}
+          disabled={!chat.isOpen}
+        />
+      )}
+      
+      <StatsPanel stats={connectionStats} role="viewer" streamId={streamId} />
+      
+      <RecordingPanel
+        stream={connected ? remoteStream : null}
+        source="viewer"
+        label={`stream-${streamId}`}
+      />
+      
       <div className="instructions">
         <h3>Viewing stream: {streamId}</h3>
         <p>If you're having trouble connecting:</p>
         <ul>
           <li>Check that the broadcaster has started the stream</li>
-          <li>Try refreshing the page or clicking "Reconnect"</li>
+          <li>Lost connections are retried automatically; if that gives up, click "Reconnect"</li>
           <li>Ensure you have the correct Stream ID</li>
         </ul>
       </div>
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { AudioLevelAnalyser, CLIPPING_LEVEL } from '../services/audioLevel.js';
+
+const DEFAULT_INTERVAL_MS = 50;
+// Keep reporting clipping this long after the last clipped sample, so a
+// warning stays up long enough to read
+const CLIPPING_HOLD_MS = 2000;
+
+// { rms, peak, clipping } of an audio track, sampled every `interval` ms,
+// or null without a track
+const useAudioLevel = (track, { interval = DEFAULT_INTERVAL_MS } = {}) => {
+  const [level, setLevel] = useState(null);
+
+  useEffect(() => {
+    if (!track) {
+      setLevel(null);
+      return undefined;
+    }
+
+    let analyser;
+    try {
+      analyser = new AudioLevelAnalyser(track);
+    } catch (error) {
+      console.error('Error analysing audio level:', error);
+      return undefined;
+    }
+
+    let clippedAt = -Infinity;
+    const timer = setInterval(() => {
+      const reading = analyser.read();
+      const now = performance.now();
+      if (reading.peak >= CLIPPING_LEVEL) {
+        clippedAt = now;
+      }
+      setLevel({ ...reading, clipping: now - clippedAt < CLIPPING_HOLD_MS });
+    }, interval);
+    return () => {
+      clearInterval(timer);
+      analyser.close();
+    };
+  }, [track, interval]);
+
+  return level;
+};
+
+export default useAudioLevel;
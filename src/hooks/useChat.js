@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+
+// How long a reaction floats over the video
+const REACTION_DURATION_MS = 4000;
+const MAX_VISIBLE_REACTIONS = 30;
+
+// Chat state from a ChatHub or ChatClient: the message log, slow mode, the
+// last rejection, the reactions currently on screen and, for a ChatClient,
+// whether its channel is open
+const useChat = (chat) => {
+  const [messages, setMessages] = useState(chat.messages);
+  const [slowMode, setSlowMode] = useState(chat.slowMode);
+  const [rejection, setRejection] = useState(null);
+  const [reactions, setReactions] = useState([]);
+  const [isOpen, setIsOpen] = useState(Boolean(chat.isOpen));
+
+  useEffect(() => {
+    const timers = new Set();
+
+    const showReaction = (reaction) => {
+      setReactions(current => [...current, reaction].slice(-MAX_VISIBLE_REACTIONS));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setReactions(current => current.filter(candidate => candidate.id !== reaction.id));
+      }, REACTION_DURATION_MS);
+      timers.add(timer);
+    };
+
+    const unsubscribers = [
+      chat.on('messages', setMessages),
+      chat.on('slow_mode', setSlowMode),
+      // Shown until sending is allowed again
+      chat.on('rejected', (next) => {
+        setRejection(next);
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          setRejection(current => (current === next ? null : current));
+        }, next.retryAfter);
+        timers.add(timer);
+      }),
+      chat.on('reaction', showReaction),
+      chat.on('open', () => setIsOpen(true)),
+      chat.on('close', () => setIsOpen(false))
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      timers.forEach(clearTimeout);
+    };
+  }, [chat]);
+
+  return { messages, slowMode, rejection, reactions, isOpen };
+};
+
+export default useChat;
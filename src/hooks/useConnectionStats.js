@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react';
+import { collectStats } from '../services/connectionStats.js';
+
+const DEFAULT_INTERVAL_MS = 2000;
+const DEFAULT_HISTORY_LENGTH = 60;
+
+// Poll getStats() for a set of peer connections while `enabled`.
+// `getPeerConnections` returns an { id: RTCPeerConnection } map and is read
+// on every poll, so connections may come and go. Returns
+// { id: { latest, history } } with the last `historyLength` samples.
+const useConnectionStats = (getPeerConnections, {
+  direction,
+  enabled = true,
+  interval = DEFAULT_INTERVAL_MS,
+  historyLength = DEFAULT_HISTORY_LENGTH
+}) => {
+  const [stats, setStats] = useState({});
+  const getPeerConnectionsRef = useRef(getPeerConnections);
+  getPeerConnectionsRef.current = getPeerConnections;
+
+  useEffect(() => {
+    if (!enabled) {
+      setStats({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    let current = {};
+
+    const poll = async () => {
+      const peerConnections = Object.entries(getPeerConnectionsRef.current() || {})
+        .filter(([, peerConnection]) => peerConnection && peerConnection.signalingState !== 'closed');
+
+      const next = {};
+      await Promise.all(peerConnections.map(async ([id, peerConnection]) => {
+        const previous = current[id];
+        try {
+          const sample = await collectStats(peerConnection, direction, previous ? previous.latest : null);
+          const history = previous ? [...previous.history, sample].slice(-historyLength) : [sample];
+          next[id] = { latest: sample, history };
+        } catch (error) {
+          console.error(`Error collecting stats for ${id}:`, error);
+          if (previous) {
+            next[id] = previous;
+          }
+        }
+      }));
+
+      if (!cancelled) {
+        current = next;
+        setStats(next);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, interval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [enabled, direction, interval, historyLength]);
+
+  return stats;
+};
+
+export default useConnectionStats;
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { StreamDirectory } from '../services/streamDirectory.js';
+
+// Live broadcasts from the stream directory, kept current while mounted.
+// `isLive` tells whether updates are arriving or the list may be stale.
+const useLiveStreams = () => {
+  const [streams, setStreams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+
+  useEffect(() => {
+    const directory = new StreamDirectory();
+
+    directory.on('streams', (list) => {
+      setStreams(list);
+      setLoading(false);
+      setError(null);
+    });
+    directory.on('error', (fetchError) => {
+      setError(fetchError);
+      setLoading(false);
+    });
+    directory.on('live', setIsLive);
+    directory.start();
+
+    return () => {
+      directory.stop();
+      directory.removeAllListeners();
+    };
+  }, []);
+
+  return { streams, loading, error, isLive };
+};
+
+export default useLiveStreams;
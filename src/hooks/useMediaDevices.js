@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listMediaDevices } from '../services/mediaDevices.js';
+
+// Available cameras and microphones, kept up to date as devices are
+// plugged in or removed. Call refresh() after permission is granted to
+// pick up device labels.
+const useMediaDevices = () => {
+  const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+
+  const refresh = useCallback(async () => {
+    try {
+      setDevices(await listMediaDevices());
+    } catch (error) {
+      console.error('Error listing media devices:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+
+    if (!navigator.mediaDevices) {
+      return undefined;
+    }
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  return { ...devices, refresh };
+};
+
+export default useMediaDevices;
@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  QualityLayer,
+  layerForBandwidth,
+  layerForViewport,
+  lowerLayer,
+  stepLayer
+} from '../services/simulcast.js';
+
+// Packet loss (%) that makes Auto step down a layer, and below which it
+// may try the next layer up again
+const STEP_DOWN_LOSS = 5;
+const STEP_UP_LOSS = 1;
+// How long the connection has to stay clean before stepping up
+const STEP_UP_DELAY_MS = 20000;
+
+// The layer to ask for: `preference` unless it is Auto, in which case the
+// layer follows the player's size and the measured bandwidth. `sample` is
+// the latest inbound stats sample and drives the re-evaluation.
+const useQualityLayer = (preference, { sample, videoRef }) => {
+  const [autoLayer, setAutoLayer] = useState(QualityLayer.HIGH);
+  // Loss-driven estimate for browsers that don't report available bandwidth
+  const bandwidthLayerRef = useRef(QualityLayer.HIGH);
+  const lastStepDownRef = useRef(0);
+
+  useEffect(() => {
+    if (preference !== QualityLayer.AUTO || !sample) {
+      return;
+    }
+
+    if (sample.availableBitrate) {
+      bandwidthLayerRef.current = layerForBandwidth(sample.availableBitrate);
+    } else if (sample.packetLoss !== null) {
+      const now = Date.now();
+      if (sample.packetLoss > STEP_DOWN_LOSS) {
+        bandwidthLayerRef.current = stepLayer(bandwidthLayerRef.current, -1);
+        lastStepDownRef.current = now;
+      } else if (sample.packetLoss < STEP_UP_LOSS && now - lastStepDownRef.current > STEP_UP_DELAY_MS) {
+        bandwidthLayerRef.current = stepLayer(bandwidthLayerRef.current, 1);
+        // Give the new layer a full period before going up again
+        lastStepDownRef.current = now;
+      }
+    }
+
+    const video = videoRef.current;
+    const viewportLayer = video && video.clientWidth
+      ? layerForViewport(video.clientWidth * (window.devicePixelRatio || 1))
+      : QualityLayer.HIGH;
+
+    setAutoLayer(lowerLayer(viewportLayer, bandwidthLayerRef.current));
+  }, [preference, sample, videoRef]);
+
+  return preference === QualityLayer.AUTO ? autoLayer : preference;
+};
+
+export default useQualityLayer;
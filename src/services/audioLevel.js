@@ -0,0 +1,55 @@
+// Live level of an audio track for meters, read from a Web Audio analyser
+
+// Meters span this range, in dBFS
+export const METER_FLOOR_DB = -60;
+
+// Samples this close to full scale are taken as clipped
+export const CLIPPING_LEVEL = 0.99;
+
+export const toDecibels = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+// Position of a linear level on a meter, 0 (floor or below) to 1 (0 dBFS)
+export const meterPosition = (value) => {
+  const decibels = toDecibels(value);
+  if (decibels <= METER_FLOOR_DB) {
+    return 0;
+  }
+  return Math.min(1, 1 - decibels / METER_FLOOR_DB);
+};
+
+export class AudioLevelAnalyser {
+  constructor(track) {
+    const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextImpl();
+    // Created outside a click it may start suspended
+    this.context.resume().catch(() => {});
+
+    this.source = this.context.createMediaStreamSource(new MediaStream([track]));
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.source.connect(this.analyser);
+    this.samples = new Float32Array(this.analyser.fftSize);
+  }
+
+  // RMS and peak of the most recent block of samples, linear 0..1
+  read() {
+    // Autoplay rules keep it suspended until the page has been interacted with
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+    }
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    let sumOfSquares = 0;
+    let peak = 0;
+    this.samples.forEach(sample => {
+      sumOfSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    });
+    return { rms: Math.sqrt(sumOfSquares / this.samples.length), peak };
+  }
+
+  close() {
+    this.source.disconnect();
+    this.context.close().catch(() => {});
+  }
+}
@@ -0,0 +1,87 @@
+// Microphone processing: the browser's echo cancellation, noise suppression
+// and auto gain, and a gain stage of our own in front of the encoder
+
+export const DEFAULT_AUDIO_PROCESSING = Object.freeze({
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+});
+
+// Input gain slider range, in dB
+export const MIN_INPUT_GAIN_DB = -12;
+export const MAX_INPUT_GAIN_DB = 12;
+
+// How quickly gain changes take effect, in seconds; avoids clicks
+const GAIN_TIME_CONSTANT = 0.02;
+
+export const decibelsToGain = (decibels) => 10 ** (decibels / 20);
+
+// Which of the processing switches the browser lets us set
+export const getSupportedAudioProcessing = () => {
+  const supported = navigator.mediaDevices && navigator.mediaDevices.getSupportedConstraints
+    ? navigator.mediaDevices.getSupportedConstraints()
+    : {};
+  return Object.fromEntries(
+    Object.keys(DEFAULT_AUDIO_PROCESSING).map(key => [key, Boolean(supported[key])])
+  );
+};
+
+// Change the processing of a running microphone track. Resolves false if
+// the browser kept the old settings; some only apply them to a newly
+// opened microphone.
+export const applyAudioProcessing = async (track, processing) => {
+  try {
+    await track.applyConstraints({ ...track.getConstraints(), ...processing });
+  } catch (error) {
+    console.error('Error applying audio processing:', error);
+    return false;
+  }
+
+  const settings = track.getSettings();
+  return Object.keys(processing).every(key => settings[key] === undefined || settings[key] === processing[key]);
+};
+
+// Routes a microphone track through a Web Audio gain node, producing a new
+// track (`track`) that stays the same when the microphone changes. Muting
+// the input (track.enabled) carries through as silence.
+export class AudioGainStage {
+  constructor() {
+    const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextImpl();
+    // Created outside a click it may start suspended
+    this.context.resume().catch(() => {});
+
+    this.gain = this.context.createGain();
+    this.destination = this.context.createMediaStreamDestination();
+    this.gain.connect(this.destination);
+    [this.track] = this.destination.stream.getAudioTracks();
+    this.source = null;
+  }
+
+  start(track, decibels) {
+    this.gain.gain.value = decibelsToGain(decibels);
+    this.setInput(track);
+    return this.track;
+  }
+
+  setGain(decibels) {
+    this.gain.gain.setTargetAtTime(decibelsToGain(decibels), this.context.currentTime, GAIN_TIME_CONSTANT);
+  }
+
+  setInput(track) {
+    if (this.source) {
+      this.source.disconnect();
+    }
+    this.source = this.context.createMediaStreamSource(new MediaStream([track]));
+    this.source.connect(this.gain);
+  }
+
+  stop() {
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+    this.track.stop();
+    this.context.close().catch(() => {});
+  }
+}
@@ -0,0 +1,328 @@
+import { EventEmitter } from './eventEmitter.js';
+import { TokenBucket } from './rateLimiter.js';
+
+// Chat and reactions over a per-viewer RTCDataChannel. The broadcaster is
+// the hub: viewers send to it, it stamps and relays to everyone.
+
+export const CHAT_CHANNEL_LABEL = 'chat';
+
+export const ChatMessageType = Object.freeze({
+  CHAT: 'chat',
+  REACTION: 'reaction',
+  DELETE: 'delete',
+  SLOW_MODE: 'slow_mode',
+  // Broadcaster -> viewer: your message was not relayed
+  REJECTED: 'rejected',
+  // Broadcaster -> viewer on connect: recent messages and current settings
+  HISTORY: 'history'
+});
+
+export const REACTIONS = Object.freeze(['👍', '❤️', '😂', '😮', '👏', '🎉']);
+
+export const MAX_MESSAGE_LENGTH = 500;
+export const MAX_NAME_LENGTH = 32;
+const HISTORY_LENGTH = 100;
+
+// Per-viewer limits, enforced by the broadcaster and mirrored by viewers so
+// they can tell the user before sending
+const MESSAGE_LIMIT = { capacity: 5, refillPerSecond: 0.5 };
+const REACTION_LIMIT = { capacity: 10, refillPerSecond: 2 };
+
+let messageCounter = 0;
+const createMessageId = () => {
+  messageCounter += 1;
+  return `msg_${Date.now().toString(36)}_${messageCounter}`;
+};
+
+const cleanText = (value, maxLength) => (
+  typeof value === 'string' ? value.trim().substring(0, maxLength) : ''
+);
+
+export const cleanName = (name) => cleanText(name, MAX_NAME_LENGTH);
+
+const sendTo = (channel, message) => {
+  if (channel && channel.readyState === 'open') {
+    channel.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+};
+
+const parse = (data) => {
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+};
+
+// Broadcaster side: one channel per viewer.
+//
+// Emits:
+//   'messages' (messages)  - the chat log changed
+//   'reaction' (reaction)  - { id, emoji, name, senderId }
+//   'slow_mode' (seconds)
+export class ChatHub extends EventEmitter {
+  constructor({ hostId, hostName = 'Broadcaster' }) {
+    super();
+    this.hostId = hostId;
+    this.hostName = hostName;
+    this.channels = {};
+    this.limits = {};
+    this.messages = [];
+    this.slowMode = 0;
+  }
+
+  addChannel(viewerId, channel) {
+    this.removeChannel(viewerId);
+    this.channels[viewerId] = channel;
+    this.limits[viewerId] = {
+      messages: new TokenBucket(MESSAGE_LIMIT),
+      reactions: new TokenBucket(REACTION_LIMIT),
+      lastMessageAt: 0
+    };
+
+    channel.onopen = () => {
+      sendTo(channel, { type: ChatMessageType.HISTORY, messages: this.messages, slowMode: this.slowMode });
+    };
+    channel.onmessage = (event) => {
+      const message = parse(event.data);
+      if (message && this.channels[viewerId] === channel) {
+        this.handleViewerMessage(viewerId, message);
+      }
+    };
+  }
+
+  removeChannel(viewerId) {
+    const channel = this.channels[viewerId];
+    if (channel) {
+      channel.onopen = null;
+      channel.onmessage = null;
+      channel.close();
+    }
+    delete this.channels[viewerId];
+    delete this.limits[viewerId];
+  }
+
+  handleViewerMessage(viewerId, message) {
+    const channel = this.channels[viewerId];
+    const limits = this.limits[viewerId];
+    const name = cleanName(message.name) || viewerId;
+
+    if (message.type === ChatMessageType.CHAT) {
+      const text = cleanText(message.text, MAX_MESSAGE_LENGTH);
+      if (!text) {
+        return;
+      }
+
+      const now = Date.now();
+      const slowModeWait = this.slowMode * 1000 - (now - limits.lastMessageAt);
+      if (slowModeWait > 0) {
+        sendTo(channel, { type: ChatMessageType.REJECTED, reason: 'slow_mode', retryAfter: slowModeWait });
+        return;
+      }
+      if (!limits.messages.tryRemove()) {
+        sendTo(channel, { type: ChatMessageType.REJECTED, reason: 'rate_limited', retryAfter: limits.messages.retryAfter });
+        return;
+      }
+
+      limits.lastMessageAt = now;
+      this.publish({ senderId: viewerId, name, text, host: false });
+    } else if (message.type === ChatMessageType.REACTION) {
+      // Excess reactions are dropped silently
+      if (REACTIONS.includes(message.emoji) && limits.reactions.tryRemove()) {
+        this.relayReaction({ senderId: viewerId, name, emoji: message.emoji });
+      }
+    }
+  }
+
+  // Stamp a message and send it to every viewer, the sender included
+  publish({ senderId, name, text, host }) {
+    const message = {
+      type: ChatMessageType.CHAT,
+      id: createMessageId(),
+      senderId,
+      name,
+      text,
+      host,
+      sentAt: Date.now()
+    };
+    this.messages = [...this.messages, message].slice(-HISTORY_LENGTH);
+    this.broadcast(message);
+    this.emit('messages', this.messages);
+  }
+
+  relayReaction({ senderId, name, emoji }) {
+    const reaction = { type: ChatMessageType.REACTION, id: createMessageId(), senderId, name, emoji };
+    this.broadcast(reaction);
+    this.emit('reaction', reaction);
+  }
+
+  broadcast(message) {
+    Object.values(this.channels).forEach(channel => sendTo(channel, message));
+  }
+
+  // The broadcaster's own messages skip rate limiting and slow mode
+  send(text) {
+    const cleaned = cleanText(text, MAX_MESSAGE_LENGTH);
+    if (cleaned) {
+      this.publish({ senderId: this.hostId, name: this.hostName, text: cleaned, host: true });
+    }
+  }
+
+  react(emoji) {
+    if (REACTIONS.includes(emoji)) {
+      this.relayReaction({ senderId: this.hostId, name: this.hostName, emoji });
+    }
+  }
+
+  deleteMessage(id) {
+    this.messages = this.messages.filter(message => message.id !== id);
+    this.broadcast({ type: ChatMessageType.DELETE, id });
+    this.emit('messages', this.messages);
+  }
+
+  // Minimum seconds between two messages from the same viewer; 0 turns it off
+  setSlowMode(seconds) {
+    this.slowMode = seconds;
+    this.broadcast({ type: ChatMessageType.SLOW_MODE, seconds });
+    this.emit('slow_mode', seconds);
+  }
+
+  // Drop every viewer and the log, ready for the next broadcast
+  reset() {
+    Object.keys(this.channels).forEach(viewerId => this.removeChannel(viewerId));
+    this.messages = [];
+    this.slowMode = 0;
+    this.emit('messages', this.messages);
+    this.emit('slow_mode', this.slowMode);
+  }
+}
+
+// Viewer side: the channel the broadcaster opened to us.
+//
+// Emits:
+//   'open' / 'close'
+//   'messages' (messages)
+//   'reaction' (reaction)
+//   'slow_mode' (seconds)
+//   'rejected' ({ reason, retryAfter })
+export class ChatClient extends EventEmitter {
+  constructor() {
+    super();
+    this.channel = null;
+    this.messages = [];
+    this.slowMode = 0;
+    this.lastSentAt = 0;
+    this.messageLimit = new TokenBucket(MESSAGE_LIMIT);
+    this.reactionLimit = new TokenBucket(REACTION_LIMIT);
+  }
+
+  get isOpen() {
+    return Boolean(this.channel && this.channel.readyState === 'open');
+  }
+
+  attach(channel) {
+    this.detach();
+    this.channel = channel;
+
+    channel.onopen = () => this.emit('open');
+    channel.onclose = () => {
+      if (this.channel === channel) {
+        this.emit('close');
+      }
+    };
+    channel.onmessage = (event) => {
+      const message = parse(event.data);
+      if (message) {
+        this.handleMessage(message);
+      }
+    };
+    if (channel.readyState === 'open') {
+      this.emit('open');
+    }
+  }
+
+  detach() {
+    if (this.channel) {
+      this.channel.onopen = null;
+      this.channel.onclose = null;
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case ChatMessageType.HISTORY:
+        this.messages = Array.isArray(message.messages) ? message.messages : [];
+        this.slowMode = message.slowMode || 0;
+        this.emit('messages', this.messages);
+        this.emit('slow_mode', this.slowMode);
+        break;
+      case ChatMessageType.CHAT:
+        this.messages = [...this.messages, message].slice(-HISTORY_LENGTH);
+        this.emit('messages', this.messages);
+        break;
+      case ChatMessageType.DELETE:
+        this.messages = this.messages.filter(candidate => candidate.id !== message.id);
+        this.emit('messages', this.messages);
+        break;
+      case ChatMessageType.REACTION:
+        this.emit('reaction', message);
+        break;
+      case ChatMessageType.SLOW_MODE:
+        this.slowMode = message.seconds;
+        this.emit('slow_mode', message.seconds);
+        break;
+      case ChatMessageType.REJECTED:
+        this.emit('rejected', { reason: message.reason, retryAfter: message.retryAfter });
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Milliseconds until slow mode allows the next message
+  get slowModeWait() {
+    return Math.max(0, this.slowMode * 1000 - (Date.now() - this.lastSentAt));
+  }
+
+  // Returns null when sent, or the reason it wasn't
+  send(text, name) {
+    const cleaned = cleanText(text, MAX_MESSAGE_LENGTH);
+    if (!cleaned) {
+      return { reason: 'empty', retryAfter: 0 };
+    }
+    if (!this.isOpen) {
+      return { reason: 'not_connected', retryAfter: 0 };
+    }
+    if (this.slowModeWait > 0) {
+      return { reason: 'slow_mode', retryAfter: this.slowModeWait };
+    }
+    if (!this.messageLimit.tryRemove()) {
+      return { reason: 'rate_limited', retryAfter: this.messageLimit.retryAfter };
+    }
+
+    this.lastSentAt = Date.now();
+    sendTo(this.channel, { type: ChatMessageType.CHAT, text: cleaned, name: cleanName(name) });
+    return null;
+  }
+
+  react(emoji, name) {
+    if (this.isOpen && REACTIONS.includes(emoji) && this.reactionLimit.tryRemove()) {
+      sendTo(this.channel, { type: ChatMessageType.REACTION, emoji, name: cleanName(name) });
+    }
+  }
+
+  reset() {
+    this.detach();
+    this.messages = [];
+    this.slowMode = 0;
+    this.emit('close');
+    this.emit('messages', this.messages);
+    this.emit('slow_mode', this.slowMode);
+  }
+}
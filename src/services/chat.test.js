@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ChatClient, ChatHub, ChatMessageType, MAX_MESSAGE_LENGTH, REACTIONS } from './chat.js';
+
+// An RTCDataChannel that records what is sent on it
+const createChannel = (readyState = 'open') => ({
+  readyState,
+  sent: [],
+  onopen: null,
+  onclose: null,
+  onmessage: null,
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  },
+  close: vi.fn()
+});
+
+const receive = (channel, message) => channel.onmessage({ data: JSON.stringify(message) });
+const sentOfType = (channel, type) => channel.sent.filter(message => message.type === type);
+
+describe('ChatHub', () => {
+  let hub;
+  let channel;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    hub = new ChatHub({ hostId: 'broadcaster_1' });
+    channel = createChannel();
+    hub.addChannel('viewer_1', channel);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('sends the history and slow mode when a channel opens', () => {
+    hub.send('Welcome');
+    hub.setSlowMode(5);
+    channel.sent = [];
+
+    channel.onopen();
+
+    expect(channel.sent).toEqual([{
+      type: ChatMessageType.HISTORY,
+      messages: [expect.objectContaining({ text: 'Welcome', host: true })],
+      slowMode: 5
+    }]);
+  });
+
+  it('stamps viewer messages and relays them to every viewer', () => {
+    const other = createChannel();
+    hub.addChannel('viewer_2', other);
+
+    receive(channel, { type: ChatMessageType.CHAT, text: '  hello  ', name: 'Ann' });
+
+    const expected = expect.objectContaining({ senderId: 'viewer_1', name: 'Ann', text: 'hello', host: false });
+    expect(sentOfType(channel, ChatMessageType.CHAT)).toEqual([expected]);
+    expect(sentOfType(other, ChatMessageType.CHAT)).toEqual([expected]);
+    expect(hub.messages).toEqual([expected]);
+  });
+
+  it('trims messages to the maximum length and drops empty ones', () => {
+    receive(channel, { type: ChatMessageType.CHAT, text: '   ' });
+    receive(channel, { type: ChatMessageType.CHAT, text: 'x'.repeat(MAX_MESSAGE_LENGTH + 10) });
+
+    expect(hub.messages).toHaveLength(1);
+    expect(hub.messages[0].text).toHaveLength(MAX_MESSAGE_LENGTH);
+  });
+
+  it('rejects messages beyond the rate limit with a retry time', () => {
+    for (let i = 0; i < 6; i += 1) {
+      receive(channel, { type: ChatMessageType.CHAT, text: `message ${i}` });
+    }
+
+    expect(hub.messages).toHaveLength(5);
+    expect(sentOfType(channel, ChatMessageType.REJECTED)).toEqual([
+      { type: ChatMessageType.REJECTED, reason: 'rate_limited', retryAfter: 2000 }
+    ]);
+
+    vi.advanceTimersByTime(2000);
+    receive(channel, { type: ChatMessageType.CHAT, text: 'later' });
+    expect(hub.messages).toHaveLength(6);
+  });
+
+  it('holds each viewer to slow mode', () => {
+    hub.setSlowMode(10);
+    receive(channel, { type: ChatMessageType.CHAT, text: 'first' });
+    vi.advanceTimersByTime(4000);
+    receive(channel, { type: ChatMessageType.CHAT, text: 'too soon' });
+
+    expect(hub.messages.map(message => message.text)).toEqual(['first']);
+    expect(sentOfType(channel, ChatMessageType.REJECTED)).toEqual([
+      { type: ChatMessageType.REJECTED, reason: 'slow_mode', retryAfter: 6000 }
+    ]);
+  });
+
+  it('lets the broadcaster past the limits', () => {
+    hub.setSlowMode(10);
+    for (let i = 0; i < 8; i += 1) {
+      hub.send(`announcement ${i}`);
+    }
+
+    expect(hub.messages).toHaveLength(8);
+  });
+
+  it('relays known reactions and drops the excess silently', () => {
+    const onReaction = vi.fn();
+    hub.on('reaction', onReaction);
+
+    receive(channel, { type: ChatMessageType.REACTION, emoji: '💩' });
+    for (let i = 0; i < 12; i += 1) {
+      receive(channel, { type: ChatMessageType.REACTION, emoji: REACTIONS[0] });
+    }
+
+    expect(onReaction).toHaveBeenCalledTimes(10);
+    expect(sentOfType(channel, ChatMessageType.REJECTED)).toEqual([]);
+  });
+
+  it('tells every viewer about deleted messages', () => {
+    hub.send('oops');
+    const [{ id }] = hub.messages;
+
+    hub.deleteMessage(id);
+
+    expect(hub.messages).toEqual([]);
+    expect(sentOfType(channel, ChatMessageType.DELETE)).toEqual([{ type: ChatMessageType.DELETE, id }]);
+  });
+
+  it('ignores a channel once it was replaced', () => {
+    const replacement = createChannel();
+    const { onmessage } = channel;
+    hub.addChannel('viewer_1', replacement);
+
+    onmessage({ data: JSON.stringify({ type: ChatMessageType.CHAT, text: 'stale' }) });
+
+    expect(channel.close).toHaveBeenCalled();
+    expect(hub.messages).toEqual([]);
+  });
+});
+
+describe('ChatClient', () => {
+  let client;
+  let channel;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    client = new ChatClient();
+    channel = createChannel();
+    client.attach(channel);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('tells the user why a message was not sent', () => {
+    expect(client.send('   ')).toEqual({ reason: 'empty', retryAfter: 0 });
+
+    channel.readyState = 'closed';
+    expect(client.send('hi')).toEqual({ reason: 'not_connected', retryAfter: 0 });
+  });
+
+  it('mirrors the broadcaster\'s rate limit before sending', () => {
+    const results = [1, 2, 3, 4, 5, 6].map(i => client.send(`message ${i}`, 'Ann'));
+
+    expect(results.slice(0, 5)).toEqual([null, null, null, null, null]);
+    expect(results[5]).toEqual({ reason: 'rate_limited', retryAfter: 2000 });
+    expect(sentOfType(channel, ChatMessageType.CHAT)).toHaveLength(5);
+  });
+
+  it('waits out slow mode announced by the broadcaster', () => {
+    receive(channel, { type: ChatMessageType.SLOW_MODE, seconds: 3 });
+
+    expect(client.send('first')).toBeNull();
+    vi.advanceTimersByTime(1000);
+    expect(client.send('second')).toEqual({ reason: 'slow_mode', retryAfter: 2000 });
+  });
+
+  it('keeps the log in step with the broadcaster', () => {
+    const onMessages = vi.fn();
+    client.on('messages', onMessages);
+
+    receive(channel, { type: ChatMessageType.HISTORY, messages: [{ id: 'a', text: 'old' }], slowMode: 0 });
+    receive(channel, { type: ChatMessageType.CHAT, id: 'b', text: 'new' });
+    receive(channel, { type: ChatMessageType.DELETE, id: 'a' });
+
+    expect(client.messages).toEqual([{ type: ChatMessageType.CHAT, id: 'b', text: 'new' }]);
+    expect(onMessages).toHaveBeenCalledTimes(3);
+  });
+
+  it('passes rejections on', () => {
+    const onRejected = vi.fn();
+    client.on('rejected', onRejected);
+
+    receive(channel, { type: ChatMessageType.REJECTED, reason: 'slow_mode', retryAfter: 1200 });
+
+    expect(onRejected).toHaveBeenCalledWith({ reason: 'slow_mode', retryAfter: 1200 });
+  });
+});
@@ -0,0 +1,181 @@
+// Runtime configuration for backend URLs and ICE servers.
+//
+// Values come from, in increasing priority:
+//   1. built-in defaults for local development
+//   2. VITE_* env vars baked in at build time (see .env.example)
+//   3. an optional config.json fetched at runtime, so one build can be
+//      deployed to several environments
+const env = import.meta.env;
+
+const DEFAULT_API_BASE_URL = 'http://localhost:8000';
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const DEFAULT_UPLINK_TEST_URL = '/api/uplink-test/';
+
+// Refresh time-limited TURN credentials once this share of their TTL is used
+const TURN_REFRESH_RATIO = 0.8;
+
+const parseJsonEnv = (name, value) => {
+  if (!value) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Ignoring invalid JSON in ${name}:`, error);
+    return undefined;
+  }
+};
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+// ws(s) URL for the same host as an http(s) URL
+const toWebSocketUrl = (url) => url.replace(/^http(s?):\/\//, 'ws$1://');
+
+const withoutEmpty = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined && value !== '')
+);
+
+const envConfig = withoutEmpty({
+  apiBaseUrl: env.VITE_API_BASE_URL,
+  signalingBaseUrl: env.VITE_SIGNALING_BASE_URL,
+  viewerBaseUrl: env.VITE_VIEWER_BASE_URL,
+  iceServers: parseJsonEnv('VITE_ICE_SERVERS', env.VITE_ICE_SERVERS),
+  turnCredentialsUrl: env.VITE_TURN_CREDENTIALS_URL,
+  whipUrl: env.VITE_WHIP_URL,
+  whepUrl: env.VITE_WHEP_URL,
+  thumbnailUploadUrl: env.VITE_THUMBNAIL_UPLOAD_URL,
+  uplinkTestUrl: env.VITE_UPLINK_TEST_URL
+});
+
+const RUNTIME_CONFIG_URL = env.VITE_RUNTIME_CONFIG_URL || '/config.json';
+
+// Fill in values derived from others and normalize URLs
+const resolveConfig = (values) => {
+  const apiBaseUrl = stripTrailingSlash(values.apiBaseUrl || DEFAULT_API_BASE_URL);
+  const viewerBaseUrl = values.viewerBaseUrl || (typeof window !== 'undefined' ? window.location.origin : '');
+  // A path is relative to the API, not to wherever the frontend is hosted
+  const resolveApiPath = (url) => (url && url.startsWith('/') ? `${apiBaseUrl}${url}` : url || null);
+
+  return {
+    ...values,
+    apiBaseUrl,
+    signalingBaseUrl: stripTrailingSlash(values.signalingBaseUrl || toWebSocketUrl(apiBaseUrl)),
+    viewerBaseUrl: stripTrailingSlash(viewerBaseUrl),
+    iceServers: Array.isArray(values.iceServers) ? values.iceServers : DEFAULT_ICE_SERVERS,
+    turnCredentialsUrl: resolveApiPath(values.turnCredentialsUrl),
+    whipUrl: resolveApiPath(values.whipUrl),
+    whepUrl: resolveApiPath(values.whepUrl),
+    thumbnailUploadUrl: resolveApiPath(values.thumbnailUploadUrl),
+    uplinkTestUrl: resolveApiPath(values.uplinkTestUrl || DEFAULT_UPLINK_TEST_URL)
+  };
+};
+
+let currentConfig = resolveConfig(envConfig);
+let configPromise = null;
+let turnCache = null;
+
+const fetchRuntimeConfig = async () => {
+  try {
+    const response = await fetch(RUNTIME_CONFIG_URL, { cache: 'no-store' });
+    if (!response.ok) {
+      return {};
+    }
+    return withoutEmpty(await response.json());
+  } catch {
+    // No runtime config deployed (or not JSON), the build-time values stand
+    return {};
+  }
+};
+
+// Load the runtime config once; later calls share the same result
+export const loadConfig = () => {
+  if (!configPromise) {
+    configPromise = fetchRuntimeConfig().then((runtimeConfig) => {
+      currentConfig = resolveConfig({ ...envConfig, ...runtimeConfig });
+      return currentConfig;
+    });
+  }
+  return configPromise;
+};
+
+// Config as currently known; only reflects config.json after loadConfig()
+export const getConfig = () => currentConfig;
+
+export const getApiUrl = (path) => `${currentConfig.apiBaseUrl}${path}`;
+
+export const getSignalingUrl = (streamId) => `${currentConfig.signalingBaseUrl}/ws/webrtc/${streamId}/`;
+
+// Live updates for the stream listing
+export const getDirectoryUrl = () => `${currentConfig.signalingBaseUrl}/ws/streams/`;
+
+// Share link for a stream; `params` become query parameters and `fragment`
+// the part after '#', which browsers keep to themselves
+export const getViewerUrl = (streamId, params = {}, fragment = {}) => {
+  const query = new URLSearchParams(withoutEmpty(params)).toString();
+  const hash = new URLSearchParams(withoutEmpty(fragment)).toString();
+  return `${currentConfig.viewerBaseUrl}/view/${streamId}${query ? `?${query}` : ''}${hash ? `#${hash}` : ''}`;
+};
+
+// WHIP/WHEP endpoints for a stream, or null when not configured. The
+// configured URLs may contain a {streamId} placeholder.
+const expandStreamUrl = (template, streamId) => (
+  template ? template.replace('{streamId}', encodeURIComponent(streamId)) : null
+);
+
+export const getWhipUrl = (streamId) => expandStreamUrl(currentConfig.whipUrl, streamId);
+
+export const getWhepUrl = (streamId) => expandStreamUrl(currentConfig.whepUrl, streamId);
+
+export const getThumbnailUploadUrl = (streamId) => expandStreamUrl(currentConfig.thumbnailUploadUrl, streamId);
+
+// Normalize the common TURN credential response shapes: a list of ready
+// iceServers, or the TURN REST API form { username, password, ttl, uris }
+const parseTurnCredentials = (data) => {
+  if (Array.isArray(data.iceServers)) {
+    return { iceServers: data.iceServers, ttl: data.ttl };
+  }
+
+  return {
+    iceServers: [{
+      urls: data.uris || data.urls,
+      username: data.username,
+      credential: data.credential || data.password
+    }],
+    ttl: data.ttl
+  };
+};
+
+const fetchTurnServers = async (url) => {
+  const now = Date.now();
+  if (turnCache && turnCache.url === url && turnCache.expiresAt > now) {
+    return turnCache.iceServers;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`TURN credentials request failed with ${response.status}`);
+    }
+
+    const { iceServers, ttl } = parseTurnCredentials(await response.json());
+    const lifetime = Number(ttl) > 0 ? Number(ttl) * 1000 * TURN_REFRESH_RATIO : 0;
+    turnCache = { url, iceServers, expiresAt: now + lifetime };
+    return iceServers;
+  } catch (error) {
+    // Connections may still work over STUN alone, so don't fail outright
+    console.error('Error fetching TURN credentials:', error);
+    return [];
+  }
+};
+
+// ICE servers for a new RTCPeerConnection: the configured STUN/TURN entries
+// plus any time-limited TURN credentials from the backend
+export const getIceServers = async () => {
+  const config = await loadConfig();
+
+  if (!config.turnCredentialsUrl) {
+    return config.iceServers;
+  }
+
+  return [...config.iceServers, ...await fetchTurnServers(config.turnCredentialsUrl)];
+};
@@ -0,0 +1,129 @@
+export const DEFAULT_RECOVERY_OPTIONS = Object.freeze({
+  // How long a 'disconnected' connection may recover on its own before we
+  // ask for an ICE restart
+  disconnectGrace: 3000,
+  // Time between ICE restart attempts while still not connected
+  restartInterval: 5000,
+  maxRestarts: 3,
+  // Total time allowed to recover before the connection is given up
+  giveUpAfter: 20000
+});
+
+// Watch a peer connection and drive ICE restarts when it drops.
+//
+// onRestart(attempt) is called whenever a restart should be negotiated,
+// onRecovered() once the connection is back and onGiveUp() when it could
+// not be recovered in time. Returns a function that stops watching; watching
+// also stops by itself once the connection is closed.
+export const watchPeerConnection = (peerConnection, {
+  onRestart,
+  onRecovered = () => {},
+  onGiveUp = () => {},
+  ...options
+}) => {
+  const { disconnectGrace, restartInterval, maxRestarts, giveUpAfter } = {
+    ...DEFAULT_RECOVERY_OPTIONS,
+    ...options
+  };
+
+  let recovering = false;
+  let restarts = 0;
+  let restartTimer = null;
+  let giveUpTimer = null;
+
+  const isClosed = () => peerConnection.signalingState === 'closed';
+
+  const clearTimers = () => {
+    clearTimeout(restartTimer);
+    clearTimeout(giveUpTimer);
+    restartTimer = null;
+    giveUpTimer = null;
+  };
+
+  const stop = () => {
+    clearTimers();
+    recovering = false;
+    peerConnection.removeEventListener('connectionstatechange', handleStateChange);
+  };
+
+  const restart = () => {
+    restartTimer = null;
+    if (isClosed()) {
+      stop();
+      return;
+    }
+    if (restarts >= maxRestarts) {
+      return;
+    }
+
+    restarts += 1;
+    onRestart(restarts);
+
+    // Keep trying until the connection comes back or we give up
+    restartTimer = setTimeout(restart, restartInterval);
+  };
+
+  const startRecovering = (delay) => {
+    if (recovering) {
+      return;
+    }
+    recovering = true;
+    restarts = 0;
+
+    restartTimer = setTimeout(restart, delay);
+    giveUpTimer = setTimeout(() => {
+      stop();
+      if (!isClosed()) {
+        onGiveUp();
+      }
+    }, giveUpAfter);
+  };
+
+  function handleStateChange() {
+    switch (peerConnection.connectionState) {
+      case 'connected':
+        if (recovering) {
+          clearTimers();
+          recovering = false;
+          onRecovered();
+        }
+        break;
+      case 'disconnected':
+        // Often transient, give ICE a moment to recover by itself
+        startRecovering(disconnectGrace);
+        break;
+      case 'failed':
+        // ICE won't recover from 'failed' without a restart
+        if (recovering && restartTimer && restarts === 0) {
+          clearTimeout(restartTimer);
+          restartTimer = null;
+          restart();
+        } else {
+          startRecovering(0);
+        }
+        break;
+      case 'closed':
+        stop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  peerConnection.addEventListener('connectionstatechange', handleStateChange);
+
+  return stop;
+};
+
+// Take back an offer that was never answered. Left in have-local-offer, the
+// connection would refuse every later ICE restart.
+export const rollbackUnansweredOffer = async (peerConnection) => {
+  if (peerConnection.signalingState !== 'have-local-offer') {
+    return;
+  }
+  try {
+    await peerConnection.setLocalDescription({ type: 'rollback' });
+  } catch (error) {
+    console.error('Error rolling back an unanswered offer:', error);
+  }
+};
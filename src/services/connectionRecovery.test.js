@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { rollbackUnansweredOffer, watchPeerConnection } from './connectionRecovery.js';
+
+// Just enough of RTCPeerConnection for the watcher
+class FakePeerConnection extends EventTarget {
+  constructor() {
+    super();
+    this.connectionState = 'connected';
+    this.signalingState = 'stable';
+  }
+
+  changeState(state) {
+    this.connectionState = state;
+    if (state === 'closed') {
+      this.signalingState = 'closed';
+    }
+    this.dispatchEvent(new Event('connectionstatechange'));
+  }
+}
+
+const options = { disconnectGrace: 1000, restartInterval: 2000, maxRestarts: 2, giveUpAfter: 10000 };
+
+describe('watchPeerConnection', () => {
+  let peerConnection;
+  let callbacks;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    peerConnection = new FakePeerConnection();
+    callbacks = { onRestart: vi.fn(), onRecovered: vi.fn(), onGiveUp: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('gives a disconnected connection the grace period before restarting', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('disconnected');
+    vi.advanceTimersByTime(999);
+    expect(callbacks.onRestart).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(callbacks.onRestart).toHaveBeenCalledWith(1);
+  });
+
+  it('restarts right away once the connection fails', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('disconnected');
+    peerConnection.changeState('failed');
+
+    expect(callbacks.onRestart).toHaveBeenCalledWith(1);
+  });
+
+  it('retries every restartInterval up to maxRestarts', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('failed');
+    vi.advanceTimersByTime(2000);
+    vi.advanceTimersByTime(2000);
+
+    expect(callbacks.onRestart.mock.calls).toEqual([[1], [2]]);
+  });
+
+  it('reports the recovery and stops restarting', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('failed');
+    vi.advanceTimersByTime(0);
+    peerConnection.changeState('connected');
+    vi.advanceTimersByTime(20000);
+
+    expect(callbacks.onRecovered).toHaveBeenCalledTimes(1);
+    expect(callbacks.onRestart).toHaveBeenCalledTimes(1);
+    expect(callbacks.onGiveUp).not.toHaveBeenCalled();
+  });
+
+  it('gives up once giveUpAfter passes without recovering', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('failed');
+    vi.advanceTimersByTime(9999);
+    expect(callbacks.onGiveUp).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(callbacks.onGiveUp).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops watching once the connection is closed', () => {
+    watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    peerConnection.changeState('disconnected');
+    peerConnection.changeState('closed');
+    vi.advanceTimersByTime(20000);
+
+    expect(callbacks.onRestart).not.toHaveBeenCalled();
+    expect(callbacks.onGiveUp).not.toHaveBeenCalled();
+  });
+
+  it('stops watching when the returned function is called', () => {
+    const stop = watchPeerConnection(peerConnection, { ...callbacks, ...options });
+
+    stop();
+    peerConnection.changeState('failed');
+    vi.advanceTimersByTime(20000);
+
+    expect(callbacks.onRestart).not.toHaveBeenCalled();
+  });
+});
+
+describe('rollbackUnansweredOffer', () => {
+  const peerConnectionIn = (signalingState) => ({
+    signalingState,
+    setLocalDescription: vi.fn(async () => {})
+  });
+
+  it('rolls back an offer that is still waiting for its answer', async () => {
+    const peerConnection = peerConnectionIn('have-local-offer');
+
+    await rollbackUnansweredOffer(peerConnection);
+
+    expect(peerConnection.setLocalDescription).toHaveBeenCalledWith({ type: 'rollback' });
+  });
+
+  it('leaves other signaling states alone', async () => {
+    const peerConnection = peerConnectionIn('stable');
+
+    await rollbackUnansweredOffer(peerConnection);
+
+    expect(peerConnection.setLocalDescription).not.toHaveBeenCalled();
+  });
+
+  it('logs instead of throwing when the rollback fails', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const peerConnection = peerConnectionIn('have-local-offer');
+    peerConnection.setLocalDescription.mockRejectedValue(new Error('closed'));
+
+    await expect(rollbackUnansweredOffer(peerConnection)).resolves.toBeUndefined();
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,141 @@
+// Summaries of RTCPeerConnection.getStats() reports for the stats dashboard
+
+export const StatsDirection = Object.freeze({
+  // Broadcaster side: what we send to a viewer
+  OUTBOUND: 'outbound',
+  // Viewer side: what we receive from the broadcaster
+  INBOUND: 'inbound'
+});
+
+const sum = (entries, field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+const toMilliseconds = (seconds) => (typeof seconds === 'number' ? Math.round(seconds * 1000) : null);
+const kindOf = (entry) => entry.kind || entry.mediaType;
+
+// The candidate pair ICE actually uses
+const findSelectedPair = (stats, report) => {
+  const transport = stats.find(entry => entry.type === 'transport' && entry.selectedCandidatePairId);
+  if (transport) {
+    return report.get(transport.selectedCandidatePairId);
+  }
+  // Firefox has no transport stats but flags the pair instead
+  return stats.find(entry => entry.type === 'candidate-pair' && (entry.selected || (entry.nominated && entry.state === 'succeeded')));
+};
+
+// Reduce a stats report to the numbers shown in the dashboard. Rates are
+// computed against `previous`, the last sample of the same connection.
+export const summarizeStats = (report, direction, previous = null) => {
+  const stats = [...report.values()];
+  const outbound = direction === StatsDirection.OUTBOUND;
+
+  const rtpEntries = stats.filter(entry => entry.type === (outbound ? 'outbound-rtp' : 'inbound-rtp'));
+  const video = rtpEntries.find(entry => kindOf(entry) === 'video');
+  const remoteInbound = stats.filter(entry => entry.type === 'remote-inbound-rtp');
+  const remoteVideo = remoteInbound.find(entry => kindOf(entry) === 'video');
+
+  const totals = {
+    bytes: sum(rtpEntries, outbound ? 'bytesSent' : 'bytesReceived'),
+    packets: sum(rtpEntries, outbound ? 'packetsSent' : 'packetsReceived'),
+    packetsLost: sum(outbound ? remoteInbound : rtpEntries, 'packetsLost'),
+    // Time frames spent waiting for playout, and how many were played
+    jitterBufferDelay: !outbound && video ? video.jitterBufferDelay || 0 : 0,
+    jitterBufferEmittedCount: !outbound && video ? video.jitterBufferEmittedCount || 0 : 0
+  };
+
+  const timestamp = Date.now();
+  let bitrate = null;
+  let packetLoss = null;
+  let jitterBuffer = totals.jitterBufferEmittedCount > 0
+    ? Math.round((totals.jitterBufferDelay / totals.jitterBufferEmittedCount) * 1000)
+    : null;
+
+  if (previous) {
+    const seconds = (timestamp - previous.timestamp) / 1000;
+    const bytes = totals.bytes - previous.totals.bytes;
+    const lost = totals.packetsLost - previous.totals.packetsLost;
+    const packets = totals.packets - previous.totals.packets;
+
+    if (seconds > 0 && bytes >= 0) {
+      bitrate = Math.round((bytes * 8) / seconds);
+    }
+    // Lost packets never reach the receiver's packet count
+    const expected = outbound ? packets : packets + lost;
+    if (expected > 0 && lost >= 0) {
+      packetLoss = Math.round((lost / expected) * 1000) / 10;
+    }
+    // The current buffer rather than the average over the whole call
+    const emitted = totals.jitterBufferEmittedCount - (previous.totals.jitterBufferEmittedCount || 0);
+    if (emitted > 0) {
+      jitterBuffer = Math.round(((totals.jitterBufferDelay - (previous.totals.jitterBufferDelay || 0)) / emitted) * 1000);
+    }
+  }
+
+  const pair = findSelectedPair(stats, report);
+  const localCandidate = pair ? report.get(pair.localCandidateId) : null;
+  const remoteCandidate = pair ? report.get(pair.remoteCandidateId) : null;
+  const codec = video && video.codecId ? report.get(video.codecId) : null;
+
+  const rttSeconds = pair && typeof pair.currentRoundTripTime === 'number'
+    ? pair.currentRoundTripTime
+    : remoteVideo && remoteVideo.roundTripTime;
+
+  return {
+    timestamp,
+    totals,
+    bitrate,
+    packetLoss,
+    jitter: toMilliseconds(outbound ? remoteVideo && remoteVideo.jitter : video && video.jitter),
+    // Receivers only: how long video waits before it is shown
+    jitterBuffer,
+    rtt: toMilliseconds(rttSeconds),
+    framesPerSecond: video && typeof video.framesPerSecond === 'number' ? video.framesPerSecond : null,
+    // Only receivers drop frames
+    framesDropped: !outbound && video && typeof video.framesDropped === 'number' ? video.framesDropped : null,
+    resolution: video && video.frameWidth ? `${video.frameWidth}x${video.frameHeight}` : null,
+    qualityLimitationReason: outbound && video ? video.qualityLimitationReason || null : null,
+    codec: codec ? codec.mimeType.replace(/^(video|audio)\//, '') : null,
+    localCandidateType: localCandidate ? localCandidate.candidateType : null,
+    remoteCandidateType: remoteCandidate ? remoteCandidate.candidateType : null,
+    protocol: localCandidate ? localCandidate.protocol : null,
+    availableBitrate: pair
+      ? (outbound ? pair.availableOutgoingBitrate : pair.availableIncomingBitrate) || null
+      : null
+  };
+};
+
+export const collectStats = async (peerConnection, direction, previous) => (
+  summarizeStats(await peerConnection.getStats(), direction, previous)
+);
+
+export const ConnectionQuality = Object.freeze({
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+  UNKNOWN: 'unknown'
+});
+
+// Rough rating from loss and round-trip time
+export const rateQuality = (sample) => {
+  if (!sample || (sample.packetLoss === null && sample.rtt === null)) {
+    return ConnectionQuality.UNKNOWN;
+  }
+  const loss = sample.packetLoss || 0;
+  const rtt = sample.rtt || 0;
+
+  if (loss > 5 || rtt > 400) {
+    return ConnectionQuality.POOR;
+  }
+  if (loss > 1 || rtt > 200) {
+    return ConnectionQuality.FAIR;
+  }
+  return ConnectionQuality.GOOD;
+};
+
+// Rough glass-to-glass delay of a received stream in ms: half the round
+// trip plus the receiver's buffering. Encoding and capture add a little
+// more, and each relay hop adds its own.
+export const estimateLatency = (sample) => {
+  if (!sample || sample.rtt === null) {
+    return null;
+  }
+  return Math.round(sample.rtt / 2 + (sample.jitterBuffer || 0));
+};
@@ -0,0 +1,69 @@
+// Shared IndexedDB database for data that has to survive a reload or a
+// crashed tab
+const DB_NAME = 'webcam-broadcast';
+
+// One entry per schema version; opening an older database runs every
+// migration above its version in order
+const migrations = [
+  (db) => {
+    db.createObjectStore('recordings', { keyPath: 'id' });
+    // Keyed by [recordingId, index] so a recording's chunks are one key range
+    db.createObjectStore('recordingChunks', { keyPath: ['recordingId', 'index'] });
+  },
+  (db) => {
+    db.createObjectStore('sessions', { keyPath: 'id' });
+    // Keyed by [sessionId, index] like recording chunks
+    db.createObjectStore('sessionEvents', { keyPath: ['sessionId', 'index'] });
+  }
+];
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction has committed
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, migrations.length);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion; version < migrations.length; version += 1) {
+          migrations[version](db, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer tab upgrade the schema instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
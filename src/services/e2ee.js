@@ -0,0 +1,237 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// End-to-end encryption of the media. DTLS-SRTP only protects each hop, so
+// relaying viewers and media servers see the plain media; with E2EE every
+// encoded frame is encrypted by the broadcaster and decrypted by the
+// viewers, using a key derived from a passphrase they share out of band.
+// The frames are transformed in e2eeWorker.js.
+
+// The passphrase travels in the share link's fragment, which browsers don't
+// send to any server: /view/<streamId>#e2ee=<passphrase>
+export const E2EE_FRAGMENT_PARAM = 'e2ee';
+
+// Key index 0 is derived from the passphrase and serves media server
+// broadcasts, which have no signaling to hand out keys. Over the signaling
+// server the broadcaster encrypts with random stream keys instead (indexes
+// 1-255), sent to each admitted viewer wrapped with a key derived from the
+// passphrase. A new one replaces it this often, and whenever a viewer is
+// kicked or banned, so removed viewers can't decrypt what follows.
+export const KEY_ROTATION_INTERVAL_MS = 10 * 60 * 1000;
+// Time viewers get to receive a new stream key before frames use it
+export const KEY_SWITCH_DELAY_MS = 2000;
+
+const PBKDF2_ITERATIONS = 200000;
+const STREAM_KEY_COUNT = 255;
+const WRAP_IV_LENGTH = 12;
+
+// Chrome before RTCRtpScriptTransform only has createEncodedStreams()
+const hasScriptTransform = () => typeof RTCRtpScriptTransform !== 'undefined';
+const hasEncodedStreams = () => (
+  typeof RTCRtpSender !== 'undefined' && typeof RTCRtpSender.prototype.createEncodedStreams === 'function'
+);
+
+export const isE2eeSupported = () => (
+  typeof Worker !== 'undefined' &&
+  Boolean(globalThis.crypto && crypto.subtle) &&
+  (hasScriptTransform() || hasEncodedStreams())
+);
+
+// Config for a peer connection carrying encrypted media: Chrome's
+// createEncodedStreams() only works on connections created with
+// encodedInsertableStreams. Returns `config` untouched without a session.
+export const withE2ee = (config, session) => (
+  session && !hasScriptTransform() ? { ...config, encodedInsertableStreams: true } : config
+);
+
+export const generatePassphrase = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+// The passphrase in a location hash such as '#e2ee=...', or ''
+export const readPassphrase = (hash) => (
+  new URLSearchParams((hash || '').replace(/^#/, '')).get(E2EE_FRAGMENT_PARAM) || ''
+);
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+// Keeps the same passphrase from unlocking other streams
+const deriveKeyMaterial = async (passphrase, streamId) => {
+  const encoder = new TextEncoder();
+  const passphraseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`webcam-broadcast:${streamId}`), iterations: PBKDF2_ITERATIONS },
+    passphraseKey,
+    256
+  );
+  return crypto.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+};
+
+const deriveWrappingKey = (material) => crypto.subtle.deriveKey(
+  { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('webcam-broadcast e2ee key wrapping') },
+  material,
+  { name: 'AES-GCM', length: 256 },
+  false,
+  ['encrypt', 'decrypt']
+);
+
+// A stream key as sent in an e2ee_key message: { keyIndex, key }, with the
+// key encrypted under the wrapping key and bound to its index
+export const wrapStreamKey = async (wrappingKey, keyIndex, raw) => {
+  const iv = crypto.getRandomValues(new Uint8Array(WRAP_IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: Uint8Array.of(keyIndex) },
+    wrappingKey,
+    raw
+  ));
+  const wrapped = new Uint8Array(iv.length + ciphertext.length);
+  wrapped.set(iv);
+  wrapped.set(ciphertext, iv.length);
+  return { keyIndex, key: toBase64(wrapped) };
+};
+
+// Rejects when the key was wrapped for another passphrase or stream
+export const unwrapStreamKey = async (wrappingKey, { keyIndex, key }) => {
+  const wrapped = fromBase64(key);
+  return new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: wrapped.subarray(0, WRAP_IV_LENGTH), additionalData: Uint8Array.of(keyIndex) },
+    wrappingKey,
+    wrapped.subarray(WRAP_IV_LENGTH)
+  ));
+};
+
+// Part of the frame is left in the clear for the packetizer (see the
+// worker), which H.264 can't cope with; VP8 can
+export const preferE2eeCodecs = (peerConnection) => {
+  if (typeof RTCRtpTransceiver === 'undefined' || !RTCRtpTransceiver.prototype.setCodecPreferences) {
+    return;
+  }
+  const capabilities = RTCRtpSender.getCapabilities && RTCRtpSender.getCapabilities('video');
+  if (!capabilities) {
+    return;
+  }
+  const isVp8 = (codec) => codec.mimeType.toLowerCase() === 'video/vp8';
+  const codecs = [...capabilities.codecs.filter(isVp8), ...capabilities.codecs.filter(codec => !isVp8(codec))];
+
+  peerConnection.getTransceivers()
+    .filter(transceiver => transceiver.sender.track && transceiver.sender.track.kind === 'video')
+    .forEach(transceiver => {
+      try {
+        transceiver.setCodecPreferences(codecs);
+      } catch (error) {
+        console.warn('Could not prefer VP8 for encrypted video:', error);
+      }
+    });
+};
+
+// One encryption context, shared by all of a peer's connections. The
+// broadcaster's session issues the stream keys; viewers' sessions take them
+// in with addStreamKey() and send with whichever key their incoming frames
+// use, so what they relay or send on stage matches the broadcast.
+//
+// Emits:
+//   'stream-key' ({ keyIndex, key }) - a new wrapped stream key to send to
+//                                      every admitted viewer
+//   'key' (keyIndex)          - the sending key changed
+//   'status' ({ decrypting }) - incoming frames started or stopped
+//                               decrypting, e.g. with the wrong passphrase
+export class E2eeSession extends EventEmitter {
+  constructor() {
+    super();
+    this.worker = new Worker(new URL('./e2eeWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === 'status') {
+        this.emit('status', { decrypting: data.decrypting });
+      }
+    };
+    this.wrappingKey = null;
+    this.keyIndex = 0;
+    // The latest stream key we issued, wrapped for sending
+    this.streamKey = null;
+    this.rotationTimer = null;
+    this.switchTimer = null;
+    this.attached = new WeakSet();
+  }
+
+  async setPassphrase(passphrase, streamId) {
+    const material = await deriveKeyMaterial(passphrase, streamId);
+    this.wrappingKey = await deriveWrappingKey(material);
+    this.worker.postMessage({ type: 'key', material });
+  }
+
+  // Issue a new random stream key and encrypt with it once viewers have had
+  // `delay` ms to receive it
+  async rotateKey({ delay = KEY_SWITCH_DELAY_MS } = {}) {
+    const latest = this.streamKey ? this.streamKey.keyIndex : this.keyIndex;
+    const keyIndex = (latest % STREAM_KEY_COUNT) + 1;
+    const raw = crypto.getRandomValues(new Uint8Array(16));
+    this.worker.postMessage({ type: 'stream-key', keyIndex, raw });
+    this.streamKey = await wrapStreamKey(this.wrappingKey, keyIndex, raw);
+    this.emit('stream-key', this.streamKey);
+
+    clearTimeout(this.switchTimer);
+    this.switchTimer = setTimeout(() => {
+      this.keyIndex = keyIndex;
+      this.worker.postMessage({ type: 'use', keyIndex });
+      this.emit('key', keyIndex);
+    }, delay);
+  }
+
+  startRotation(interval = KEY_ROTATION_INTERVAL_MS) {
+    clearInterval(this.rotationTimer);
+    this.rotationTimer = setInterval(() => {
+      this.rotateKey().catch(error => console.error('Error rotating the stream key:', error));
+    }, interval);
+  }
+
+  // A stream key from the broadcaster; one that doesn't unwrap means our
+  // passphrase is wrong
+  async addStreamKey(wrapped) {
+    try {
+      const raw = await unwrapStreamKey(this.wrappingKey, wrapped);
+      this.worker.postMessage({ type: 'stream-key', keyIndex: wrapped.keyIndex, raw });
+    } catch {
+      this.emit('status', { decrypting: false });
+    }
+  }
+
+  encryptSender(sender) {
+    this.attach(sender, 'encrypt');
+  }
+
+  decryptReceiver(receiver) {
+    this.attach(receiver, 'decrypt');
+  }
+
+  // Encrypt everything a connection sends; call before negotiating
+  encryptSenders(peerConnection) {
+    peerConnection.getSenders()
+      .filter(sender => sender.track)
+      .forEach(sender => this.encryptSender(sender));
+    preferE2eeCodecs(peerConnection);
+  }
+
+  // A sender or receiver keeps its transform across replaceTrack and
+  // renegotiation, and createEncodedStreams() can only be called once
+  attach(target, operation) {
+    if (this.attached.has(target)) {
+      return;
+    }
+    this.attached.add(target);
+
+    if (hasScriptTransform()) {
+      target.transform = new RTCRtpScriptTransform(this.worker, { operation });
+    } else {
+      const { readable, writable } = target.createEncodedStreams();
+      this.worker.postMessage({ type: 'stream', operation, readable, writable }, [readable, writable]);
+    }
+  }
+
+  close() {
+    clearInterval(this.rotationTimer);
+    clearTimeout(this.switchTimer);
+    this.worker.terminate();
+    this.removeAllListeners();
+  }
+}
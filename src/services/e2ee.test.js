@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readPassphrase, unwrapStreamKey, wrapStreamKey } from './e2ee.js';
+
+const createWrappingKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describe('stream keys', () => {
+  let wrappingKey;
+  const raw = Uint8Array.from({ length: 16 }, (_, i) => i);
+
+  beforeAll(async () => {
+    wrappingKey = await createWrappingKey();
+  });
+
+  it('unwraps what was wrapped with the same key', async () => {
+    const wrapped = await wrapStreamKey(wrappingKey, 7, raw);
+
+    expect(wrapped.keyIndex).toBe(7);
+    expect(typeof wrapped.key).toBe('string');
+    expect(await unwrapStreamKey(wrappingKey, wrapped)).toEqual(raw);
+  });
+
+  it('never sends the key itself', async () => {
+    const wrapped = await wrapStreamKey(wrappingKey, 1, raw);
+
+    expect(wrapped.key).not.toContain(btoa(String.fromCharCode(...raw)));
+  });
+
+  it('rejects a key wrapped for another passphrase', async () => {
+    const wrapped = await wrapStreamKey(await createWrappingKey(), 1, raw);
+
+    await expect(unwrapStreamKey(wrappingKey, wrapped)).rejects.toThrow();
+  });
+
+  it('rejects a key moved to another index', async () => {
+    const wrapped = await wrapStreamKey(wrappingKey, 1, raw);
+
+    await expect(unwrapStreamKey(wrappingKey, { ...wrapped, keyIndex: 2 })).rejects.toThrow();
+  });
+});
+
+describe('readPassphrase', () => {
+  it('reads the passphrase from a link fragment', () => {
+    expect(readPassphrase('#e2ee=abc-123')).toBe('abc-123');
+    expect(readPassphrase('')).toBe('');
+    expect(readPassphrase('#other=1')).toBe('');
+  });
+});
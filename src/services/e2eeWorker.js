@@ -0,0 +1,187 @@
+// Encoded transforms for end-to-end encryption, see e2ee.js. Runs in a
+// worker so frames are never copied through the page.
+//
+// Encrypted frame layout:
+//   [header, in the clear] [AES-GCM ciphertext] [IV, 12 bytes] [key index, 1 byte]
+//
+// The header is what the packetizer and depacketizer need to read: the
+// Opus TOC byte, and the VP8 payload header (10 bytes on key frames, 3 on
+// the rest). It is authenticated as additional data.
+
+const IV_LENGTH = 12;
+const TRAILER_LENGTH = IV_LENGTH + 1;
+// Stream keys kept around for frames still in flight after a rotation
+const MAX_STREAM_KEYS = 4;
+
+let material = null;
+let keyIndex = 0;
+// Viewers send with the key their incoming frames use; the broadcaster
+// picks its own
+let following = true;
+// Index 0 comes from the passphrase, the rest are the broadcaster's
+// random stream keys
+let passphraseKey = null;
+const streamKeys = new Map();
+// Last decrypting state reported to the page
+let decrypting = null;
+
+const encoder = new TextEncoder();
+
+// Audio frames have no type
+const clearBytes = (frame) => {
+  if (frame.type === undefined) {
+    return 1;
+  }
+  return frame.type === 'key' ? 10 : 3;
+};
+
+// Null for a stream key we haven't been sent (yet)
+const getKey = (index) => {
+  if (index !== 0) {
+    return streamKeys.get(index) || null;
+  }
+  if (!passphraseKey) {
+    passphraseKey = crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode('webcam-broadcast e2ee key 0') },
+      material,
+      { name: 'AES-GCM', length: 128 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+  return passphraseKey;
+};
+
+const addStreamKey = (index, raw) => {
+  streamKeys.delete(index);
+  if (streamKeys.size >= MAX_STREAM_KEYS) {
+    streamKeys.delete(streamKeys.keys().next().value);
+  }
+  streamKeys.set(index, crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+};
+
+const reportDecrypting = (value) => {
+  if (decrypting !== value) {
+    decrypting = value;
+    self.postMessage({ type: 'status', decrypting: value });
+  }
+};
+
+const encrypt = async (frame, controller) => {
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+  // Without a key nothing is sent, rather than sending it in the clear
+  const index = keyIndex;
+  const key = material && getKey(index);
+  if (!key) {
+    return;
+  }
+
+  const headerLength = Math.min(clearBytes(frame), data.length);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  try {
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: data.subarray(0, headerLength) },
+      await key,
+      data.subarray(headerLength)
+    ));
+
+    const output = new Uint8Array(headerLength + ciphertext.length + TRAILER_LENGTH);
+    output.set(data.subarray(0, headerLength));
+    output.set(ciphertext, headerLength);
+    output.set(iv, headerLength + ciphertext.length);
+    output[output.length - 1] = index;
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+  } catch (error) {
+    console.error('Error encrypting frame:', error);
+  }
+};
+
+// Frames that don't decrypt are dropped, so the decoder never sees them
+const decrypt = async (frame, controller) => {
+  const data = new Uint8Array(frame.data);
+  if (data.length === 0) {
+    controller.enqueue(frame);
+    return;
+  }
+
+  const headerLength = clearBytes(frame);
+  if (!material || data.length < headerLength + TRAILER_LENGTH) {
+    reportDecrypting(false);
+    return;
+  }
+
+  // Frames under a stream key that is still on its way are dropped
+  // without counting as failures
+  const index = data[data.length - 1];
+  const key = getKey(index);
+  if (!key) {
+    return;
+  }
+  const iv = data.subarray(data.length - TRAILER_LENGTH, data.length - 1);
+
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: data.subarray(0, headerLength) },
+      await key,
+      data.subarray(headerLength, data.length - TRAILER_LENGTH)
+    ));
+    if (following) {
+      keyIndex = index;
+    }
+
+    const output = new Uint8Array(headerLength + plaintext.length);
+    output.set(data.subarray(0, headerLength));
+    output.set(plaintext, headerLength);
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+    reportDecrypting(true);
+  } catch {
+    reportDecrypting(false);
+  }
+};
+
+const attach = ({ readable, writable, operation }) => {
+  readable
+    .pipeThrough(new TransformStream({ transform: operation === 'encrypt' ? encrypt : decrypt }))
+    .pipeTo(writable)
+    .catch(error => console.error(`E2EE ${operation} stream ended:`, error));
+};
+
+// RTCRtpScriptTransform
+self.onrtctransform = (event) => {
+  const { readable, writable, options } = event.transformer;
+  attach({ readable, writable, operation: options.operation });
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'key':
+      material = data.material;
+      keyIndex = 0;
+      following = true;
+      passphraseKey = null;
+      streamKeys.clear();
+      decrypting = null;
+      break;
+    case 'stream-key':
+      addStreamKey(data.keyIndex, data.raw);
+      break;
+    // The broadcaster switching to a stream key it issued
+    case 'use':
+      keyIndex = data.keyIndex;
+      following = false;
+      break;
+    // createEncodedStreams() streams, handed over by the page
+    case 'stream':
+      attach(data);
+      break;
+    default:
+      break;
+  }
+};
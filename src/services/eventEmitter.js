@@ -0,0 +1,55 @@
+// Minimal event emitter shared by the framework-agnostic services
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Register a listener and return a function that removes it
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  // Register a listener that is removed after its first call
+  once(event, listener) {
+    const remove = this.on(event, (...args) => {
+      remove();
+      listener(...args);
+    });
+    return remove;
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.listeners.delete(event);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) {
+      return false;
+    }
+
+    // Copy so listeners can unsubscribe while being notified
+    [...listeners].forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+    return true;
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
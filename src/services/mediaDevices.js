@@ -0,0 +1,103 @@
+// Capture helpers for cameras, microphones and screen sharing
+
+export const SourceType = Object.freeze({
+  CAMERA: 'camera',
+  SCREEN: 'screen'
+});
+
+// Cameras and microphones currently available. Labels are empty until the
+// user has granted media permission, so fall back to numbered names.
+export const listMediaDevices = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return { cameras: [], microphones: [] };
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const describe = (kind, fallbackName) => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${fallbackName} ${index + 1}`
+    }));
+
+  return {
+    cameras: describe('videoinput', 'Camera'),
+    microphones: describe('audioinput', 'Microphone')
+  };
+};
+
+export const isScreenCaptureSupported = () => (
+  Boolean(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia)
+);
+
+// Soft size/frame rate targets; the browser picks the closest it can do
+export const videoConstraints = ({ width, height, frameRate }) => ({
+  width: { ideal: width },
+  height: { ideal: height },
+  ...(frameRate ? { frameRate: { ideal: frameRate } } : {})
+});
+
+// Microphone selection plus processing switches (echoCancellation,
+// noiseSuppression, autoGainControl); switches left out get the browser's
+// defaults
+export const audioConstraints = ({ deviceId, processing = {} }) => ({
+  ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+  ...processing
+});
+
+// Camera and microphone in one getUserMedia call, so the user gets a single
+// permission prompt
+export const getCameraStream = ({ cameraId, microphoneId, audioProcessing, width, height, frameRate }) => (
+  navigator.mediaDevices.getUserMedia({
+    video: {
+      ...(cameraId ? { deviceId: { exact: cameraId } } : {}),
+      ...videoConstraints({ width, height, frameRate })
+    },
+    audio: audioConstraints({ deviceId: microphoneId, processing: audioProcessing })
+  })
+);
+
+export const getCameraTrack = async ({ deviceId, width, height, frameRate }) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      ...videoConstraints({ width, height, frameRate })
+    }
+  });
+  return stream.getVideoTracks()[0];
+};
+
+export const getMicrophoneTrack = async ({ deviceId, processing }) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: audioConstraints({ deviceId, processing })
+  });
+  return stream.getAudioTracks()[0];
+};
+
+export const getScreenTrack = async ({ width, height, frameRate }) => {
+  const stream = await navigator.mediaDevices.getDisplayMedia({
+    video: videoConstraints({ width, height, frameRate }),
+    audio: false
+  });
+  const track = stream.getVideoTracks()[0];
+  // Hint encoders to favour sharpness over motion for slides and text
+  track.contentHint = 'detail';
+  return track;
+};
+
+// Transceivers that send media of `kind` on a peer connection
+export const getSendingTransceivers = (peerConnection, kind) => peerConnection
+  .getTransceivers()
+  .filter(transceiver => (
+    transceiver.receiver.track.kind === kind &&
+    (transceiver.direction === 'sendrecv' || transceiver.direction === 'sendonly')
+  ));
+
+// Swap the outgoing track of every peer connection in place; replaceTrack
+// needs no renegotiation as long as the kind stays the same
+export const replaceTrackOnPeers = (peerConnections, track) => Promise.all(
+  Object.values(peerConnections)
+    .filter(peerConnection => peerConnection.signalingState !== 'closed')
+    .flatMap(peerConnection => getSendingTransceivers(peerConnection, track.kind))
+    .map(transceiver => transceiver.sender.replaceTrack(track))
+);
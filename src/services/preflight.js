@@ -0,0 +1,188 @@
+// Checks run before going live: device access, signaling reachability, ICE
+// candidate gathering and uplink capacity
+
+export const CheckStatus = Object.freeze({
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PASSED: 'passed',
+  WARNING: 'warning',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+});
+
+const SIGNALING_TIMEOUT_MS = 5000;
+const ICE_GATHERING_TIMEOUT_MS = 5000;
+const UPLINK_TEST_TIMEOUT_MS = 15000;
+// Random, so nothing along the way can compress it
+const UPLINK_TEST_BYTES = 2 * 1024 * 1024;
+// getRandomValues fills at most this many bytes per call
+const RANDOM_CHUNK_BYTES = 65536;
+
+// Rough video bitrate per viewer at each capture resolution
+const ESTIMATED_BITRATES = {
+  '320x240': 300000,
+  '640x480': 800000,
+  '1280x720': 2500000
+};
+// Leave room for audio, retransmissions and everything else on the line
+const UPLINK_HEADROOM = 0.75;
+
+// What to tell the user for each getUserMedia failure, or null if `error`
+// isn't one
+export const describeMediaError = (error) => {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+      return 'Camera or microphone access is blocked. Allow it from the camera icon in the address bar or the site settings, then check again.';
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+      return 'No camera or microphone was found. Connect one, or pick another device above.';
+    case 'NotReadableError':
+    case 'TrackStartError':
+      return 'The camera or microphone is in use by another application or failed to start. Close other apps using it and check again.';
+    case 'OverconstrainedError':
+      return 'The selected device can\'t capture at these settings. Pick another device or a lower resolution.';
+    case 'SecurityError':
+      return 'Camera access needs a secure (https) connection.';
+    case 'AbortError':
+      return 'The device could not be started. Check again, or restart the browser.';
+    default:
+      return null;
+  }
+};
+
+export const isMediaCaptureAvailable = () => (
+  window.isSecureContext !== false && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+);
+
+// Resolves with the time in ms it took to open the socket
+export const checkSignaling = (url, { timeout = SIGNALING_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+  const startedAt = performance.now();
+  const socket = new WebSocket(url);
+
+  const finish = (error) => {
+    clearTimeout(timer);
+    socket.onopen = null;
+    socket.onerror = null;
+    socket.close();
+    if (error) {
+      reject(error);
+    } else {
+      resolve(Math.round(performance.now() - startedAt));
+    }
+  };
+  const timer = setTimeout(() => finish(new Error('Timed out')), timeout);
+  socket.onopen = () => finish();
+  socket.onerror = () => finish(new Error('Connection failed'));
+});
+
+const candidateType = (candidate) => {
+  if (candidate.type) {
+    return candidate.type;
+  }
+  // Firefox only has it in the candidate line
+  const match = / typ (\w+)/.exec(candidate.candidate);
+  return match ? match[1] : null;
+};
+
+// Count the local ICE candidates by type: host (local addresses), srflx
+// (public address found through STUN) and relay (TURN)
+export const gatherIceCandidates = async (iceServers, { timeout = ICE_GATHERING_TIMEOUT_MS } = {}) => {
+  const peerConnection = new RTCPeerConnection({ iceServers });
+  const counts = { host: 0, srflx: 0, relay: 0 };
+
+  const gathered = new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeout);
+    peerConnection.onicecandidate = (event) => {
+      if (!event.candidate) {
+        clearTimeout(timer);
+        resolve();
+        return;
+      }
+      const type = candidateType(event.candidate);
+      if (type in counts) {
+        counts[type] += 1;
+      }
+    };
+  });
+
+  try {
+    // Something to negotiate, or no candidates are gathered at all
+    peerConnection.createDataChannel('preflight');
+    await peerConnection.setLocalDescription(await peerConnection.createOffer());
+    await gathered;
+  } finally {
+    peerConnection.close();
+  }
+  return counts;
+};
+
+const usesTurn = (iceServers) => iceServers.some(server => (
+  [].concat(server.urls).some(url => /^turns?:/.test(url))
+));
+
+// { status, detail } for the candidates gathered with `iceServers`
+export const rateIceCandidates = (counts, iceServers) => {
+  if (counts.host + counts.srflx + counts.relay === 0) {
+    return {
+      status: CheckStatus.FAILED,
+      detail: 'No network candidates were found. Check your connection and any firewall or VPN.'
+    };
+  }
+  if (counts.srflx === 0 && counts.relay === 0) {
+    return {
+      status: CheckStatus.WARNING,
+      detail: 'The STUN server could not be reached, so viewers outside your local network may be unable to connect.'
+    };
+  }
+  if (usesTurn(iceServers) && counts.relay === 0) {
+    return {
+      status: CheckStatus.WARNING,
+      detail: 'The TURN relay could not be reached; viewers behind strict firewalls may be unable to connect.'
+    };
+  }
+  return {
+    status: CheckStatus.PASSED,
+    detail: `Found ${counts.host} local, ${counts.srflx} public and ${counts.relay} relay candidates.`
+  };
+};
+
+const randomPayload = (size) => {
+  const bytes = new Uint8Array(size);
+  for (let offset = 0; offset < size; offset += RANDOM_CHUNK_BYTES) {
+    crypto.getRandomValues(bytes.subarray(offset, offset + RANDOM_CHUNK_BYTES));
+  }
+  return bytes;
+};
+
+// Time an upload of random bytes to `url`; resolves with bits per second
+export const estimateUplink = async (url, { bytes = UPLINK_TEST_BYTES, timeout = UPLINK_TEST_TIMEOUT_MS } = {}) => {
+  const body = randomPayload(bytes);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`Upload test failed with ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const seconds = (performance.now() - startedAt) / 1000;
+  return Math.round((bytes * 8) / seconds);
+};
+
+// Each direct viewer gets its own copy of the stream, so the uplink
+// bounds how many the broadcaster can feed
+export const estimateViewerCapacity = (uplink, resolution) => {
+  const bitrate = ESTIMATED_BITRATES[resolution] || ESTIMATED_BITRATES['640x480'];
+  return Math.floor((uplink * UPLINK_HEADROOM) / bitrate);
+};
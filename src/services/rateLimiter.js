@@ -0,0 +1,34 @@
+// Token bucket: allows bursts of up to `capacity` actions, refilled at
+// `refillPerSecond`
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond, now = () => Date.now() }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const now = this.now();
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Take a token if one is available
+  tryRemove() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  // Milliseconds until the next token is available
+  get retryAfter() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { TokenBucket } from './rateLimiter.js';
+
+// A bucket on a clock the test moves by hand
+const createBucket = (options) => {
+  const clock = { now: 0 };
+  const bucket = new TokenBucket({ ...options, now: () => clock.now });
+  return { bucket, clock };
+};
+
+describe('TokenBucket', () => {
+  it('allows a burst of up to capacity', () => {
+    const { bucket } = createBucket({ capacity: 3, refillPerSecond: 1 });
+
+    expect([1, 2, 3, 4].map(() => bucket.tryRemove())).toEqual([true, true, true, false]);
+  });
+
+  it('refills at refillPerSecond', () => {
+    const { bucket, clock } = createBucket({ capacity: 2, refillPerSecond: 0.5 });
+    bucket.tryRemove();
+    bucket.tryRemove();
+
+    clock.now = 1999;
+    expect(bucket.tryRemove()).toBe(false);
+    clock.now = 2000;
+    expect(bucket.tryRemove()).toBe(true);
+  });
+
+  it('never holds more than capacity', () => {
+    const { bucket, clock } = createBucket({ capacity: 2, refillPerSecond: 1 });
+
+    clock.now = 60000;
+    expect([1, 2, 3].map(() => bucket.tryRemove())).toEqual([true, true, false]);
+  });
+
+  it('reports how long until the next token', () => {
+    const { bucket, clock } = createBucket({ capacity: 1, refillPerSecond: 0.5 });
+    expect(bucket.retryAfter).toBe(0);
+
+    bucket.tryRemove();
+    expect(bucket.retryAfter).toBe(2000);
+    clock.now = 500;
+    expect(bucket.retryAfter).toBe(1500);
+  });
+});
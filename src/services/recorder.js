@@ -0,0 +1,218 @@
+import { EventEmitter } from './eventEmitter.js';
+import {
+  RecordingStatus,
+  appendChunk,
+  createRecording,
+  updateRecording
+} from './recordingStore.js';
+
+// Containers/codecs offered for recording, in order of preference
+export const RECORDING_FORMATS = Object.freeze([
+  { id: 'webm-vp9-opus', label: 'WebM (VP9 + Opus)', mimeType: 'video/webm;codecs=vp9,opus', extension: 'webm' },
+  { id: 'webm-vp8-opus', label: 'WebM (VP8 + Opus)', mimeType: 'video/webm;codecs=vp8,opus', extension: 'webm' },
+  { id: 'webm-opus', label: 'WebM audio only (Opus)', mimeType: 'audio/webm;codecs=opus', extension: 'weba', audioOnly: true }
+]);
+
+// Each chunk is written to IndexedDB as soon as it arrives, so at most this
+// much is lost if the tab dies
+const TIMESLICE_MS = 2000;
+
+// Paused recordings produce no chunks; touch them so other tabs don't
+// mistake them for abandoned ones
+const PAUSED_HEARTBEAT_MS = 10000;
+
+export const getSupportedFormats = () => {
+  if (typeof MediaRecorder === 'undefined') {
+    return [];
+  }
+  return RECORDING_FORMATS.filter(format => MediaRecorder.isTypeSupported(format.mimeType));
+};
+
+const createRecordingId = () => `rec_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+// Records a MediaStream with MediaRecorder into IndexedDB.
+//
+// Emits:
+//   'state' (state)       - 'inactive' | 'recording' | 'paused'
+//   'progress' (recording) - after every stored chunk
+//   'stop' (recording)    - once the last chunk has been written
+//   'error' (error)
+export class StreamRecorder extends EventEmitter {
+  constructor() {
+    super();
+    this.mediaRecorder = null;
+    this.recording = null;
+    this.stream = null;
+    this.format = null;
+    this.options = {};
+    this.chunkIndex = 0;
+    this.writes = Promise.resolve();
+    this.activeTime = 0;
+    this.resumedAt = null;
+    this.heartbeat = null;
+  }
+
+  get state() {
+    return this.mediaRecorder ? this.mediaRecorder.state : 'inactive';
+  }
+
+  // Time spent recording so far, excluding pauses
+  get duration() {
+    return this.activeTime + (this.resumedAt ? Date.now() - this.resumedAt : 0);
+  }
+
+  async start(stream, format, { label = '', source = '' } = {}) {
+    if (this.mediaRecorder) {
+      throw new Error('Recording already in progress');
+    }
+    if (!stream) {
+      throw new Error('Nothing to record');
+    }
+
+    const recordedStream = format.audioOnly ? new MediaStream(stream.getAudioTracks()) : stream;
+    const mediaRecorder = new MediaRecorder(recordedStream, { mimeType: format.mimeType });
+
+    const startedAt = Date.now();
+    this.recording = await createRecording({
+      id: createRecordingId(),
+      label,
+      source,
+      formatId: format.id,
+      mimeType: format.mimeType,
+      extension: format.extension,
+      status: RecordingStatus.RECORDING,
+      startedAt,
+      updatedAt: startedAt,
+      duration: 0,
+      size: 0,
+      chunkCount: 0
+    });
+    this.mediaRecorder = mediaRecorder;
+    this.stream = stream;
+    this.format = format;
+    this.options = { label, source };
+    this.chunkIndex = 0;
+    this.activeTime = 0;
+    this.resumedAt = startedAt;
+
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.storeChunk(event.data);
+      }
+    };
+
+    mediaRecorder.onerror = (event) => {
+      this.emit('error', event.error || new Error('Recording failed'));
+    };
+
+    mediaRecorder.onstop = () => this.finish();
+
+    mediaRecorder.start(TIMESLICE_MS);
+    this.emit('state', this.state);
+    return this.recording;
+  }
+
+  pause() {
+    if (this.state !== 'recording') {
+      return;
+    }
+    this.mediaRecorder.pause();
+    this.activeTime = this.duration;
+    this.resumedAt = null;
+    this.heartbeat = setInterval(() => {
+      updateRecording(this.recording.id, { updatedAt: Date.now() }).catch(error => {
+        console.error('Error updating paused recording:', error);
+      });
+    }, PAUSED_HEARTBEAT_MS);
+    this.queueUpdate({ status: RecordingStatus.PAUSED });
+    this.emit('state', this.state);
+  }
+
+  resume() {
+    if (this.state !== 'paused') {
+      return;
+    }
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.mediaRecorder.resume();
+    this.resumedAt = Date.now();
+    this.queueUpdate({ status: RecordingStatus.RECORDING });
+    this.emit('state', this.state);
+  }
+
+  // Stop recording; the 'stop' event follows once everything is stored
+  stop() {
+    if (this.state !== 'inactive') {
+      this.mediaRecorder.stop();
+    }
+  }
+
+  // MediaRecorder can't follow a change of tracks, so recording a different
+  // stream (e.g. after a source switch) continues in a new recording
+  switchStream(stream) {
+    if (this.state === 'inactive' || stream === this.stream) {
+      return;
+    }
+    const { format, options } = this;
+    const wasPaused = this.state === 'paused';
+
+    this.once('stop', async () => {
+      try {
+        await this.start(stream, format, options);
+        if (wasPaused) {
+          this.pause();
+        }
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+    this.stop();
+  }
+
+  storeChunk(blob) {
+    const index = this.chunkIndex;
+    const { id } = this.recording;
+    this.chunkIndex += 1;
+
+    // Chain writes so chunks land in order
+    this.writes = this.writes
+      .then(() => appendChunk(id, index, blob, this.duration))
+      .then(() => {
+        this.recording = {
+          ...this.recording,
+          size: this.recording.size + blob.size,
+          chunkCount: index + 1,
+          duration: this.duration
+        };
+        this.emit('progress', this.recording);
+      })
+      .catch(error => {
+        console.error('Error storing recording chunk:', error);
+        this.emit('error', error);
+      });
+  }
+
+  queueUpdate(changes) {
+    const { id } = this.recording;
+    this.writes = this.writes.then(() => updateRecording(id, changes)).catch(error => {
+      console.error('Error updating recording:', error);
+    });
+  }
+
+  async finish() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    this.activeTime = this.duration;
+    this.resumedAt = null;
+
+    this.queueUpdate({ status: RecordingStatus.COMPLETE, duration: this.activeTime, updatedAt: Date.now() });
+    await this.writes;
+
+    const recording = { ...this.recording, status: RecordingStatus.COMPLETE, duration: this.activeTime };
+    this.mediaRecorder = null;
+    this.recording = null;
+    this.stream = null;
+    this.emit('state', this.state);
+    this.emit('stop', recording);
+  }
+}
@@ -0,0 +1,98 @@
+import { openDatabase, requestToPromise, transactionDone } from './db.js';
+
+const RECORDINGS = 'recordings';
+const CHUNKS = 'recordingChunks';
+
+export const RecordingStatus = Object.freeze({
+  RECORDING: 'recording',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  // Still recording when the tab went away; the chunks written so far remain
+  INTERRUPTED: 'interrupted'
+});
+
+const chunkRange = (recordingId) => IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+
+export const createRecording = async (recording) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(RECORDINGS, 'readwrite');
+  transaction.objectStore(RECORDINGS).put(recording);
+  await transactionDone(transaction);
+  return recording;
+};
+
+export const updateRecording = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(RECORDINGS, 'readwrite');
+  const store = transaction.objectStore(RECORDINGS);
+  const recording = await requestToPromise(store.get(id));
+
+  if (recording) {
+    store.put({ ...recording, ...changes });
+  }
+  await transactionDone(transaction);
+};
+
+// Store one MediaRecorder chunk and bump the recording's running totals in
+// the same transaction, so the metadata never claims data that isn't there
+export const appendChunk = async (recordingId, index, blob, duration) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+  const recordings = transaction.objectStore(RECORDINGS);
+
+  transaction.objectStore(CHUNKS).put({ recordingId, index, blob });
+
+  const recording = await requestToPromise(recordings.get(recordingId));
+  if (recording) {
+    recordings.put({
+      ...recording,
+      size: recording.size + blob.size,
+      chunkCount: index + 1,
+      duration,
+      updatedAt: Date.now()
+    });
+  }
+  await transactionDone(transaction);
+};
+
+export const listRecordings = async () => {
+  const db = await openDatabase();
+  const recordings = await requestToPromise(db.transaction(RECORDINGS).objectStore(RECORDINGS).getAll());
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Reassemble a recording's chunks into a single file
+export const getRecordingBlob = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([RECORDINGS, CHUNKS]);
+  const recording = await requestToPromise(transaction.objectStore(RECORDINGS).get(id));
+  const chunks = await requestToPromise(transaction.objectStore(CHUNKS).getAll(chunkRange(id)));
+
+  if (!recording) {
+    throw new Error(`Recording ${id} not found`);
+  }
+  return new Blob(chunks.map(chunk => chunk.blob), { type: recording.mimeType });
+};
+
+export const deleteRecording = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([RECORDINGS, CHUNKS], 'readwrite');
+  transaction.objectStore(RECORDINGS).delete(id);
+  transaction.objectStore(CHUNKS).delete(chunkRange(id));
+  await transactionDone(transaction);
+};
+
+// Recordings left active by a tab that crashed or was closed mid-session.
+// Active recordings write a chunk every few seconds, so anything untouched
+// for `staleAfter` is no longer being written by any tab.
+export const markInterruptedRecordings = async (staleAfter = 30000) => {
+  const recordings = await listRecordings();
+  const now = Date.now();
+  const stale = recordings.filter(recording => (
+    (recording.status === RecordingStatus.RECORDING || recording.status === RecordingStatus.PAUSED) &&
+    now - (recording.updatedAt || recording.startedAt) > staleAfter
+  ));
+
+  await Promise.all(stale.map(recording => updateRecording(recording.id, { status: RecordingStatus.INTERRUPTED })));
+  return stale.length;
+};
@@ -0,0 +1,193 @@
+import { EventEmitter } from './eventEmitter.js';
+import { MessageType, buildIceCandidate, buildOffer } from './signalingMessages.js';
+import { rollbackUnansweredOffer, watchPeerConnection } from './connectionRecovery.js';
+import { replaceTrackOnPeers } from './mediaDevices.js';
+import { applyEncodingParameters } from './senderParameters.js';
+import { capToLayer } from './simulcast.js';
+import { withE2ee } from './e2ee.js';
+
+// How long to wait for a child viewer to answer an offer
+const OFFER_TIMEOUT_MS = 15000;
+
+// What we forward is not otherwise limited; null clears a previous cap
+const NO_LIMITS = Object.freeze({ maxBitrate: null, scaleResolutionDownBy: null });
+
+// Viewer side of relay mode: re-forwards the stream we receive to the
+// viewers the broadcaster assigned to us, one peer connection each. Towards
+// those viewers we play the broadcaster's part in the signaling protocol.
+// With an `e2ee` session what we forward is encrypted again, since we
+// decrypted it to play it.
+//
+// Emits:
+//   'children' (childIds) - the set of viewers we relay to changed
+export class RelayForwarder extends EventEmitter {
+  constructor({ signaling, peerId, getIceServers, e2ee = null }) {
+    super();
+    this.signaling = signaling;
+    this.e2ee = e2ee;
+    this.peerId = peerId;
+    this.getIceServers = getIceServers;
+    this.stream = null;
+    // Viewers assigned to us, and the connections to those we have
+    // started forwarding to
+    this.assigned = new Set();
+    this.children = new Map();
+    // Quality layers our children asked for
+    this.layers = new Map();
+  }
+
+  get childIds() {
+    return [...this.assigned];
+  }
+
+  // The upstream stream arrived, or was replaced after we were re-parented
+  setStream(stream) {
+    if (stream === this.stream) {
+      return;
+    }
+    const previous = this.stream;
+    this.stream = stream;
+
+    // Children keep their connections, only the tracks change
+    if (previous) {
+      const peerConnections = Object.fromEntries(this.children);
+      stream.getTracks().forEach(track => {
+        replaceTrackOnPeers(peerConnections, track).catch(error => {
+          console.error('Error replacing relayed track:', error);
+        });
+      });
+    }
+
+    // Viewers assigned before we had anything to forward
+    this.assigned.forEach(childId => {
+      if (!this.children.has(childId)) {
+        this.connectChild(childId);
+      }
+    });
+  }
+
+  addChild(childId) {
+    this.removeChild(childId);
+    this.assigned.add(childId);
+    this.emit('children', this.childIds);
+
+    if (this.stream) {
+      this.connectChild(childId);
+    }
+  }
+
+  async connectChild(childId) {
+    const iceServers = await this.getIceServers();
+    // Unassigned or already connected while we were waiting
+    if (!this.assigned.has(childId) || !this.stream || this.children.has(childId)) {
+      return;
+    }
+
+    const peerConnection = new RTCPeerConnection(withE2ee({ iceServers }, this.e2ee));
+    this.children.set(childId, peerConnection);
+
+    this.stream.getTracks().forEach(track => peerConnection.addTrack(track, this.stream));
+    if (this.e2ee) {
+      this.e2ee.encryptSenders(peerConnection);
+    }
+
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signaling.send(buildIceCandidate({
+          candidate: event.candidate,
+          viewerId: childId,
+          broadcasterId: this.peerId
+        }));
+      }
+    };
+
+    watchPeerConnection(peerConnection, {
+      onRestart: () => this.restartIce(childId),
+      onGiveUp: () => {
+        if (this.children.get(childId) === peerConnection) {
+          this.removeChild(childId);
+        }
+      }
+    });
+
+    await this.negotiate(childId, peerConnection);
+    await this.applyLayer(childId);
+  }
+
+  async negotiate(childId, peerConnection, { iceRestart = false } = {}) {
+    try {
+      const offer = await peerConnection.createOffer({ iceRestart });
+      await peerConnection.setLocalDescription(offer);
+
+      const response = await this.signaling.request(
+        buildOffer({ offer, viewerId: childId, broadcasterId: this.peerId }),
+        { responseType: MessageType.ANSWER, match: (answer) => answer.viewerId === childId, timeout: OFFER_TIMEOUT_MS }
+      );
+
+      if (peerConnection.signalingState !== 'closed') {
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(response.answer));
+      }
+    } catch (error) {
+      console.error(`Error negotiating relay to ${childId}:`, error);
+      await rollbackUnansweredOffer(peerConnection);
+    }
+  }
+
+  // Answers an ice_restart_request from one of our children
+  async restartIce(childId) {
+    const peerConnection = this.children.get(childId);
+    if (!peerConnection || !this.signaling.isOpen || peerConnection.signalingState !== 'stable') {
+      return;
+    }
+    await this.negotiate(childId, peerConnection, { iceRestart: true });
+  }
+
+  // A child asked for a quality layer; we re-encode what we forward, so
+  // we can cap it just like the broadcaster would
+  setChildLayer(childId, layer) {
+    if (!this.assigned.has(childId)) {
+      return;
+    }
+    this.layers.set(childId, layer);
+    this.applyLayer(childId);
+  }
+
+  async applyLayer(childId) {
+    const peerConnection = this.children.get(childId);
+    if (peerConnection && this.layers.has(childId)) {
+      await applyEncodingParameters(peerConnection, 'video', capToLayer(NO_LIMITS, this.layers.get(childId)));
+    }
+  }
+
+  async addIceCandidate(message) {
+    const peerConnection = this.children.get(message.viewerId);
+    if (peerConnection && peerConnection.signalingState !== 'closed') {
+      try {
+        await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
+      } catch (error) {
+        console.error('Error adding relay ice candidate', error);
+      }
+    }
+  }
+
+  removeChild(childId) {
+    const peerConnection = this.children.get(childId);
+    if (peerConnection) {
+      peerConnection.close();
+      this.children.delete(childId);
+    }
+    this.layers.delete(childId);
+    if (this.assigned.delete(childId)) {
+      this.emit('children', this.childIds);
+    }
+  }
+
+  close() {
+    this.children.forEach(peerConnection => peerConnection.close());
+    this.children.clear();
+    this.assigned.clear();
+    this.layers.clear();
+    this.stream = null;
+    this.emit('children', []);
+  }
+}
@@ -0,0 +1,137 @@
+// Relay mode topology. The broadcaster feeds at most `maxDirect` viewers
+// itself; everyone else receives the stream from a viewer that re-forwards
+// what it receives, each relay feeding at most `maxChildren` viewers.
+//
+// The tree only decides who feeds whom. Parents are picked breadth-first
+// so it stays shallow: every hop adds latency and another point of failure.
+
+export const DEFAULT_RELAY_OPTIONS = Object.freeze({
+  maxDirect: 4,
+  maxChildren: 2
+});
+
+export class RelayTree {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RELAY_OPTIONS, ...options };
+    // viewerId -> { parentId, children: Set }; a null parentId is the
+    // broadcaster itself, undefined means the viewer awaits a new parent
+    this.nodes = new Map();
+  }
+
+  configure(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  has(viewerId) {
+    return this.nodes.has(viewerId);
+  }
+
+  parentOf(viewerId) {
+    const node = this.nodes.get(viewerId);
+    return node ? node.parentId : undefined;
+  }
+
+  get directCount() {
+    let count = 0;
+    this.nodes.forEach(node => {
+      if (node.parentId === null) {
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  // The viewer itself and everyone fed through it
+  subtreeOf(viewerId) {
+    const subtree = new Set();
+    const visit = (id) => {
+      subtree.add(id);
+      const node = this.nodes.get(id);
+      if (node) {
+        node.children.forEach(visit);
+      }
+    };
+    visit(viewerId);
+    return subtree;
+  }
+
+  // Shallowest viewer with a free slot, skipping `excluded` so a viewer is
+  // never placed under its own subtree
+  findParent(excluded) {
+    const queue = [...this.nodes.entries()]
+      .filter(([, node]) => node.parentId === null)
+      .map(([id]) => id);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const node = this.nodes.get(id);
+      if (!excluded.has(id)) {
+        if (node.children.size < this.options.maxChildren) {
+          return id;
+        }
+        queue.push(...node.children);
+      }
+    }
+    return null;
+  }
+
+  // Place a new viewer, or re-place one that lost its parent together with
+  // everything below it. Returns its parent: a viewer id, or null when the
+  // broadcaster should feed it directly. Viewers go direct while there is
+  // room, and also when no relay has a free slot.
+  attach(viewerId) {
+    const node = this.nodes.get(viewerId) || { parentId: undefined, children: new Set() };
+    this.nodes.set(viewerId, node);
+
+    const parentId = this.directCount < this.options.maxDirect
+      ? null
+      : this.findParent(this.subtreeOf(viewerId));
+
+    node.parentId = parentId;
+    if (parentId !== null) {
+      this.nodes.get(parentId).children.add(viewerId);
+    }
+    return parentId;
+  }
+
+  // Have the broadcaster feed a viewer itself, past `maxDirect` if need be,
+  // keeping the viewers it feeds. Returns the relay it was moved away from,
+  // or null.
+  attachDirect(viewerId) {
+    const node = this.nodes.get(viewerId) || { parentId: undefined, children: new Set() };
+    this.nodes.set(viewerId, node);
+
+    const previousId = node.parentId || null;
+    if (previousId && this.nodes.has(previousId)) {
+      this.nodes.get(previousId).children.delete(viewerId);
+    }
+    node.parentId = null;
+    return previousId;
+  }
+
+  // Take a viewer out of the tree. Returns { parentId, children } with the
+  // viewers it was feeding, which now need attach() again, or null if the
+  // viewer wasn't in the tree.
+  remove(viewerId) {
+    const node = this.nodes.get(viewerId);
+    if (!node) {
+      return null;
+    }
+    this.nodes.delete(viewerId);
+
+    const parent = node.parentId ? this.nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.delete(viewerId);
+    }
+
+    const children = [...node.children];
+    children.forEach(childId => {
+      this.nodes.get(childId).parentId = undefined;
+    });
+    return { parentId: node.parentId, children };
+  }
+
+  clear() {
+    this.nodes.clear();
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RELAY_OPTIONS, RelayTree } from './relayTree.js';
+
+// Attach viewers in order and return the parent each one got
+const attachAll = (tree, viewerIds) => viewerIds.map(viewerId => tree.attach(viewerId));
+
+describe('RelayTree', () => {
+  it('starts from the default limits', () => {
+    expect(new RelayTree().options).toEqual(DEFAULT_RELAY_OPTIONS);
+  });
+
+  it('feeds viewers directly while there is room', () => {
+    const tree = new RelayTree({ maxDirect: 2, maxChildren: 2 });
+
+    expect(attachAll(tree, ['a', 'b'])).toEqual([null, null]);
+    expect(tree.directCount).toBe(2);
+  });
+
+  it('picks parents breadth-first to keep the tree shallow', () => {
+    const tree = new RelayTree({ maxDirect: 2, maxChildren: 2 });
+
+    // a and b fill up before anyone is placed a level further down
+    expect(attachAll(tree, ['a', 'b', 'c', 'd', 'e', 'f', 'g'])).toEqual([null, null, 'a', 'a', 'b', 'b', 'c']);
+  });
+
+  it('feeds viewers directly when no relay has a free slot', () => {
+    const tree = new RelayTree({ maxDirect: 1, maxChildren: 0 });
+
+    expect(attachAll(tree, ['a', 'b'])).toEqual([null, null]);
+  });
+
+  it('hands back the orphans of a removed relay', () => {
+    const tree = new RelayTree({ maxDirect: 1, maxChildren: 2 });
+    attachAll(tree, ['a', 'b', 'c', 'd']);
+
+    expect(tree.remove('b')).toEqual({ parentId: 'a', children: ['d'] });
+    expect(tree.has('b')).toBe(false);
+    expect(tree.parentOf('d')).toBeUndefined();
+    expect(tree.nodes.get('a').children).toEqual(new Set(['c']));
+  });
+
+  it('re-parents an orphan outside its own subtree, keeping its children', () => {
+    const tree = new RelayTree({ maxDirect: 1, maxChildren: 1 });
+    attachAll(tree, ['a', 'b', 'c', 'd']);
+    // a -> b -> c -> d; b leaves, c and d move up as a unit
+    const { children } = tree.remove('b');
+    expect(children).toEqual(['c']);
+
+    expect(tree.attach('c')).toBe('a');
+    expect(tree.parentOf('d')).toBe('c');
+  });
+
+  it('moves a relayed viewer to the broadcaster on request', () => {
+    const tree = new RelayTree({ maxDirect: 1, maxChildren: 2 });
+    attachAll(tree, ['a', 'b']);
+
+    expect(tree.attachDirect('b')).toBe('a');
+    expect(tree.parentOf('b')).toBeNull();
+    expect(tree.nodes.get('a').children.size).toBe(0);
+    expect(tree.directCount).toBe(2);
+    expect(tree.attachDirect('b')).toBeNull();
+  });
+
+  it('returns null when removing an unknown viewer', () => {
+    expect(new RelayTree().remove('nobody')).toBeNull();
+  });
+
+  it('applies new limits to later placements', () => {
+    const tree = new RelayTree({ maxDirect: 1, maxChildren: 2 });
+    attachAll(tree, ['a']);
+
+    tree.configure({ maxDirect: 2 });
+    expect(tree.attach('b')).toBeNull();
+  });
+});
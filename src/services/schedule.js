@@ -0,0 +1,147 @@
+import { getApiUrl } from './config.js';
+
+// Scheduled broadcasts: the broadcaster announces a start time, title and
+// description ahead of going live, and viewers arriving early see a lobby
+// with a countdown until broadcaster_ready arrives.
+//
+//   PUT    /api/streams/<streamId>/schedule/  { title, description, starts_at }
+//   GET    /api/streams/<streamId>/schedule/  the same, or 404 if none
+//   DELETE /api/streams/<streamId>/schedule/  once the stream went live or
+//                                             was called off
+
+// Remembers a schedule across page loads, so the broadcaster comes back to
+// the stream ID its viewers were given
+const SCHEDULE_KEY = 'webcam-broadcast:schedule';
+
+// What the calendar entry blocks out; the real length isn't known up front
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000;
+
+// A schedule this far past its start is assumed to have been abandoned
+const STALE_SCHEDULE_MS = 12 * 60 * 60 * 1000;
+
+const scheduleUrl = (streamId) => getApiUrl(`/api/streams/${encodeURIComponent(streamId)}/schedule/`);
+
+// The backend speaks snake_case. The stream ID is the one in the URL; the
+// body doesn't repeat it.
+export const normalizeSchedule = (raw, streamId) => ({
+  streamId,
+  title: raw.title || '',
+  description: raw.description || '',
+  startsAt: Date.parse(raw.starts_at)
+});
+
+// null when nothing is scheduled
+export const fetchSchedule = async (streamId) => {
+  const response = await fetch(scheduleUrl(streamId));
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Fetching the schedule failed with ${response.status}`);
+  }
+  const schedule = normalizeSchedule(await response.json(), streamId);
+  return Number.isNaN(schedule.startsAt) ? null : schedule;
+};
+
+export const saveSchedule = async ({ streamId, title, description, startsAt }) => {
+  const response = await fetch(scheduleUrl(streamId), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title, description, starts_at: new Date(startsAt).toISOString() })
+  });
+  if (!response.ok) {
+    throw new Error(`Scheduling failed with ${response.status}`);
+  }
+  const schedule = { streamId, title, description, startsAt };
+  localStorage.setItem(SCHEDULE_KEY, JSON.stringify(schedule));
+  return schedule;
+};
+
+export const cancelSchedule = async (streamId) => {
+  forgetSchedule();
+  const response = await fetch(scheduleUrl(streamId), { method: 'DELETE' });
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Cancelling the schedule failed with ${response.status}`);
+  }
+};
+
+// The broadcaster's own upcoming schedule, or null
+export const loadSavedSchedule = (now = Date.now()) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCHEDULE_KEY));
+    if (saved && typeof saved.streamId === 'string' && saved.startsAt > now - STALE_SCHEDULE_MS) {
+      return saved;
+    }
+  } catch {
+    // Fall through and drop it
+  }
+  forgetSchedule();
+  return null;
+};
+
+export const forgetSchedule = () => localStorage.removeItem(SCHEDULE_KEY);
+
+// iCalendar (RFC 5545) helpers
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20250301T180000Z
+const formatUtc = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Long lines are folded onto continuation lines starting with a space,
+// without splitting a character
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const character of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (encoder.encode(current + character).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// Calendar entries get synced and shared, so the link loses its fragment
+// (an E2EE passphrase) and any invite token
+const toCalendarUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.searchParams.delete('token');
+  return parsed.toString();
+};
+
+// A calendar file with one event for a scheduled broadcast
+export const buildCalendarEvent = ({ streamId, title, description, startsAt, url: rawUrl, now = Date.now() }) => {
+  const url = toCalendarUrl(rawUrl);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//webcam-broadcast//Scheduled broadcast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${streamId}-${formatUtc(startsAt)}@webcam-broadcast`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(startsAt)}`,
+    `DTEND:${formatUtc(startsAt + DEFAULT_EVENT_DURATION_MS)}`,
+    `SUMMARY:${escapeText(title || 'Live broadcast')}`,
+    `DESCRIPTION:${escapeText([description, url].filter(Boolean).join('\n\n'))}`,
+    `URL:${url}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+export const calendarFileName = (title) => `${(title || 'broadcast').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'broadcast'}.ics`;
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendarEvent, calendarFileName } from './schedule.js';
+
+const schedule = {
+  streamId: 'stream_1',
+  title: 'Weekly Q&A',
+  description: 'Bring questions',
+  startsAt: Date.UTC(2025, 2, 1, 18, 0),
+  url: 'https://example.com/view/stream_1',
+  now: Date.UTC(2025, 1, 20, 9, 30)
+};
+
+// Undo RFC 5545 line folding
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+describe('buildCalendarEvent', () => {
+  it('writes one event with UTC times and CRLF line endings', () => {
+    const calendar = buildCalendarEvent(schedule);
+
+    expect(calendar.endsWith('\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toContain('\n');
+    expect(calendar).toContain('DTSTART:20250301T180000Z\r\n');
+    expect(calendar).toContain('DTEND:20250301T190000Z\r\n');
+    expect(calendar).toContain('DTSTAMP:20250220T093000Z\r\n');
+    expect(calendar).toContain('URL:https://example.com/view/stream_1\r\n');
+  });
+
+  it('never contains the passphrase or an invite token', () => {
+    const calendar = buildCalendarEvent({
+      ...schedule,
+      url: 'https://example.com/view/stream_1?transport=whep&token=secret-token#e2ee=secret-passphrase'
+    });
+
+    expect(calendar).not.toContain('e2ee=');
+    expect(calendar).not.toContain('token=');
+    expect(calendar).not.toContain('secret');
+    expect(unfold(calendar)).toContain('URL:https://example.com/view/stream_1?transport=whep\r\n');
+  });
+
+  it('escapes text values', () => {
+    const calendar = unfold(buildCalendarEvent({
+      ...schedule,
+      title: 'Q&A; part 1, live',
+      description: 'Line one\nC:\\path'
+    }));
+
+    expect(calendar).toContain('SUMMARY:Q&A\\; part 1\\, live\r\n');
+    expect(calendar).toContain('DESCRIPTION:Line one\\nC:\\\\path\\n\\nhttps://example.com/view/stream_1\r\n');
+  });
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const description = 'Ünïcödé '.repeat(30);
+    const calendar = buildCalendarEvent({ ...schedule, description });
+    const encoder = new TextEncoder();
+
+    calendar.split('\r\n').forEach(line => {
+      expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(calendar).toMatch(/\r\n /);
+    expect(unfold(calendar)).toContain(`DESCRIPTION:${description}\\n\\n`);
+  });
+});
+
+describe('calendarFileName', () => {
+  it('makes a file name from the title', () => {
+    expect(calendarFileName('Weekly Q&A!')).toBe('weekly-q-a.ics');
+    expect(calendarFileName('')).toBe('broadcast.ics');
+    expect(calendarFileName('???')).toBe('broadcast.ics');
+  });
+});
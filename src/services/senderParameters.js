@@ -0,0 +1,52 @@
+import { getSendingTransceivers } from './mediaDevices.js';
+import { applyLimitsToLayer } from './simulcast.js';
+
+// Apply encoding limits to every sender of `kind` on a peer connection.
+// Fields set to null are cleared so the browser picks again. Simulcast
+// layers get the limits scaled to their place among the layers.
+export const applyEncodingParameters = async (peerConnection, kind, { maxBitrate, scaleResolutionDownBy, maxFramerate }) => {
+  if (peerConnection.signalingState === 'closed') {
+    return;
+  }
+
+  const changes = { maxBitrate, scaleResolutionDownBy, maxFramerate };
+
+  await Promise.all(getSendingTransceivers(peerConnection, kind).map(async ({ sender }) => {
+    const parameters = sender.getParameters();
+
+    // Encodings only exist once the sender has been negotiated
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      return;
+    }
+
+    parameters.encodings.forEach(encoding => {
+      const values = encoding.rid ? applyLimitsToLayer(encoding.rid, changes) : changes;
+      Object.entries(values).forEach(([field, value]) => {
+        if (value === undefined) {
+          return;
+        }
+        if (value === null) {
+          delete encoding[field];
+        } else {
+          encoding[field] = value;
+        }
+      });
+    });
+
+    try {
+      await sender.setParameters(parameters);
+    } catch (error) {
+      console.error('Error applying sender parameters:', error);
+    }
+  }));
+};
+
+// `parameters` may be a function of the connection's id, for limits that
+// differ per viewer
+export const applyEncodingParametersToPeers = (peerConnections, kind, parameters) => Promise.all(
+  Object.entries(peerConnections).map(([id, peerConnection]) => applyEncodingParameters(
+    peerConnection,
+    kind,
+    typeof parameters === 'function' ? parameters(id) : parameters
+  ))
+);
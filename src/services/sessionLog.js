@@ -0,0 +1,268 @@
+import { SessionStatus, appendSessionEvents, createSession } from './sessionStore.js';
+
+// The broadcaster's record of one broadcast: every signaling message and
+// state change, viewers joining and leaving, periodic connection quality
+// and errors. Events are kept in memory and flushed to IndexedDB in
+// batches, so a crashed tab loses a few seconds at most, and the log still
+// works without IndexedDB for the summary shown when the broadcast ends.
+
+export const SessionEventType = Object.freeze({
+  SESSION_STARTED: 'session_started',
+  SESSION_ENDED: 'session_ended',
+  SIGNALING_STATE: 'signaling_state',
+  SIGNALING_MESSAGE: 'signaling_message',
+  VIEWER_JOINED: 'viewer_joined',
+  VIEWER_LEFT: 'viewer_left',
+  VIEWER_REJECTED: 'viewer_rejected',
+  QUALITY_SAMPLE: 'quality_sample',
+  ERROR: 'error'
+});
+
+const FLUSH_INTERVAL_MS = 5000;
+
+// getStats() is polled every couple of seconds; the log keeps fewer samples
+const QUALITY_SAMPLE_INTERVAL_MS = 10000;
+
+const average = (values) => {
+  const known = values.filter(value => typeof value === 'number');
+  return known.length ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+};
+
+// Audience and quality figures for a session from its events. Viewers still
+// watching at `endedAt` are counted up to then.
+export const summarizeSession = (events, { startedAt, endedAt }) => {
+  const viewers = new Map();
+  const watching = new Map();
+  let peakViewers = 0;
+  let peakAt = null;
+
+  const leave = (viewerId, time) => {
+    const viewer = viewers.get(viewerId);
+    viewer.watchTime += Math.max(0, time - watching.get(viewerId));
+    watching.delete(viewerId);
+  };
+
+  events.forEach(event => {
+    if (event.type === SessionEventType.VIEWER_JOINED && !watching.has(event.viewerId)) {
+      if (!viewers.has(event.viewerId)) {
+        viewers.set(event.viewerId, { viewerId: event.viewerId, firstJoinedAt: event.time, watchTime: 0, visits: 0 });
+      }
+      viewers.get(event.viewerId).visits += 1;
+      watching.set(event.viewerId, event.time);
+      if (watching.size > peakViewers) {
+        peakViewers = watching.size;
+        peakAt = event.time;
+      }
+    } else if (event.type === SessionEventType.VIEWER_LEFT && watching.has(event.viewerId)) {
+      leave(event.viewerId, event.time);
+    }
+  });
+  [...watching.keys()].forEach(viewerId => leave(viewerId, endedAt));
+
+  const totalWatchTime = [...viewers.values()].reduce((sum, viewer) => sum + viewer.watchTime, 0);
+  const samples = events.filter(event => event.type === SessionEventType.QUALITY_SAMPLE);
+
+  return {
+    duration: Math.max(0, endedAt - startedAt),
+    uniqueViewers: viewers.size,
+    peakViewers,
+    peakAt,
+    totalWatchTime,
+    averageWatchTime: viewers.size ? Math.round(totalWatchTime / viewers.size) : 0,
+    errorCount: events.filter(event => event.type === SessionEventType.ERROR).length,
+    eventCount: events.length,
+    quality: {
+      sampleCount: samples.length,
+      bitrate: average(samples.map(sample => sample.data.bitrate)),
+      packetLoss: average(samples.map(sample => sample.data.packetLoss)),
+      rtt: average(samples.map(sample => sample.data.rtt))
+    },
+    viewers: [...viewers.values()].sort((a, b) => b.watchTime - a.watchTime)
+  };
+};
+
+// Quote a CSV field when it needs it (RFC 4180). Text a spreadsheet would
+// run as a formula, e.g. a viewer id or error message starting with '=',
+// gets a leading quote; plain numbers are left alone.
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per event; the event's details go in the last column as JSON
+export const buildSessionCsv = (session, events) => {
+  const rows = [['index', 'time', 'elapsed_seconds', 'type', 'viewer_id', 'data']];
+  events.forEach(event => rows.push([
+    event.index,
+    new Date(event.time).toISOString(),
+    ((event.time - session.startedAt) / 1000).toFixed(1),
+    event.type,
+    event.viewerId,
+    event.data && Object.keys(event.data).length ? JSON.stringify(event.data) : ''
+  ]));
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+export const buildSessionJson = (session, events) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  session,
+  events
+}, null, 2);
+
+export const sessionFileName = (session, extension) => {
+  const timestamp = new Date(session.startedAt).toISOString().replace(/[:.]/g, '-');
+  return `session-${session.streamId}-${timestamp}.${extension}`;
+};
+
+export class SessionLog {
+  constructor({ streamId, title = '', transport }) {
+    const startedAt = Date.now();
+    this.session = {
+      id: `session_${startedAt.toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+      streamId,
+      title,
+      transport,
+      status: SessionStatus.LIVE,
+      startedAt,
+      updatedAt: startedAt,
+      endedAt: null,
+      summary: null
+    };
+    this.events = [];
+    this.pending = [];
+    // Viewer id -> when it started watching
+    this.watching = new Map();
+    // Peer id -> when its last quality sample was kept
+    this.lastSampleAt = new Map();
+    this.writes = Promise.resolve();
+    this.persistent = true;
+    this.timer = null;
+    this.finished = false;
+  }
+
+  start() {
+    this.writes = createSession(this.session).catch(error => this.disablePersistence(error));
+    this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.log(SessionEventType.SESSION_STARTED, null, { streamId: this.session.streamId, transport: this.session.transport });
+  }
+
+  log(type, viewerId = null, data = {}) {
+    if (this.finished) {
+      return;
+    }
+    const event = { index: this.events.length, time: Date.now(), type, viewerId, data };
+    this.events.push(event);
+    this.pending.push(event);
+  }
+
+  // Log everything the signaling connection receives or goes through
+  attachSignaling(signaling) {
+    const removeMessage = signaling.on('message', (message) => {
+      this.log(SessionEventType.SIGNALING_MESSAGE, message.viewerId || null, { messageType: message.type });
+    });
+    const removeState = signaling.on('state', (state) => {
+      this.log(SessionEventType.SIGNALING_STATE, null, { state });
+    });
+    return () => {
+      removeMessage();
+      removeState();
+    };
+  }
+
+  viewerJoined(viewerId) {
+    if (this.watching.has(viewerId)) {
+      return;
+    }
+    this.watching.set(viewerId, Date.now());
+    this.log(SessionEventType.VIEWER_JOINED, viewerId, { concurrent: this.watching.size });
+  }
+
+  viewerLeft(viewerId) {
+    if (!this.watching.has(viewerId)) {
+      return;
+    }
+    const watchTime = Date.now() - this.watching.get(viewerId);
+    this.watching.delete(viewerId);
+    this.log(SessionEventType.VIEWER_LEFT, viewerId, { watchTime, concurrent: this.watching.size });
+  }
+
+  viewerRejected(viewerId, reason) {
+    this.log(SessionEventType.VIEWER_REJECTED, viewerId, { reason });
+  }
+
+  // Keep a sample per connection every so often from useConnectionStats'
+  // { id: { latest } } map
+  recordQuality(stats) {
+    const now = Date.now();
+    Object.entries(stats).forEach(([peerId, { latest }]) => {
+      if (!latest || now - (this.lastSampleAt.get(peerId) || 0) < QUALITY_SAMPLE_INTERVAL_MS) {
+        return;
+      }
+      this.lastSampleAt.set(peerId, now);
+      this.log(SessionEventType.QUALITY_SAMPLE, peerId, {
+        bitrate: latest.bitrate,
+        packetLoss: latest.packetLoss,
+        rtt: latest.rtt,
+        jitter: latest.jitter,
+        framesPerSecond: latest.framesPerSecond,
+        resolution: latest.resolution,
+        qualityLimitationReason: latest.qualityLimitationReason
+      });
+    });
+  }
+
+  error(context, error) {
+    this.log(SessionEventType.ERROR, null, { context, message: error && error.message ? error.message : String(error) });
+  }
+
+  // Write the events logged since the last flush along with the summary
+  flush(changes = {}) {
+    const events = this.pending;
+    this.pending = [];
+    const updated = { ...this.session, ...changes, updatedAt: Date.now() };
+    const session = {
+      ...updated,
+      summary: summarizeSession(this.events, { startedAt: updated.startedAt, endedAt: updated.endedAt || updated.updatedAt })
+    };
+    this.session = session;
+
+    this.writes = this.writes.then(() => {
+      if (this.persistent) {
+        return appendSessionEvents(session.id, events, session).catch(error => this.disablePersistence(error));
+      }
+      return undefined;
+    });
+    return this.writes;
+  }
+
+  disablePersistence(error) {
+    if (this.persistent) {
+      console.error('Session log is not being saved:', error);
+      this.persistent = false;
+    }
+  }
+
+  // Close the log: viewers still watching are counted until now. Resolves
+  // with { session, events } once written, and never rejects.
+  async finish() {
+    if (this.finished) {
+      await this.writes;
+      return { session: this.session, events: this.events };
+    }
+    [...this.watching.keys()].forEach(viewerId => this.viewerLeft(viewerId));
+    const endedAt = Date.now();
+    this.log(SessionEventType.SESSION_ENDED, null, { duration: endedAt - this.session.startedAt });
+    this.finished = true;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    await this.flush({ status: SessionStatus.ENDED, endedAt });
+    return { session: this.session, events: this.events };
+  }
+}
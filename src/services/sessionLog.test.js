@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { SessionEventType, buildSessionCsv, summarizeSession } from './sessionLog.js';
+
+const startedAt = Date.UTC(2025, 2, 1, 18, 0);
+const at = (seconds) => startedAt + seconds * 1000;
+
+let index = 0;
+const event = (type, seconds, fields = {}) => ({ index: index++, type, time: at(seconds), viewerId: null, data: {}, ...fields });
+const joined = (viewerId, seconds) => event(SessionEventType.VIEWER_JOINED, seconds, { viewerId });
+const left = (viewerId, seconds) => event(SessionEventType.VIEWER_LEFT, seconds, { viewerId });
+
+describe('summarizeSession', () => {
+  it('adds up watch time per viewer across visits', () => {
+    const summary = summarizeSession([
+      joined('viewer_a', 0),
+      joined('viewer_b', 10),
+      left('viewer_a', 30),
+      joined('viewer_a', 40),
+      left('viewer_a', 50)
+    ], { startedAt, endedAt: at(100) });
+
+    expect(summary.duration).toBe(100000);
+    expect(summary.uniqueViewers).toBe(2);
+    expect(summary.viewers).toEqual([
+      { viewerId: 'viewer_b', firstJoinedAt: at(10), watchTime: 90000, visits: 1 },
+      { viewerId: 'viewer_a', firstJoinedAt: at(0), watchTime: 40000, visits: 2 }
+    ]);
+    expect(summary.totalWatchTime).toBe(130000);
+    expect(summary.averageWatchTime).toBe(65000);
+  });
+
+  it('records when the audience peaked', () => {
+    const summary = summarizeSession([
+      joined('viewer_a', 0),
+      joined('viewer_b', 5),
+      left('viewer_b', 8),
+      joined('viewer_c', 20)
+    ], { startedAt, endedAt: at(30) });
+
+    expect(summary.peakViewers).toBe(2);
+    expect(summary.peakAt).toBe(at(5));
+  });
+
+  it('ignores repeated joins and leaves', () => {
+    const summary = summarizeSession([
+      joined('viewer_a', 0),
+      joined('viewer_a', 5),
+      left('viewer_a', 10),
+      left('viewer_a', 20)
+    ], { startedAt, endedAt: at(30) });
+
+    expect(summary.viewers).toEqual([{ viewerId: 'viewer_a', firstJoinedAt: at(0), watchTime: 10000, visits: 1 }]);
+  });
+
+  it('averages quality samples and counts errors', () => {
+    const summary = summarizeSession([
+      event(SessionEventType.QUALITY_SAMPLE, 10, { data: { bitrate: 1000, packetLoss: 0.02, rtt: 40 } }),
+      event(SessionEventType.QUALITY_SAMPLE, 20, { data: { bitrate: 3000, packetLoss: null, rtt: 60 } }),
+      event(SessionEventType.ERROR, 25, { data: { source: 'signaling' } })
+    ], { startedAt, endedAt: at(30) });
+
+    expect(summary.quality).toEqual({ sampleCount: 2, bitrate: 2000, packetLoss: 0.02, rtt: 50 });
+    expect(summary.errorCount).toBe(1);
+    expect(summary.eventCount).toBe(3);
+    expect(summary.averageWatchTime).toBe(0);
+  });
+});
+
+describe('buildSessionCsv', () => {
+  const session = { startedAt };
+
+  it('writes a header and one row per event', () => {
+    const csv = buildSessionCsv(session, [
+      { index: 0, type: SessionEventType.SESSION_STARTED, time: at(0), viewerId: null, data: {} },
+      { index: 1, type: SessionEventType.VIEWER_JOINED, time: at(1.5), viewerId: 'viewer_a', data: {} }
+    ]);
+
+    expect(csv).toBe(
+      'index,time,elapsed_seconds,type,viewer_id,data\r\n' +
+      '0,2025-03-01T18:00:00.000Z,0.0,session_started,,\r\n' +
+      '1,2025-03-01T18:00:01.500Z,1.5,viewer_joined,viewer_a,\r\n'
+    );
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = buildSessionCsv(session, [
+      { index: 0, type: SessionEventType.ERROR, time: at(0), viewerId: null, data: { message: 'a "bad"\nday' } }
+    ]);
+
+    expect(csv).toContain(',"{""message"":""a \\""bad\\""\\nday""}"\r\n');
+  });
+
+  it.each(['=HYPERLINK("http://example.com")', '+1+1', '-1+1', '@SUM(A1)', '\tcmd', '\rcmd'])(
+    'keeps spreadsheets from running %j as a formula',
+    (viewerId) => {
+      const csv = buildSessionCsv(session, [
+        { index: 0, type: SessionEventType.VIEWER_JOINED, time: at(0), viewerId, data: {} }
+      ]);
+      const row = csv.split('\r\n')[1];
+
+      expect(row).toMatch(/,"?'/);
+      expect(row).not.toMatch(/,[=+\-@\t\r]/);
+    }
+  );
+
+  it('leaves negative numbers alone', () => {
+    const csv = buildSessionCsv(session, [
+      { index: 0, type: SessionEventType.SESSION_STARTED, time: at(-2), viewerId: null, data: {} }
+    ]);
+
+    expect(csv).toContain(',-2.0,');
+  });
+});
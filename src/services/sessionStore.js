@@ -0,0 +1,89 @@
+import { openDatabase, requestToPromise, transactionDone } from './db.js';
+
+const SESSIONS = 'sessions';
+const EVENTS = 'sessionEvents';
+
+export const SessionStatus = Object.freeze({
+  LIVE: 'live',
+  ENDED: 'ended',
+  // Still live when the tab went away; the events written so far remain
+  INTERRUPTED: 'interrupted'
+});
+
+const eventRange = (sessionId) => IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+export const createSession = async (session) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  transaction.objectStore(SESSIONS).put(session);
+  await transactionDone(transaction);
+  return session;
+};
+
+export const updateSession = async (id, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(SESSIONS, 'readwrite');
+  const store = transaction.objectStore(SESSIONS);
+  const session = await requestToPromise(store.get(id));
+
+  if (session) {
+    store.put({ ...session, ...changes });
+  }
+  await transactionDone(transaction);
+};
+
+// Store a batch of events and the session's updated summary in the same
+// transaction, so the summary never counts events that aren't there
+export const appendSessionEvents = async (sessionId, events, changes) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, EVENTS], 'readwrite');
+  const sessions = transaction.objectStore(SESSIONS);
+  const store = transaction.objectStore(EVENTS);
+
+  events.forEach(event => store.put({ ...event, sessionId }));
+
+  const session = await requestToPromise(sessions.get(sessionId));
+  if (session) {
+    sessions.put({ ...session, ...changes, updatedAt: Date.now() });
+  }
+  await transactionDone(transaction);
+};
+
+export const getSession = async (id) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(SESSIONS).objectStore(SESSIONS).get(id));
+};
+
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await requestToPromise(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// A session's events in the order they were logged
+export const getSessionEvents = async (sessionId) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(EVENTS).objectStore(EVENTS).getAll(eventRange(sessionId)));
+};
+
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS, EVENTS], 'readwrite');
+  transaction.objectStore(SESSIONS).delete(id);
+  transaction.objectStore(EVENTS).delete(eventRange(id));
+  await transactionDone(transaction);
+};
+
+// Sessions left live by a tab that crashed or was closed mid-broadcast.
+// Live sessions flush every few seconds, so anything untouched for
+// `staleAfter` is no longer being written by any tab.
+export const markInterruptedSessions = async (staleAfter = 30000) => {
+  const sessions = await listSessions();
+  const now = Date.now();
+  const stale = sessions.filter(session => (
+    session.status === SessionStatus.LIVE && now - (session.updatedAt || session.startedAt) > staleAfter
+  ));
+
+  await Promise.all(stale.map(session => updateSession(session.id, { status: SessionStatus.INTERRUPTED })));
+  return stale.length;
+};
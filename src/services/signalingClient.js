@@ -0,0 +1,361 @@
+import { EventEmitter } from './eventEmitter.js';
+import { MessageType, parseMessage, validateMessage } from './signalingMessages.js';
+
+export const SignalingRole = Object.freeze({
+  BROADCASTER: 'broadcaster',
+  VIEWER: 'viewer'
+});
+
+export const SignalingState = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+});
+
+export const DEFAULT_RECONNECT_OPTIONS = Object.freeze({
+  initialDelay: 500,
+  maxDelay: 15000,
+  factor: 2,
+  jitter: 0.5,
+  maxAttempts: 10
+});
+
+// Exponential backoff with jitter: the nth retry waits up to
+// initialDelay * factor^n (capped at maxDelay), minus a random share of it
+// so that every client on a dropped server doesn't retry in lockstep
+export const computeBackoffDelay = (attempt, options = DEFAULT_RECONNECT_OPTIONS, random = Math.random) => {
+  const { initialDelay, maxDelay, factor, jitter } = { ...DEFAULT_RECONNECT_OPTIONS, ...options };
+  const base = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+  return Math.round(base * (1 - jitter * random()));
+};
+
+let requestCounter = 0;
+const nextRequestId = () => {
+  requestCounter += 1;
+  return `req_${Date.now().toString(36)}_${requestCounter}`;
+};
+
+// WebSocket signaling client used by both the broadcaster and the viewer.
+//
+// Once connected, an unexpected close triggers automatic reconnection with
+// backoff. `announce` builds the message that introduces this peer and is
+// sent on every (re)connect, so the server and the other side can resume
+// the session under the same id.
+//
+// Emits:
+//   'open' ({ resumed })        - socket connected; resumed after a reconnect
+//   'disconnected' (event)      - socket dropped, a reconnect may follow
+//   'reconnecting' ({ attempt, delay })
+//   'close' (event)             - client closed for good
+//   'state' (state)             - any SignalingState change
+//   'error' (error)             - socket or protocol error
+//   'message' (message)         - every valid inbound message, before filtering
+//   '<message type>' (message)  - inbound messages addressed to this peer
+export class SignalingClient extends EventEmitter {
+  constructor({
+    url,
+    role,
+    peerId,
+    announce = null,
+    reconnect = DEFAULT_RECONNECT_OPTIONS,
+    WebSocketImpl = globalThis.WebSocket,
+    requestTimeout = 10000
+  }) {
+    super();
+
+    if (!url) {
+      throw new Error('SignalingClient requires a url');
+    }
+    if (!Object.values(SignalingRole).includes(role)) {
+      throw new Error(`Unknown signaling role: ${role}`);
+    }
+
+    this.url = url;
+    this.role = role;
+    this.peerId = peerId;
+    this.announce = announce;
+    this.reconnectOptions = reconnect ? { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect } : null;
+    this.WebSocketImpl = WebSocketImpl;
+    this.requestTimeout = requestTimeout;
+    this.socket = null;
+    this.state = SignalingState.IDLE;
+    this.hasConnected = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.pendingConnect = null;
+    this.pendingRequests = new Map();
+  }
+
+  get isOpen() {
+    return Boolean(this.socket) && this.socket.readyState === this.WebSocketImpl.OPEN;
+  }
+
+  // Open the socket; resolves once it is first connected
+  connect() {
+    if (this.state !== SignalingState.IDLE && this.state !== SignalingState.CLOSED) {
+      return Promise.resolve();
+    }
+
+    this.hasConnected = false;
+    this.reconnectAttempt = 0;
+
+    return new Promise((resolve, reject) => {
+      this.pendingConnect = { resolve, reject };
+      this.openSocket(this.pendingConnect);
+    });
+  }
+
+  openSocket(initial = null) {
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+    let opened = false;
+
+    if (this.state !== SignalingState.RECONNECTING) {
+      this.setState(SignalingState.CONNECTING);
+    }
+
+    socket.onopen = () => {
+      opened = true;
+      const resumed = this.hasConnected;
+      this.hasConnected = true;
+      this.reconnectAttempt = 0;
+      this.setState(SignalingState.OPEN);
+
+      if (this.announce) {
+        this.send(this.announce({ resumed }));
+      }
+
+      this.emit('open', { resumed });
+      if (initial) {
+        this.pendingConnect = null;
+        initial.resolve();
+      }
+    };
+
+    socket.onmessage = (event) => this.handleMessage(event.data);
+
+    socket.onerror = (error) => {
+      this.emit('error', error);
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.rejectPendingRequests(new Error('Signaling connection closed'));
+
+      if (initial && !opened) {
+        this.pendingConnect = null;
+        initial.reject(new Error(`Could not connect to signaling server at ${this.url}`));
+      }
+
+      // Only sessions that were established once are resumed
+      if (this.hasConnected && this.reconnectOptions) {
+        this.emit('disconnected', event);
+        this.scheduleReconnect(event);
+      } else {
+        this.finish(event);
+      }
+    };
+  }
+
+  scheduleReconnect(event) {
+    if (this.reconnectAttempt >= this.reconnectOptions.maxAttempts) {
+      console.warn(`Giving up on signaling after ${this.reconnectAttempt} reconnect attempts`);
+      this.finish(event);
+      return;
+    }
+
+    const attempt = this.reconnectAttempt;
+    const delay = computeBackoffDelay(attempt, this.reconnectOptions);
+    this.reconnectAttempt += 1;
+
+    this.setState(SignalingState.RECONNECTING);
+    this.emit('reconnecting', { attempt: attempt + 1, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket();
+    }, delay);
+  }
+
+  finish(event) {
+    this.setState(SignalingState.CLOSED);
+    this.emit('close', event);
+  }
+
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.emit('state', state);
+    }
+  }
+
+  // Close the socket for good and drop any outstanding requests
+  close(code = 1000, reason = '') {
+    const socket = this.socket;
+    this.socket = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.rejectPendingRequests(new Error('Signaling client closed'));
+    // Our own onclose handler is skipped once the socket is dropped, so a
+    // connect() still in flight has to be settled here
+    if (this.pendingConnect) {
+      this.pendingConnect.reject(new Error('Signaling client closed'));
+      this.pendingConnect = null;
+    }
+
+    if (socket) {
+      socket.close(code, reason);
+    }
+    if (this.state !== SignalingState.CLOSED) {
+      this.finish({ code, reason, wasClean: true });
+    }
+  }
+
+  // Validate and send a message; returns false if the socket is not open.
+  // Messages are stamped with our peer id so we can ignore them if the
+  // server echoes them back.
+  send(message) {
+    validateMessage(message);
+
+    if (!this.isOpen) {
+      return false;
+    }
+
+    this.socket.send(JSON.stringify({ ...message, senderId: this.peerId }));
+    return true;
+  }
+
+  // Send a message and wait for its response. A response either echoes the
+  // generated requestId or, for peers that don't echo it, is the first message
+  // of `responseType` accepted by `match`.
+  request(message, { responseType, match = () => true, timeout = this.requestTimeout } = {}) {
+    const requestId = nextRequestId();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Timed out waiting for a response to ${message.type}`));
+      }, timeout);
+
+      this.pendingRequests.set(requestId, { responseType, match, resolve, reject, timer });
+
+      if (!this.send({ ...message, requestId })) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(requestId);
+        reject(new Error('Signaling connection is not open'));
+      }
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = parseMessage(data);
+    } catch (error) {
+      console.error('Dropping invalid signaling message:', error);
+      this.emit('error', error);
+      return;
+    }
+
+    this.emit('message', message);
+
+    if (!this.isAddressedToMe(message)) {
+      return;
+    }
+
+    // Responses to outstanding requests are delivered to the caller only
+    if (this.resolvePendingRequest(message)) {
+      return;
+    }
+
+    this.emit(message.type, message);
+  }
+
+  // The server fans messages out to everyone on the stream, so drop the ones
+  // meant for another peer
+  isAddressedToMe(message) {
+    if (message.senderId && message.senderId === this.peerId) {
+      return false;
+    }
+
+    if (this.role === SignalingRole.BROADCASTER) {
+      if (
+        message.type === MessageType.OFFER ||
+        message.type === MessageType.KICK_VIEWER ||
+        message.type === MessageType.JOIN_REJECTED ||
+        message.type === MessageType.RELAY_ASSIGN ||
+        message.type === MessageType.RELAY_DETACH ||
+        message.type === MessageType.STAGE_UPDATE ||
+        message.type === MessageType.E2EE_KEY
+      ) {
+        return false;
+      }
+      if (
+        message.type === MessageType.ANSWER ||
+        message.type === MessageType.ICE_CANDIDATE ||
+        message.type === MessageType.ICE_RESTART_REQUEST ||
+        message.type === MessageType.LAYER_REQUEST
+      ) {
+        return message.broadcasterId === this.peerId;
+      }
+    } else {
+      // Answers, restart and layer requests reach a viewer only when it
+      // relays to the sender
+      if (
+        message.type === MessageType.ANSWER ||
+        message.type === MessageType.ICE_RESTART_REQUEST ||
+        message.type === MessageType.LAYER_REQUEST
+      ) {
+        return message.broadcasterId === this.peerId;
+      }
+      // Candidates come from our upstream peer, or from a viewer we relay to
+      if (message.type === MessageType.ICE_CANDIDATE) {
+        return message.viewerId === this.peerId || message.broadcasterId === this.peerId;
+      }
+      if (
+        message.type === MessageType.OFFER ||
+        message.type === MessageType.KICK_VIEWER ||
+        message.type === MessageType.JOIN_REJECTED ||
+        message.type === MessageType.RELAY_ASSIGN ||
+        message.type === MessageType.RELAY_DETACH ||
+        message.type === MessageType.STAGE_UPDATE ||
+        message.type === MessageType.E2EE_KEY
+      ) {
+        return message.viewerId === this.peerId;
+      }
+      // Hands are raised to the broadcaster
+      if (message.type === MessageType.HAND_RAISE) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  resolvePendingRequest(message) {
+    for (const [requestId, pending] of this.pendingRequests) {
+      const echoesRequest = message.requestId === requestId;
+      const matchesType = !message.requestId && message.type === pending.responseType && pending.match(message);
+
+      if (echoesRequest || matchesType) {
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(requestId);
+        pending.resolve(message);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pendingRequests.clear();
+  }
+}
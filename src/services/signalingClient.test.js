@@ -0,0 +1,362 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  DEFAULT_RECONNECT_OPTIONS,
+  SignalingClient,
+  SignalingRole,
+  SignalingState,
+  computeBackoffDelay
+} from './signalingClient.js';
+import {
+  MessageType,
+  buildAnswer,
+  buildBroadcasterReady,
+  buildIceCandidate,
+  buildIceRestartRequest,
+  buildLayerRequest,
+  buildOffer,
+  buildViewerJoined
+} from './signalingMessages.js';
+import { MockSignalingServer } from '../test/mockSignalingServer.js';
+
+const BROADCASTER_ID = 'broadcaster_1';
+const VIEWER_ID = 'viewer_1';
+const sdp = (type) => ({ type, sdp: 'v=0' });
+
+const createClient = (server, options = {}) => new SignalingClient({
+  url: 'ws://signaling.test/ws/stream/abc/',
+  role: SignalingRole.BROADCASTER,
+  peerId: BROADCASTER_ID,
+  WebSocketImpl: server.WebSocket,
+  ...options
+});
+
+// Connect and let the server accept, resolving once the client is open
+const connectClient = async (server, client) => {
+  const connected = client.connect();
+  server.accept();
+  await connected;
+};
+
+describe('computeBackoffDelay', () => {
+  const options = { initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5 };
+
+  it('grows by the factor with each attempt', () => {
+    const noJitter = () => 0;
+    expect([0, 1, 2, 3].map(attempt => computeBackoffDelay(attempt, options, noJitter))).toEqual([100, 200, 400, 800]);
+  });
+
+  it('caps the delay at maxDelay', () => {
+    expect(computeBackoffDelay(10, options, () => 0)).toBe(1000);
+  });
+
+  it('takes up to the jitter share off the delay', () => {
+    expect(computeBackoffDelay(2, options, () => 1)).toBe(200);
+    expect(computeBackoffDelay(2, options, () => 0.5)).toBe(300);
+  });
+
+  it('fills missing options from the defaults', () => {
+    expect(computeBackoffDelay(0, {}, () => 0)).toBe(DEFAULT_RECONNECT_OPTIONS.initialDelay);
+  });
+});
+
+describe('SignalingClient', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new MockSignalingServer();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('connecting', () => {
+    it('announces itself once open', async () => {
+      const announce = vi.fn(({ resumed }) => buildBroadcasterReady({ broadcasterId: BROADCASTER_ID, resume: resumed }));
+      const client = createClient(server, { announce });
+      const onOpen = vi.fn();
+      client.on('open', onOpen);
+
+      await connectClient(server, client);
+
+      expect(client.state).toBe(SignalingState.OPEN);
+      expect(announce).toHaveBeenCalledWith({ resumed: false });
+      expect(onOpen).toHaveBeenCalledWith({ resumed: false });
+      expect(server.received).toEqual([
+        { type: MessageType.BROADCASTER_READY, broadcasterId: BROADCASTER_ID, senderId: BROADCASTER_ID }
+      ]);
+    });
+
+    it('rejects when the first connection fails, without reconnecting', async () => {
+      const client = createClient(server);
+      const onClose = vi.fn();
+      client.on('close', onClose);
+
+      const connected = client.connect();
+      server.refuse();
+
+      await expect(connected).rejects.toThrow('Could not connect');
+      expect(client.state).toBe(SignalingState.CLOSED);
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(server.sockets).toHaveLength(1);
+    });
+
+    it('rejects a connect() still in flight when closed', async () => {
+      const client = createClient(server);
+
+      const connected = client.connect();
+      client.close();
+
+      await expect(connected).rejects.toThrow('Signaling client closed');
+      expect(client.state).toBe(SignalingState.CLOSED);
+    });
+  });
+
+  describe('reconnecting', () => {
+    const reconnect = { initialDelay: 100, maxDelay: 1000, factor: 2, jitter: 0, maxAttempts: 2 };
+
+    it('backs off, reconnects and announces the session as resumed', async () => {
+      vi.useFakeTimers();
+      const announce = vi.fn(({ resumed }) => buildBroadcasterReady({ broadcasterId: BROADCASTER_ID, resume: resumed }));
+      const client = createClient(server, { announce, reconnect });
+      const onReconnecting = vi.fn();
+      const onOpen = vi.fn();
+      client.on('reconnecting', onReconnecting);
+      client.on('open', onOpen);
+      await connectClient(server, client);
+
+      server.drop();
+      expect(client.state).toBe(SignalingState.RECONNECTING);
+      expect(onReconnecting).toHaveBeenLastCalledWith({ attempt: 1, delay: 100 });
+
+      // The first retry fails as well and waits twice as long
+      vi.advanceTimersByTime(100);
+      expect(server.sockets).toHaveLength(2);
+      server.refuse();
+      expect(onReconnecting).toHaveBeenLastCalledWith({ attempt: 2, delay: 200 });
+
+      vi.advanceTimersByTime(199);
+      expect(server.sockets).toHaveLength(2);
+      vi.advanceTimersByTime(1);
+      expect(server.sockets).toHaveLength(3);
+
+      server.accept();
+      expect(client.state).toBe(SignalingState.OPEN);
+      expect(announce).toHaveBeenLastCalledWith({ resumed: true });
+      expect(onOpen).toHaveBeenLastCalledWith({ resumed: true });
+      expect(server.received.at(-1)).toMatchObject({ type: MessageType.BROADCASTER_READY, resume: true });
+    });
+
+    it('starts the backoff over after a successful reconnect', async () => {
+      vi.useFakeTimers();
+      const client = createClient(server, { reconnect });
+      const onReconnecting = vi.fn();
+      client.on('reconnecting', onReconnecting);
+      await connectClient(server, client);
+
+      server.drop();
+      vi.advanceTimersByTime(100);
+      server.accept();
+      server.drop();
+
+      expect(onReconnecting).toHaveBeenLastCalledWith({ attempt: 1, delay: 100 });
+    });
+
+    it('gives up after maxAttempts', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const client = createClient(server, { reconnect });
+      const onClose = vi.fn();
+      client.on('close', onClose);
+      await connectClient(server, client);
+
+      server.drop();
+      vi.advanceTimersByTime(100);
+      server.refuse();
+      vi.advanceTimersByTime(200);
+      server.refuse();
+
+      expect(client.state).toBe(SignalingState.CLOSED);
+      expect(onClose).toHaveBeenCalledTimes(1);
+      vi.advanceTimersByTime(10000);
+      expect(server.sockets).toHaveLength(3);
+    });
+
+    it('does not reconnect after close()', async () => {
+      vi.useFakeTimers();
+      const client = createClient(server, { reconnect });
+      await connectClient(server, client);
+
+      client.close();
+      vi.advanceTimersByTime(10000);
+
+      expect(client.state).toBe(SignalingState.CLOSED);
+      expect(server.sockets).toHaveLength(1);
+    });
+  });
+
+  describe('request()', () => {
+    const offerFor = (viewerId) => buildOffer({ offer: sdp('offer'), viewerId, broadcasterId: BROADCASTER_ID });
+    const answerFrom = (viewerId, requestId) => buildAnswer({ answer: sdp('answer'), viewerId, broadcasterId: BROADCASTER_ID, requestId });
+
+    it('rejects once the timeout passes without a response', async () => {
+      vi.useFakeTimers();
+      const client = createClient(server);
+      await connectClient(server, client);
+
+      const response = client.request(offerFor(VIEWER_ID), { responseType: MessageType.ANSWER, timeout: 500 });
+      vi.advanceTimersByTime(500);
+
+      await expect(response).rejects.toThrow('Timed out waiting for a response to offer');
+      expect(client.pendingRequests.size).toBe(0);
+    });
+
+    it('matches responses to requests by the echoed requestId', async () => {
+      const client = createClient(server);
+      await connectClient(server, client);
+      const onAnswer = vi.fn();
+      client.on(MessageType.ANSWER, onAnswer);
+
+      const first = client.request(offerFor('viewer_a'), { responseType: MessageType.ANSWER });
+      const second = client.request(offerFor('viewer_b'), { responseType: MessageType.ANSWER });
+      const [firstSent, secondSent] = server.receivedOfType(MessageType.OFFER);
+      expect(firstSent.requestId).not.toBe(secondSent.requestId);
+
+      server.deliver(answerFrom('viewer_b', secondSent.requestId));
+      await expect(second).resolves.toMatchObject({ viewerId: 'viewer_b' });
+      expect(client.pendingRequests.size).toBe(1);
+
+      server.deliver(answerFrom('viewer_a', firstSent.requestId));
+      await expect(first).resolves.toMatchObject({ viewerId: 'viewer_a' });
+
+      // Responses go to the caller, not to listeners
+      expect(onAnswer).not.toHaveBeenCalled();
+      client.close();
+    });
+
+    it('falls back to responseType and match for responses without a requestId', async () => {
+      const client = createClient(server);
+      await connectClient(server, client);
+
+      const response = client.request(offerFor('viewer_b'), {
+        responseType: MessageType.ANSWER,
+        match: (answer) => answer.viewerId === 'viewer_b'
+      });
+
+      const onAnswer = vi.fn();
+      client.on(MessageType.ANSWER, onAnswer);
+      server.deliver(answerFrom('viewer_a'));
+      expect(onAnswer).toHaveBeenCalledTimes(1);
+
+      server.deliver(answerFrom('viewer_b'));
+      await expect(response).resolves.toMatchObject({ viewerId: 'viewer_b' });
+    });
+
+    it('rejects right away while the socket is closed', async () => {
+      const client = createClient(server);
+      await expect(client.request(offerFor(VIEWER_ID), { responseType: MessageType.ANSWER }))
+        .rejects.toThrow('not open');
+    });
+
+    it('rejects outstanding requests when the connection drops', async () => {
+      const client = createClient(server, { reconnect: null });
+      await connectClient(server, client);
+
+      const response = client.request(offerFor(VIEWER_ID), { responseType: MessageType.ANSWER });
+      server.drop();
+
+      await expect(response).rejects.toThrow('Signaling connection closed');
+    });
+  });
+
+  describe('message filtering', () => {
+    const offer = (viewerId) => buildOffer({ offer: sdp('offer'), viewerId, broadcasterId: 'broadcaster_x' });
+    const answer = (broadcasterId) => buildAnswer({ answer: sdp('answer'), viewerId: 'viewer_x', broadcasterId });
+    const candidate = (viewerId, broadcasterId) => buildIceCandidate({ candidate: {}, viewerId, broadcasterId });
+
+    // Deliver a message and report whether the client emitted it by type
+    const isDelivered = (client, message) => {
+      const listener = vi.fn();
+      const remove = client.on(message.type, listener);
+      server.deliver(message);
+      remove();
+      return listener.mock.calls.length === 1;
+    };
+
+    it('drops its own messages echoed back by the server', async () => {
+      const client = createClient(server);
+      await connectClient(server, client);
+
+      expect(isDelivered(client, { ...buildViewerJoined({ viewerId: 'viewer_x' }), senderId: BROADCASTER_ID })).toBe(false);
+      expect(isDelivered(client, { ...buildViewerJoined({ viewerId: 'viewer_x' }), senderId: 'viewer_x' })).toBe(true);
+    });
+
+    it('filters messages for a broadcaster', async () => {
+      const client = createClient(server);
+      await connectClient(server, client);
+
+      expect(isDelivered(client, buildViewerJoined({ viewerId: 'viewer_x' }))).toBe(true);
+      expect(isDelivered(client, offer(BROADCASTER_ID))).toBe(false);
+      expect(isDelivered(client, answer(BROADCASTER_ID))).toBe(true);
+      expect(isDelivered(client, answer('broadcaster_x'))).toBe(false);
+      expect(isDelivered(client, candidate('viewer_x', BROADCASTER_ID))).toBe(true);
+      expect(isDelivered(client, candidate('viewer_x', 'broadcaster_x'))).toBe(false);
+      expect(isDelivered(client, buildIceRestartRequest({ viewerId: 'viewer_x', broadcasterId: BROADCASTER_ID }))).toBe(true);
+      expect(isDelivered(client, buildIceRestartRequest({ viewerId: 'viewer_x', broadcasterId: 'broadcaster_x' }))).toBe(false);
+      expect(isDelivered(client, buildLayerRequest({ viewerId: 'viewer_x', broadcasterId: BROADCASTER_ID, layer: 'low' }))).toBe(true);
+      expect(isDelivered(client, { type: MessageType.HAND_RAISE, viewerId: 'viewer_x', raised: true })).toBe(true);
+      expect(isDelivered(client, { type: MessageType.KICK_VIEWER, broadcasterId: 'broadcaster_x', viewerId: 'viewer_x' })).toBe(false);
+    });
+
+    it('filters messages for a viewer', async () => {
+      const client = createClient(server, { role: SignalingRole.VIEWER, peerId: VIEWER_ID });
+      await connectClient(server, client);
+
+      expect(isDelivered(client, offer(VIEWER_ID))).toBe(true);
+      expect(isDelivered(client, offer('viewer_x'))).toBe(false);
+      expect(isDelivered(client, candidate(VIEWER_ID, 'broadcaster_x'))).toBe(true);
+      // From a viewer we relay to
+      expect(isDelivered(client, candidate('viewer_x', VIEWER_ID))).toBe(true);
+      expect(isDelivered(client, candidate('viewer_x', 'broadcaster_x'))).toBe(false);
+      expect(isDelivered(client, answer(VIEWER_ID))).toBe(true);
+      expect(isDelivered(client, answer('broadcaster_x'))).toBe(false);
+      expect(isDelivered(client, buildIceRestartRequest({ viewerId: 'viewer_x', broadcasterId: VIEWER_ID }))).toBe(true);
+      expect(isDelivered(client, buildIceRestartRequest({ viewerId: VIEWER_ID, broadcasterId: 'broadcaster_x' }))).toBe(false);
+      expect(isDelivered(client, buildLayerRequest({ viewerId: 'viewer_x', broadcasterId: VIEWER_ID, layer: 'low' }))).toBe(true);
+      expect(isDelivered(client, buildLayerRequest({ viewerId: 'viewer_x', broadcasterId: 'broadcaster_x', layer: 'low' }))).toBe(false);
+      expect(isDelivered(client, { type: MessageType.KICK_VIEWER, broadcasterId: 'broadcaster_x', viewerId: VIEWER_ID })).toBe(true);
+      expect(isDelivered(client, { type: MessageType.KICK_VIEWER, broadcasterId: 'broadcaster_x', viewerId: 'viewer_x' })).toBe(false);
+      expect(isDelivered(client, { type: MessageType.JOIN_REJECTED, broadcasterId: 'broadcaster_x', viewerId: 'viewer_x', reason: 'banned' })).toBe(false);
+      expect(isDelivered(client, { type: MessageType.HAND_RAISE, viewerId: 'viewer_x', raised: true })).toBe(false);
+      // Broadcast to everyone on the stream
+      expect(isDelivered(client, buildBroadcasterReady({ broadcasterId: 'broadcaster_x' }))).toBe(true);
+    });
+
+    it('emits every valid message as "message", addressed or not', async () => {
+      const client = createClient(server, { role: SignalingRole.VIEWER, peerId: VIEWER_ID });
+      await connectClient(server, client);
+      const onMessage = vi.fn();
+      client.on('message', onMessage);
+
+      server.deliver(offer('viewer_x'));
+
+      expect(onMessage).toHaveBeenCalledWith(expect.objectContaining({ type: MessageType.OFFER, viewerId: 'viewer_x' }));
+    });
+
+    it('reports invalid messages as errors instead of emitting them', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const client = createClient(server);
+      await connectClient(server, client);
+      const onError = vi.fn();
+      const onMessage = vi.fn();
+      client.on('error', onError);
+      client.on('message', onMessage);
+
+      server.deliver('not json');
+      server.deliver({ type: MessageType.ANSWER, viewerId: 'viewer_x' });
+
+      expect(onError).toHaveBeenCalledTimes(2);
+      expect(onMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,253 @@
+// Message types and builders for the WebRTC signaling protocol spoken over
+// the /ws/webrtc/<streamId>/ WebSocket.
+//
+// In relay mode a viewer forwarding the stream takes the broadcaster's place
+// towards the viewers it feeds, so in offer/answer/ice_candidate/
+// ice_restart_request messages `broadcasterId` names the offering peer,
+// which may be a relaying viewer. The same goes for layer_request.
+export const MessageType = Object.freeze({
+  BROADCASTER_READY: 'broadcaster_ready',
+  VIEWER_JOINED: 'viewer_joined',
+  OFFER: 'offer',
+  ANSWER: 'answer',
+  ICE_CANDIDATE: 'ice_candidate',
+  VIEWER_LEFT: 'viewer_left',
+  ICE_RESTART_REQUEST: 'ice_restart_request',
+  BROADCASTER_STATE: 'broadcaster_state',
+  KICK_VIEWER: 'kick_viewer',
+  JOIN_REJECTED: 'join_rejected',
+  RELAY_ASSIGN: 'relay_assign',
+  RELAY_DETACH: 'relay_detach',
+  LAYER_REQUEST: 'layer_request',
+  THUMBNAIL: 'thumbnail',
+  HAND_RAISE: 'hand_raise',
+  STAGE_UPDATE: 'stage_update',
+  E2EE_KEY: 'e2ee_key'
+});
+
+export class SignalingProtocolError extends Error {
+  constructor(message, payload) {
+    super(message);
+    this.name = 'SignalingProtocolError';
+    this.payload = payload;
+  }
+}
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isSessionDescription = (value) => (
+  value !== null && typeof value === 'object' && isString(value.type) && typeof value.sdp === 'string'
+);
+const isCandidate = (value) => value !== null && typeof value === 'object';
+const isImageDataUrl = (value) => isString(value) && value.startsWith('data:image/');
+const isBoolean = (value) => typeof value === 'boolean';
+const isKeyIndex = (value) => Number.isInteger(value) && value >= 1 && value <= 255;
+const isOptional = (check) => (value) => value === undefined || check(value);
+// What a viewer_joined carries to prove access: { token } or
+// { challenge, proof }
+const isCredentials = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  ['token', 'challenge', 'proof'].every(field => value[field] === undefined || isString(value[field]))
+);
+
+// Required fields per message type, plus optional ones that must be
+// well-formed when present; types not listed here are passed through
+// untouched so newer server messages don't break older clients
+const schemas = {
+  [MessageType.BROADCASTER_READY]: { broadcasterId: isString },
+  [MessageType.VIEWER_JOINED]: { viewerId: isString, credentials: isOptional(isCredentials) },
+  [MessageType.OFFER]: { offer: isSessionDescription, viewerId: isString, broadcasterId: isString },
+  [MessageType.ANSWER]: { answer: isSessionDescription, viewerId: isString, broadcasterId: isString },
+  [MessageType.ICE_CANDIDATE]: { candidate: isCandidate, viewerId: isString },
+  [MessageType.VIEWER_LEFT]: { viewerId: isString },
+  [MessageType.ICE_RESTART_REQUEST]: { viewerId: isString, broadcasterId: isString },
+  [MessageType.BROADCASTER_STATE]: { broadcasterId: isString },
+  [MessageType.KICK_VIEWER]: { broadcasterId: isString, viewerId: isString },
+  [MessageType.JOIN_REJECTED]: { broadcasterId: isString, viewerId: isString, reason: isString },
+  [MessageType.RELAY_ASSIGN]: { broadcasterId: isString, viewerId: isString, childId: isString },
+  [MessageType.RELAY_DETACH]: { broadcasterId: isString, viewerId: isString, childId: isString },
+  [MessageType.LAYER_REQUEST]: { viewerId: isString, broadcasterId: isString, layer: isString },
+  [MessageType.THUMBNAIL]: { broadcasterId: isString, image: isImageDataUrl },
+  [MessageType.HAND_RAISE]: { viewerId: isString, raised: isBoolean },
+  [MessageType.STAGE_UPDATE]: { broadcasterId: isString, viewerId: isString, onStage: isBoolean },
+  [MessageType.E2EE_KEY]: { broadcasterId: isString, viewerId: isString, keyIndex: isKeyIndex, key: isString }
+};
+
+// Throw a SignalingProtocolError if the message is malformed
+export const validateMessage = (message) => {
+  if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+    throw new SignalingProtocolError('Signaling message must be an object', message);
+  }
+  if (!isString(message.type)) {
+    throw new SignalingProtocolError('Signaling message is missing a type', message);
+  }
+
+  const schema = schemas[message.type];
+  if (schema) {
+    Object.entries(schema).forEach(([field, check]) => {
+      if (!check(message[field])) {
+        throw new SignalingProtocolError(`Invalid "${field}" in ${message.type} message`, message);
+      }
+    });
+  }
+
+  return message;
+};
+
+// Parse and validate a raw WebSocket payload
+export const parseMessage = (data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    throw new SignalingProtocolError('Signaling message is not valid JSON', data);
+  }
+  return validateMessage(message);
+};
+
+// RTCSessionDescription/RTCIceCandidate instances serialize through toJSON,
+// plain objects are sent as-is
+const toPlain = (value) => (value && typeof value.toJSON === 'function' ? value.toJSON() : value);
+
+// `resume` marks a re-announcement after a signaling reconnect: the peer
+// still holds its established connections under the same id. `metadata`
+// ({ title, description, visibility }) is what the stream listing shows.
+export const buildBroadcasterReady = ({ broadcasterId, resume = false, metadata = null }) => validateMessage({
+  type: MessageType.BROADCASTER_READY,
+  broadcasterId,
+  ...(resume ? { resume: true } : {}),
+  ...(metadata ? { metadata } : {})
+});
+
+// `credentials` proves access to a protected stream: { token } for an
+// invite, { challenge, proof } for a passcode
+export const buildViewerJoined = ({ viewerId, resume = false, credentials = null }) => validateMessage({
+  type: MessageType.VIEWER_JOINED,
+  viewerId,
+  ...(resume ? { resume: true } : {}),
+  ...(credentials ? { credentials } : {})
+});
+
+export const buildOffer = ({ offer, viewerId, broadcasterId }) => validateMessage({
+  type: MessageType.OFFER,
+  offer: toPlain(offer),
+  viewerId,
+  broadcasterId
+});
+
+// Answers echo the offer's requestId so the broadcaster can correlate them
+export const buildAnswer = ({ answer, viewerId, broadcasterId, requestId }) => validateMessage({
+  type: MessageType.ANSWER,
+  answer: toPlain(answer),
+  viewerId,
+  broadcasterId,
+  ...(requestId ? { requestId } : {})
+});
+
+export const buildIceCandidate = ({ candidate, viewerId, broadcasterId = null }) => validateMessage({
+  type: MessageType.ICE_CANDIDATE,
+  candidate: toPlain(candidate),
+  viewerId,
+  broadcasterId
+});
+
+export const buildViewerLeft = ({ viewerId }) => validateMessage({
+  type: MessageType.VIEWER_LEFT,
+  viewerId
+});
+
+// Sent by a viewer whose connection dropped; the broadcaster, as the
+// offering side, answers it by renegotiating with an ICE restart
+export const buildIceRestartRequest = ({ viewerId, broadcasterId }) => validateMessage({
+  type: MessageType.ICE_RESTART_REQUEST,
+  viewerId,
+  broadcasterId
+});
+
+// Live media state shown to viewers, e.g. as a "broadcaster muted" overlay.
+// `encrypted` tells viewers without the passphrase why they see nothing.
+export const buildBroadcasterState = ({ broadcasterId, audioMuted, videoOff, encrypted = false }) => validateMessage({
+  type: MessageType.BROADCASTER_STATE,
+  broadcasterId,
+  audioMuted: Boolean(audioMuted),
+  videoOff: Boolean(videoOff),
+  encrypted: Boolean(encrypted)
+});
+
+// Tells a viewer it was removed by the broadcaster; banned viewers should
+// not try to come back
+export const buildKickViewer = ({ broadcasterId, viewerId, banned = false }) => validateMessage({
+  type: MessageType.KICK_VIEWER,
+  broadcasterId,
+  viewerId,
+  banned: Boolean(banned)
+});
+
+// Tells a viewer it failed access checks and won't get an offer. Passcode
+// rejections carry a fresh `challenge` for the next attempt.
+export const buildJoinRejected = ({ broadcasterId, viewerId, reason, challenge = null }) => validateMessage({
+  type: MessageType.JOIN_REJECTED,
+  broadcasterId,
+  viewerId,
+  reason,
+  ...(challenge ? { challenge } : {})
+});
+
+// Relay mode: asks viewer `viewerId` to forward the stream to `childId`
+export const buildRelayAssign = ({ broadcasterId, viewerId, childId }) => validateMessage({
+  type: MessageType.RELAY_ASSIGN,
+  broadcasterId,
+  viewerId,
+  childId
+});
+
+// Relay mode: viewer `viewerId` should stop forwarding to `childId`
+export const buildRelayDetach = ({ broadcasterId, viewerId, childId }) => validateMessage({
+  type: MessageType.RELAY_DETACH,
+  broadcasterId,
+  viewerId,
+  childId
+});
+
+// Asks the peer sending us video to limit it to a quality layer
+export const buildLayerRequest = ({ viewerId, broadcasterId, layer }) => validateMessage({
+  type: MessageType.LAYER_REQUEST,
+  viewerId,
+  broadcasterId,
+  layer
+});
+
+// A recent frame of the broadcast as an image data URL, shown as a poster
+// while viewers wait for or lose the stream
+export const buildThumbnail = ({ broadcasterId, image, capturedAt }) => validateMessage({
+  type: MessageType.THUMBNAIL,
+  broadcasterId,
+  image,
+  capturedAt
+});
+
+// A viewer asking to go on stage, or withdrawing: lowering its hand, or
+// leaving the stage if it is on it
+export const buildHandRaise = ({ viewerId, raised }) => validateMessage({
+  type: MessageType.HAND_RAISE,
+  viewerId,
+  raised: Boolean(raised)
+});
+
+// Brings a viewer on stage or takes it off. The renegotiation that opens or
+// closes its sending side follows as a regular offer.
+export const buildStageUpdate = ({ broadcasterId, viewerId, onStage }) => validateMessage({
+  type: MessageType.STAGE_UPDATE,
+  broadcasterId,
+  viewerId,
+  onStage: Boolean(onStage)
+});
+
+// An end-to-end encryption stream key for an admitted viewer, wrapped with
+// the passphrase so the server can't use it (see e2ee.js)
+export const buildE2eeKey = ({ broadcasterId, viewerId, keyIndex, key }) => validateMessage({
+  type: MessageType.E2EE_KEY,
+  broadcasterId,
+  viewerId,
+  keyIndex,
+  key
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MessageType,
+  SignalingProtocolError,
+  buildOffer,
+  buildViewerJoined,
+  parseMessage,
+  validateMessage
+} from './signalingMessages.js';
+
+const offer = { type: 'offer', sdp: 'v=0' };
+
+describe('validateMessage', () => {
+  it('accepts well-formed messages and returns them', () => {
+    const message = buildOffer({ offer, viewerId: 'viewer_1', broadcasterId: 'broadcaster_1' });
+    expect(validateMessage(message)).toBe(message);
+  });
+
+  it.each([
+    ['null', null],
+    ['a string', 'offer'],
+    ['an array', [{ type: MessageType.OFFER }]]
+  ])('rejects %s', (_, message) => {
+    expect(() => validateMessage(message)).toThrow(SignalingProtocolError);
+  });
+
+  it('rejects messages without a type', () => {
+    expect(() => validateMessage({ viewerId: 'viewer_1' })).toThrow('missing a type');
+    expect(() => validateMessage({ type: '' })).toThrow('missing a type');
+  });
+
+  it('names the field that fails its check', () => {
+    expect(() => validateMessage({ type: MessageType.OFFER, offer, viewerId: 'viewer_1' }))
+      .toThrow('Invalid "broadcasterId" in offer message');
+    expect(() => validateMessage({ type: MessageType.OFFER, offer: { type: 'offer' }, viewerId: 'viewer_1', broadcasterId: 'b' }))
+      .toThrow('Invalid "offer" in offer message');
+    expect(() => validateMessage({ type: MessageType.HAND_RAISE, viewerId: 'viewer_1', raised: 'yes' }))
+      .toThrow('Invalid "raised" in hand_raise message');
+    expect(() => validateMessage({ type: MessageType.THUMBNAIL, broadcasterId: 'b', image: 'http://example.com/a.png' }))
+      .toThrow('Invalid "image" in thumbnail message');
+    expect(() => validateMessage({ type: MessageType.E2EE_KEY, broadcasterId: 'b', viewerId: 'viewer_1', keyIndex: 0, key: 'abc' }))
+      .toThrow('Invalid "keyIndex" in e2ee_key message');
+  });
+
+  it('checks optional fields only when present', () => {
+    expect(validateMessage({ type: MessageType.VIEWER_JOINED, viewerId: 'viewer_1' })).toBeTruthy();
+    expect(validateMessage({ type: MessageType.VIEWER_JOINED, viewerId: 'viewer_1', credentials: { token: 'abc' } })).toBeTruthy();
+    expect(() => validateMessage({ type: MessageType.VIEWER_JOINED, viewerId: 'viewer_1', credentials: null }))
+      .toThrow('Invalid "credentials" in viewer_joined message');
+    expect(() => validateMessage({ type: MessageType.VIEWER_JOINED, viewerId: 'viewer_1', credentials: { proof: 42 } }))
+      .toThrow('Invalid "credentials" in viewer_joined message');
+  });
+
+  it('keeps the offending payload on the error', () => {
+    const message = { type: MessageType.VIEWER_JOINED };
+    try {
+      validateMessage(message);
+      throw new Error('expected validateMessage to throw');
+    } catch (error) {
+      expect(error).toBeInstanceOf(SignalingProtocolError);
+      expect(error.payload).toBe(message);
+    }
+  });
+
+  it('passes unknown message types through', () => {
+    expect(validateMessage({ type: 'from_a_newer_server' })).toEqual({ type: 'from_a_newer_server' });
+  });
+
+  it('is applied by the builders', () => {
+    expect(() => buildViewerJoined({ viewerId: '' })).toThrow(SignalingProtocolError);
+  });
+});
+
+describe('parseMessage', () => {
+  it('parses and validates JSON payloads', () => {
+    expect(parseMessage(JSON.stringify({ type: MessageType.VIEWER_LEFT, viewerId: 'viewer_1' })))
+      .toEqual({ type: MessageType.VIEWER_LEFT, viewerId: 'viewer_1' });
+  });
+
+  it('rejects payloads that are not JSON', () => {
+    expect(() => parseMessage('{"type":')).toThrow('not valid JSON');
+  });
+
+  it('rejects JSON that is not a valid message', () => {
+    expect(() => parseMessage('42')).toThrow(SignalingProtocolError);
+    expect(() => parseMessage(JSON.stringify({ type: MessageType.ANSWER, viewerId: 'viewer_1' })))
+      .toThrow(SignalingProtocolError);
+  });
+});
@@ -0,0 +1,106 @@
+// Video quality layers. Over WHIP the broadcaster simulcasts all of them
+// and the media server forwards each viewer the one that suits it. Over
+// peer-to-peer every viewer has a connection of its own, so instead the
+// broadcaster caps that viewer's single encoding to the layer it asked for.
+
+export const QualityLayer = Object.freeze({
+  AUTO: 'auto',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+});
+
+// Lowest first, the order simulcast encodings are listed in. The rid is
+// the layer name.
+export const LAYERS = Object.freeze([
+  { layer: QualityLayer.LOW, scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { layer: QualityLayer.MEDIUM, scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { layer: QualityLayer.HIGH, scaleResolutionDownBy: 1, maxBitrate: 1500000 }
+]);
+
+const findLayer = (layer) => LAYERS.find(candidate => candidate.layer === layer) || null;
+
+export const isQualityLayer = (layer) => findLayer(layer) !== null;
+
+// The lower of two layers
+export const lowerLayer = (a, b) => (
+  LAYERS.findIndex(({ layer }) => layer === a) <= LAYERS.findIndex(({ layer }) => layer === b) ? a : b
+);
+
+// One layer down or up from `layer`, staying within the available layers
+export const stepLayer = (layer, steps) => {
+  const index = LAYERS.findIndex(candidate => candidate.layer === layer);
+  const next = Math.min(Math.max(index + steps, 0), LAYERS.length - 1);
+  return LAYERS[next].layer;
+};
+
+// sendEncodings for a simulcast video transceiver
+export const simulcastEncodings = () => LAYERS.map(({ layer, scaleResolutionDownBy, maxBitrate }) => ({
+  rid: layer,
+  scaleResolutionDownBy,
+  maxBitrate
+}));
+
+// Send `track` with simulcast where the browser supports it, otherwise as a
+// single encoding like addTrack
+export const addSimulcastTrack = (peerConnection, track, stream) => {
+  try {
+    return peerConnection.addTransceiver(track, {
+      direction: 'sendonly',
+      streams: [stream],
+      sendEncodings: simulcastEncodings()
+    }).sender;
+  } catch (error) {
+    console.warn('Simulcast not supported, sending a single encoding:', error);
+    return peerConnection.addTrack(track, stream);
+  }
+};
+
+// Broadcaster-wide encoding limits applied to one simulcast layer: the
+// layer keeps its place relative to the others
+export const applyLimitsToLayer = (rid, { maxBitrate, scaleResolutionDownBy, maxFramerate }) => {
+  const layer = findLayer(rid);
+  if (!layer) {
+    return { maxBitrate, scaleResolutionDownBy, maxFramerate };
+  }
+  return {
+    maxBitrate: maxBitrate ? Math.min(maxBitrate, layer.maxBitrate) : layer.maxBitrate,
+    scaleResolutionDownBy: layer.scaleResolutionDownBy * (scaleResolutionDownBy || 1),
+    maxFramerate
+  };
+};
+
+// The stricter of the broadcaster's own limits and the layer a peer-to-peer
+// viewer asked for. The high layer is the broadcast as configured.
+export const capToLayer = (limits, layer) => {
+  const cap = findLayer(layer);
+  if (!cap || layer === QualityLayer.HIGH) {
+    return limits;
+  }
+  return {
+    ...limits,
+    maxBitrate: limits.maxBitrate ? Math.min(limits.maxBitrate, cap.maxBitrate) : cap.maxBitrate,
+    scaleResolutionDownBy: Math.max(limits.scaleResolutionDownBy || 1, cap.scaleResolutionDownBy)
+  };
+};
+
+// Widths (in device pixels) a layer is worth showing at; a 320px player
+// gains nothing from the full resolution
+const VIEWPORT_WIDTHS = [
+  { layer: QualityLayer.LOW, maxWidth: 400 },
+  { layer: QualityLayer.MEDIUM, maxWidth: 900 }
+];
+
+export const layerForViewport = (width) => {
+  const match = VIEWPORT_WIDTHS.find(({ maxWidth }) => width <= maxWidth);
+  return match ? match.layer : QualityLayer.HIGH;
+};
+
+// Leave headroom for audio and estimation error
+const BANDWIDTH_HEADROOM = 0.8;
+
+// Highest layer a bandwidth estimate (bits/s) can carry
+export const layerForBandwidth = (bitsPerSecond) => {
+  const fitting = LAYERS.filter(({ maxBitrate }) => maxBitrate <= bitsPerSecond * BANDWIDTH_HEADROOM);
+  return fitting.length > 0 ? fitting[fitting.length - 1].layer : QualityLayer.LOW;
+};
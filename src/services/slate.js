@@ -0,0 +1,37 @@
+// A generated video track shown to viewers instead of the camera, e.g. a
+// "be right back" card while the broadcaster's video is off
+export const createSlateTrack = ({ text = 'Be right back', width = 640, height = 480 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const draw = () => {
+    context.fillStyle = '#1a1a1a';
+    context.fillRect(0, 0, width, height);
+
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.font = `bold ${Math.round(height / 10)}px Arial, sans-serif`;
+    context.fillText(text, width / 2, height / 2);
+
+    // A ticking clock keeps frames flowing; some decoders stall on a
+    // completely static canvas
+    context.fillStyle = '#888888';
+    context.font = `${Math.round(height / 24)}px Arial, sans-serif`;
+    context.fillText(new Date().toLocaleTimeString(), width / 2, height / 2 + height / 8);
+  };
+
+  draw();
+  const timer = setInterval(draw, 1000);
+  const [track] = canvas.captureStream(5).getVideoTracks();
+
+  return {
+    track,
+    stop: () => {
+      clearInterval(timer);
+      track.stop();
+    }
+  };
+};
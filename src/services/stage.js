@@ -0,0 +1,205 @@
+import { hasVideoFrame } from './thumbnails.js';
+
+// Interactive mode: viewers the broadcaster brings on stage send their
+// camera and microphone back over their existing connection, and everyone
+// else receives the broadcaster and the guests tiled into one video, with
+// their audio mixed.
+
+// Guests on stage at once, besides the broadcaster
+export const MAX_STAGE_GUESTS = 3;
+
+// Source id of the broadcaster's own tile and audio
+export const STAGE_HOST_ID = 'host';
+
+const TILE_GAP = 4;
+
+// Where each of `count` tiles goes in a width x height frame: one fills it,
+// two sit side by side, more share a grid
+export const tileLayout = (count, width, height) => {
+  const columns = count <= 2 ? count : Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  const tileWidth = (width - TILE_GAP * (columns - 1)) / columns;
+  const tileHeight = (height - TILE_GAP * (rows - 1)) / rows;
+
+  return Array.from({ length: count }, (_, index) => ({
+    x: (index % columns) * (tileWidth + TILE_GAP),
+    y: Math.floor(index / columns) * (tileHeight + TILE_GAP),
+    width: tileWidth,
+    height: tileHeight
+  }));
+};
+
+// Scale a video into a tile without cropping it
+const containRect = (video, tile) => {
+  const scale = Math.min(tile.width / video.videoWidth, tile.height / video.videoHeight);
+  const width = video.videoWidth * scale;
+  const height = video.videoHeight * scale;
+  return {
+    x: tile.x + (tile.width - width) / 2,
+    y: tile.y + (tile.height - height) / 2,
+    width,
+    height
+  };
+};
+
+// Tiles video tracks onto a canvas, producing one track (`track`) that
+// stays the same while sources come and go. Sources are tiled in the order
+// they were first added.
+export class StageCompositor {
+  constructor({ width = 1280, height = 720, frameRate = 30 } = {}) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context = this.canvas.getContext('2d');
+    // id -> { track, video }
+    this.sources = new Map();
+    [this.track] = this.canvas.captureStream(frameRate).getVideoTracks();
+    this.timer = setInterval(() => this.draw(), 1000 / frameRate);
+  }
+
+  setSource(id, track) {
+    const current = this.sources.get(id);
+    if (current && current.track === track) {
+      return;
+    }
+
+    const video = current ? current.video : document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+    video.play().catch(error => console.error('Error playing stage source:', error));
+    this.sources.set(id, { track, video });
+  }
+
+  removeSource(id) {
+    const source = this.sources.get(id);
+    if (source) {
+      source.video.srcObject = null;
+      this.sources.delete(id);
+    }
+  }
+
+  draw() {
+    const { canvas, context } = this;
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const tiles = tileLayout(this.sources.size, canvas.width, canvas.height);
+    [...this.sources.values()].forEach(({ video }, index) => {
+      if (hasVideoFrame(video)) {
+        const rect = containRect(video, tiles[index]);
+        context.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+      }
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    [...this.sources.keys()].forEach(id => this.removeSource(id));
+    this.track.stop();
+  }
+}
+
+// Mixes audio tracks with Web Audio. Besides the full mix it can produce
+// mixes without one input ("mix-minus"), so a guest hears everyone on stage
+// but not itself.
+export class AudioMixer {
+  constructor() {
+    const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextImpl();
+    this.context.resume().catch(() => {});
+    // id -> { track, source }
+    this.inputs = new Map();
+    // excluded input id, or null for the full mix -> MediaStreamAudioDestinationNode
+    this.outputs = new Map();
+  }
+
+  setInput(id, track) {
+    const current = this.inputs.get(id);
+    if (current && current.track === track) {
+      return;
+    }
+
+    this.removeInput(id);
+    const source = this.context.createMediaStreamSource(new MediaStream([track]));
+    this.inputs.set(id, { track, source });
+    this.outputs.forEach((destination, excludedId) => {
+      if (excludedId !== id) {
+        source.connect(destination);
+      }
+    });
+  }
+
+  removeInput(id) {
+    const input = this.inputs.get(id);
+    if (input) {
+      input.source.disconnect();
+      this.inputs.delete(id);
+    }
+  }
+
+  // The track mixing every input but `excludedId`
+  getOutput(excludedId = null) {
+    if (!this.outputs.has(excludedId)) {
+      const destination = this.context.createMediaStreamDestination();
+      this.inputs.forEach(({ source }, id) => {
+        if (id !== excludedId) {
+          source.connect(destination);
+        }
+      });
+      this.outputs.set(excludedId, destination);
+    }
+    return this.outputs.get(excludedId).stream.getAudioTracks()[0];
+  }
+
+  removeOutput(excludedId) {
+    const destination = this.outputs.get(excludedId);
+    if (destination) {
+      this.inputs.forEach(({ source }) => {
+        try {
+          source.disconnect(destination);
+        } catch {
+          // Wasn't connected: the excluded input
+        }
+      });
+      destination.stream.getTracks().forEach(track => track.stop());
+      this.outputs.delete(excludedId);
+    }
+  }
+
+  stop() {
+    this.inputs.forEach(({ source }) => source.disconnect());
+    this.inputs.clear();
+    this.outputs.forEach(destination => destination.stream.getTracks().forEach(track => track.stop()));
+    this.outputs.clear();
+    this.context.close().catch(() => {});
+  }
+}
+
+// On a viewer: send `media` (camera and microphone) on the transceivers the
+// broadcaster's offer opened for receiving, or with null go back to
+// receive-only. Runs between setting the offer and creating the answer.
+// With an `e2ee` session what we send is encrypted like the broadcast.
+export const attachStageMedia = (peerConnection, media, e2ee = null) => Promise.all(
+  peerConnection.getTransceivers()
+    .filter(transceiver => transceiver.direction !== 'stopped' && transceiver.receiver.track)
+    .map(async (transceiver) => {
+      const kind = transceiver.receiver.track.kind;
+      const [track] = media ? media.getTracks().filter(candidate => candidate.kind === kind) : [];
+      transceiver.direction = track ? 'sendrecv' : 'recvonly';
+      if (track && e2ee) {
+        e2ee.encryptSender(transceiver.sender);
+      }
+      await transceiver.sender.replaceTrack(track || null);
+    })
+);
+
+// On the broadcaster: open or close the receiving side of a viewer's
+// transceivers, ahead of renegotiating
+export const setStageDirection = (peerConnection, onStage) => {
+  peerConnection.getTransceivers()
+    .filter(transceiver => transceiver.direction !== 'stopped')
+    .forEach(transceiver => {
+      transceiver.direction = onStage ? 'sendrecv' : 'sendonly';
+    });
+};
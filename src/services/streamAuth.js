@@ -0,0 +1,152 @@
+// Access control for viewers joining a stream: a passcode, proven with a
+// challenge-response so it never crosses the signaling server, or signed,
+// expiring invite tokens. Verification happens in the broadcaster, which
+// refuses to send an offer to viewers that fail it.
+
+export const AccessMode = Object.freeze({
+  OPEN: 'open',
+  PASSCODE: 'passcode',
+  INVITE: 'invite'
+});
+
+// Reasons sent back to a viewer in join_rejected
+export const JoinRejectReason = Object.freeze({
+  PASSCODE_REQUIRED: 'passcode_required',
+  INVALID_PASSCODE: 'invalid_passcode',
+  TOKEN_REQUIRED: 'token_required',
+  INVALID_TOKEN: 'invalid_token',
+  EXPIRED_TOKEN: 'expired_token'
+});
+
+// Stretches the passcode, so a challenge and proof seen on the wire make a
+// slow offline guessing target even for a short passcode
+const PASSCODE_PBKDF2_ITERATIONS = 200000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const randomString = (length = 16) => toBase64Url(crypto.getRandomValues(new Uint8Array(length)));
+
+// Compare without bailing out at the first difference
+const constantTimeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+// --- Passcodes ---
+
+// A single-use challenge the viewer must fold into its passcode proof, so a
+// proof seen on the wire can't be replayed
+export const createChallenge = () => randomString();
+
+// HMAC key derived from the passcode with PBKDF2, salted with the stream ID
+const derivePasscodeKey = async ({ streamId, passcode }) => {
+  const passcodeKey = await crypto.subtle.importKey('raw', encoder.encode(passcode), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`webcam-broadcast:passcode:${streamId}`), iterations: PASSCODE_PBKDF2_ITERATIONS },
+    passcodeKey,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+};
+
+export const createPasscodeProof = async ({ streamId, passcode, challenge }) => {
+  const key = await derivePasscodeKey({ streamId, passcode });
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(challenge)));
+};
+
+export const verifyPasscodeProof = async ({ streamId, passcode, challenge, proof }) => (
+  constantTimeEqual(await createPasscodeProof({ streamId, passcode, challenge }), proof)
+);
+
+// --- Invite tokens ---
+
+// Per-stream signing key. It never leaves the broadcaster's tab, so
+// generating a new stream ID invalidates every invite issued before.
+export const generateInviteKey = () => crypto.subtle.generateKey(
+  { name: 'HMAC', hash: 'SHA-256' },
+  false,
+  ['sign', 'verify']
+);
+
+// `<payload>.<signature>`, both base64url; the payload names the stream and
+// the expiry time in ms since the epoch
+export const createInviteToken = async (key, { streamId, expiresIn }) => {
+  const payload = toBase64Url(encoder.encode(JSON.stringify({
+    sid: streamId,
+    exp: Date.now() + expiresIn,
+    nonce: randomString(8)
+  })));
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return `${payload}.${toBase64Url(signature)}`;
+};
+
+// Returns null for a valid token, otherwise a JoinRejectReason
+export const verifyInviteToken = async (key, token, streamId, now = Date.now()) => {
+  if (typeof token !== 'string' || !token) {
+    return JoinRejectReason.TOKEN_REQUIRED;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return JoinRejectReason.INVALID_TOKEN;
+  }
+
+  try {
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(payload));
+    if (!valid) {
+      return JoinRejectReason.INVALID_TOKEN;
+    }
+    const claims = JSON.parse(decoder.decode(fromBase64Url(payload)));
+    if (claims.sid !== streamId) {
+      return JoinRejectReason.INVALID_TOKEN;
+    }
+    return claims.exp > now ? null : JoinRejectReason.EXPIRED_TOKEN;
+  } catch {
+    return JoinRejectReason.INVALID_TOKEN;
+  }
+};
+
+// Check the credentials a viewer sent with viewer_joined against the
+// broadcaster's access settings. `challenge` is the one last issued to this
+// viewer, if any. Returns null when the viewer may join, otherwise a
+// JoinRejectReason.
+export const verifyViewerCredentials = async (
+  { mode, streamId, passcode, inviteKey, challenge },
+  credentials
+) => {
+  const { proof, challenge: answeredChallenge, token } = credentials ?? {};
+  switch (mode) {
+    case AccessMode.PASSCODE:
+      if (!proof || !challenge || answeredChallenge !== challenge) {
+        return JoinRejectReason.PASSCODE_REQUIRED;
+      }
+      return await verifyPasscodeProof({ streamId, passcode, challenge, proof })
+        ? null
+        : JoinRejectReason.INVALID_PASSCODE;
+    case AccessMode.INVITE:
+      return verifyInviteToken(inviteKey, token, streamId);
+    default:
+      return null;
+  }
+};
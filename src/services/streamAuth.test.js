@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  AccessMode,
+  JoinRejectReason,
+  createChallenge,
+  createInviteToken,
+  createPasscodeProof,
+  generateInviteKey,
+  verifyInviteToken,
+  verifyPasscodeProof,
+  verifyViewerCredentials
+} from './streamAuth.js';
+
+const STREAM_ID = 'stream_1';
+const PASSCODE = '1234';
+
+describe('passcode proofs', () => {
+  it('verifies a proof made with the passcode and the challenge', async () => {
+    const challenge = createChallenge();
+    const proof = await createPasscodeProof({ streamId: STREAM_ID, passcode: PASSCODE, challenge });
+
+    expect(await verifyPasscodeProof({ streamId: STREAM_ID, passcode: PASSCODE, challenge, proof })).toBe(true);
+  });
+
+  it('rejects a wrong passcode, a replayed challenge and another stream', async () => {
+    const challenge = createChallenge();
+    const proof = await createPasscodeProof({ streamId: STREAM_ID, passcode: PASSCODE, challenge });
+
+    expect(await verifyPasscodeProof({ streamId: STREAM_ID, passcode: '4321', challenge, proof })).toBe(false);
+    expect(await verifyPasscodeProof({ streamId: STREAM_ID, passcode: PASSCODE, challenge: createChallenge(), proof })).toBe(false);
+    expect(await verifyPasscodeProof({ streamId: 'stream_2', passcode: PASSCODE, challenge, proof })).toBe(false);
+  });
+
+  it('issues a different challenge each time', () => {
+    expect(createChallenge()).not.toBe(createChallenge());
+  });
+});
+
+describe('invite tokens', () => {
+  let key;
+
+  beforeAll(async () => {
+    key = await generateInviteKey();
+  });
+
+  it('accepts a token signed for the stream until it expires', async () => {
+    const token = await createInviteToken(key, { streamId: STREAM_ID, expiresIn: 60000 });
+
+    expect(await verifyInviteToken(key, token, STREAM_ID)).toBeNull();
+    expect(await verifyInviteToken(key, token, STREAM_ID, Date.now() + 60001)).toBe(JoinRejectReason.EXPIRED_TOKEN);
+  });
+
+  it('rejects tokens for another stream, from another key or tampered with', async () => {
+    const token = await createInviteToken(key, { streamId: STREAM_ID, expiresIn: 60000 });
+    const [payload, signature] = token.split('.');
+    const otherKey = await generateInviteKey();
+
+    expect(await verifyInviteToken(key, token, 'stream_2')).toBe(JoinRejectReason.INVALID_TOKEN);
+    expect(await verifyInviteToken(otherKey, token, STREAM_ID)).toBe(JoinRejectReason.INVALID_TOKEN);
+    expect(await verifyInviteToken(key, `${payload}x.${signature}`, STREAM_ID)).toBe(JoinRejectReason.INVALID_TOKEN);
+    expect(await verifyInviteToken(key, 'not-a-token', STREAM_ID)).toBe(JoinRejectReason.INVALID_TOKEN);
+  });
+
+  it('asks for a token when there is none', async () => {
+    expect(await verifyInviteToken(key, undefined, STREAM_ID)).toBe(JoinRejectReason.TOKEN_REQUIRED);
+    expect(await verifyInviteToken(key, '', STREAM_ID)).toBe(JoinRejectReason.TOKEN_REQUIRED);
+  });
+});
+
+describe('verifyViewerCredentials', () => {
+  it('lets everyone into open streams', async () => {
+    expect(await verifyViewerCredentials({ mode: AccessMode.OPEN, streamId: STREAM_ID }, undefined)).toBeNull();
+  });
+
+  it('checks the passcode proof against the challenge issued to the viewer', async () => {
+    const challenge = createChallenge();
+    const access = { mode: AccessMode.PASSCODE, streamId: STREAM_ID, passcode: PASSCODE, challenge };
+    const proof = await createPasscodeProof({ streamId: STREAM_ID, passcode: PASSCODE, challenge });
+    const wrongProof = await createPasscodeProof({ streamId: STREAM_ID, passcode: 'nope', challenge });
+
+    expect(await verifyViewerCredentials(access, { challenge, proof })).toBeNull();
+    expect(await verifyViewerCredentials(access, { challenge, proof: wrongProof })).toBe(JoinRejectReason.INVALID_PASSCODE);
+    expect(await verifyViewerCredentials(access, { challenge: 'stale', proof })).toBe(JoinRejectReason.PASSCODE_REQUIRED);
+    expect(await verifyViewerCredentials({ ...access, challenge: undefined }, { challenge, proof }))
+      .toBe(JoinRejectReason.PASSCODE_REQUIRED);
+  });
+
+  it('treats missing or null credentials as none', async () => {
+    const key = await generateInviteKey();
+
+    expect(await verifyViewerCredentials({ mode: AccessMode.PASSCODE, streamId: STREAM_ID, passcode: PASSCODE, challenge: 'c' }, null))
+      .toBe(JoinRejectReason.PASSCODE_REQUIRED);
+    expect(await verifyViewerCredentials({ mode: AccessMode.INVITE, streamId: STREAM_ID, inviteKey: key }, null))
+      .toBe(JoinRejectReason.TOKEN_REQUIRED);
+    expect(await verifyViewerCredentials({ mode: AccessMode.INVITE, streamId: STREAM_ID, inviteKey: key }, undefined))
+      .toBe(JoinRejectReason.TOKEN_REQUIRED);
+  });
+});
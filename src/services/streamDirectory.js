@@ -0,0 +1,155 @@
+import { EventEmitter } from './eventEmitter.js';
+import { computeBackoffDelay } from './signalingClient.js';
+import { getApiUrl, getDirectoryUrl, loadConfig } from './config.js';
+
+// Listing of live broadcasts for the /streams page. The backend builds it
+// from broadcaster_ready announcements (which carry the stream's metadata)
+// and the viewers on each stream's signaling socket.
+//
+// GET /api/streams/ returns { streams: [...] } and the /ws/streams/ socket
+// pushes changes:
+//   { type: 'stream_started' | 'stream_updated', stream }
+//   { type: 'stream_ended', stream_id }
+
+export const StreamVisibility = Object.freeze({
+  // Listed on the /streams page
+  PUBLIC: 'public',
+  // Only reachable through its link
+  UNLISTED: 'unlisted'
+});
+
+export const DirectoryEvent = Object.freeze({
+  STARTED: 'stream_started',
+  UPDATED: 'stream_updated',
+  ENDED: 'stream_ended'
+});
+
+export const MAX_TITLE_LENGTH = 100;
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+// Metadata a broadcaster announces, trimmed to what the listing shows
+export const cleanStreamMetadata = ({ title = '', description = '', visibility = StreamVisibility.PUBLIC }) => ({
+  title: title.trim().slice(0, MAX_TITLE_LENGTH),
+  description: description.trim().slice(0, MAX_DESCRIPTION_LENGTH),
+  visibility: Object.values(StreamVisibility).includes(visibility) ? visibility : StreamVisibility.PUBLIC
+});
+
+// The backend speaks snake_case
+export const normalizeStream = (raw) => ({
+  streamId: raw.stream_id,
+  title: raw.title || '',
+  description: raw.description || '',
+  thumbnailUrl: raw.thumbnail_url || null,
+  viewerCount: Number(raw.viewer_count) || 0,
+  startedAt: raw.started_at ? Date.parse(raw.started_at) : null,
+  visibility: raw.visibility || StreamVisibility.PUBLIC
+});
+
+export const fetchLiveStreams = async () => {
+  const response = await fetch(getApiUrl('/api/streams/'));
+  if (!response.ok) {
+    throw new Error(`Stream listing failed with ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.streams || []).map(normalizeStream);
+};
+
+// Keeps the listing current: fetched once, then patched from the socket,
+// re-fetched after every reconnect to pick up changes missed meanwhile.
+//
+// Emits:
+//   'streams' (streams) - the listing changed
+//   'live' (isLive)     - whether updates are currently arriving
+//   'error' (error)     - a fetch failed
+export class StreamDirectory extends EventEmitter {
+  constructor({ WebSocketImpl = globalThis.WebSocket } = {}) {
+    super();
+    this.WebSocketImpl = WebSocketImpl;
+    this.streams = new Map();
+    this.socket = null;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.stopped = true;
+  }
+
+  get list() {
+    return [...this.streams.values()].filter(stream => stream.visibility !== StreamVisibility.UNLISTED);
+  }
+
+  async start() {
+    this.stopped = false;
+    await loadConfig();
+    if (this.stopped) {
+      return;
+    }
+    this.refresh();
+    this.connect();
+  }
+
+  async refresh() {
+    try {
+      const streams = await fetchLiveStreams();
+      if (this.stopped) {
+        return;
+      }
+      this.streams = new Map(streams.map(stream => [stream.streamId, stream]));
+      this.emit('streams', this.list);
+    } catch (error) {
+      console.error('Error fetching live streams:', error);
+      this.emit('error', error);
+    }
+  }
+
+  connect() {
+    const socket = new this.WebSocketImpl(getDirectoryUrl());
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.emit('live', true);
+      if (this.reconnectAttempt > 0) {
+        this.reconnectAttempt = 0;
+        this.refresh();
+      }
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Ignoring invalid stream directory message:', error);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket || this.stopped) {
+        return;
+      }
+      this.emit('live', false);
+      const delay = computeBackoffDelay(this.reconnectAttempt);
+      this.reconnectAttempt += 1;
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    };
+  }
+
+  handleMessage(message) {
+    if (message.type === DirectoryEvent.STARTED || message.type === DirectoryEvent.UPDATED) {
+      const stream = normalizeStream(message.stream);
+      this.streams.set(stream.streamId, stream);
+    } else if (message.type === DirectoryEvent.ENDED) {
+      this.streams.delete(message.stream_id);
+    } else {
+      return;
+    }
+    this.emit('streams', this.list);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+}
@@ -0,0 +1,411 @@
+import { EventEmitter } from './eventEmitter.js';
+import {
+  MessageType,
+  buildAnswer,
+  buildHandRaise,
+  buildIceCandidate,
+  buildIceRestartRequest,
+  buildLayerRequest,
+  buildViewerJoined,
+  buildViewerLeft
+} from './signalingMessages.js';
+import { SignalingClient, SignalingRole } from './signalingClient.js';
+import { watchPeerConnection } from './connectionRecovery.js';
+import { RelayForwarder } from './relayForwarder.js';
+import { getIceServers, getSignalingUrl, loadConfig } from './config.js';
+import { QualityLayer } from './simulcast.js';
+import { attachStageMedia } from './stage.js';
+import { withE2ee } from './e2ee.js';
+
+export const SubscriberState = Object.freeze({
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  // Signaling is up but nobody is broadcasting
+  WAITING: 'waiting',
+  // Broadcaster found, media not flowing yet
+  NEGOTIATING: 'negotiating',
+  LIVE: 'live',
+  // Media or signaling dropped and is being recovered
+  RECOVERING: 'recovering',
+  // Given up; reconnect() starts over
+  LOST: 'lost',
+  // Access checks failed or the broadcaster removed us
+  REJECTED: 'rejected',
+  CLOSED: 'closed'
+});
+
+const createViewerId = () => `viewer_${Math.random().toString(36).substring(2, 15)}`;
+
+// The viewer side of the signaling protocol for one stream: its own viewer
+// id, signaling socket and upstream peer connection, so any number of them
+// can run side by side without seeing each other's messages. Relay
+// assignments are honoured, since the broadcaster counts on us for them.
+// What to do about access checks, the stage, chat and encryption is left to
+// the page using it: it gets the events and answers through join(),
+// raiseHand() and setStageMedia().
+//
+// Emits:
+//   'state' ({ state, detail })  - SubscriberState change, with a message
+//   'signaling-state' (state)    - SignalingState of the socket
+//   'stream' (stream)            - the received stream, or null
+//   'broadcaster-state' ({ audioMuted, videoOff, encrypted })
+//   'join-rejected' ({ reason, challenge })
+//   'kicked' ({ banned })        - after tearing down
+//   'thumbnail' (image)          - a poster frame as a data URL
+//   'stage-update' ({ onStage }) - ahead of the offer that applies it
+//   'datachannel' (channel)      - a data channel the broadcaster opened
+//   'relay-children' (count)
+export class StreamSubscriber extends EventEmitter {
+  constructor({ streamId, viewerId = createViewerId(), credentials = null, layer = QualityLayer.AUTO, e2ee = null }) {
+    super();
+    this.streamId = streamId;
+    this.viewerId = viewerId;
+    this.credentials = credentials;
+    this.layer = layer;
+    // Decrypts what we receive and encrypts what we relay or send on stage
+    this.e2ee = e2ee;
+    this.stageMedia = null;
+    this.state = SubscriberState.IDLE;
+    this.detail = '';
+    this.signaling = null;
+    this.peerConnection = null;
+    this.forwarder = null;
+    this.broadcasterId = null;
+    this.stream = null;
+    this.stopWatching = null;
+    // Bumped by every connect(), so a superseded one stops where it is
+    this.attempt = 0;
+  }
+
+  setState(state, detail = '') {
+    if (this.state !== state || this.detail !== detail) {
+      this.state = state;
+      this.detail = detail;
+      this.emit('state', { state, detail });
+    }
+  }
+
+  get isLive() {
+    return Boolean(this.peerConnection) && this.peerConnection.connectionState === 'connected';
+  }
+
+  async connect() {
+    this.attempt += 1;
+    const attempt = this.attempt;
+    this.setState(SubscriberState.CONNECTING, 'Connecting to stream...');
+
+    try {
+      await loadConfig();
+      this.iceServers = await getIceServers();
+      if (attempt !== this.attempt || this.state === SubscriberState.CLOSED) {
+        return;
+      }
+
+      this.createPeerConnection();
+
+      const signaling = new SignalingClient({
+        url: getSignalingUrl(this.streamId),
+        role: SignalingRole.VIEWER,
+        peerId: this.viewerId,
+        // Announce presence as viewer on every (re)connect
+        announce: ({ resumed }) => buildViewerJoined({
+          viewerId: this.viewerId,
+          resume: resumed,
+          credentials: this.credentials
+        })
+      });
+      this.signaling = signaling;
+
+      this.forwarder = new RelayForwarder({ signaling, peerId: this.viewerId, getIceServers, e2ee: this.e2ee });
+      this.forwarder.on('children', (childIds) => this.emit('relay-children', childIds.length));
+
+      this.listen(signaling);
+      await signaling.connect();
+    } catch (error) {
+      console.error(`Error connecting to stream ${this.streamId}:`, error);
+      if (attempt === this.attempt && this.state !== SubscriberState.CLOSED) {
+        this.teardown();
+        this.setState(SubscriberState.LOST, `Error: ${error.message}`);
+      }
+    }
+  }
+
+  listen(signaling) {
+    signaling.on('state', (state) => this.emit('signaling-state', state));
+
+    signaling.on('open', ({ resumed }) => {
+      if (resumed && this.isLive) {
+        this.setState(SubscriberState.LIVE, 'Connected to broadcast');
+      } else {
+        this.setState(SubscriberState.WAITING, 'Waiting for the broadcast...');
+      }
+    });
+
+    // The video keeps playing over the established peer connection while
+    // signaling reconnects in the background
+    signaling.on('reconnecting', ({ attempt }) => {
+      this.setState(
+        this.isLive ? SubscriberState.LIVE : SubscriberState.RECOVERING,
+        `Lost connection to the server, reconnecting (attempt ${attempt})...`
+      );
+    });
+
+    // Only fires once reconnecting has been given up
+    signaling.on('close', () => {
+      if (this.state !== SubscriberState.CLOSED && this.state !== SubscriberState.REJECTED) {
+        this.setState(SubscriberState.LOST, 'Connection to the server closed');
+      }
+    });
+
+    signaling.on('error', (error) => {
+      console.error(`Signaling error on stream ${this.streamId}:`, error);
+    });
+
+    signaling.on(MessageType.BROADCASTER_READY, (message) => {
+      // A broadcaster resuming after its own outage keeps our connection
+      if (message.resume && this.isLive) {
+        return;
+      }
+      this.setState(SubscriberState.NEGOTIATING, 'Broadcaster found, connecting...');
+
+      // A broadcaster going live never saw the viewer_joined we sent while
+      // waiting for it, e.g. in a scheduled broadcast's lobby
+      if (!message.resume && !this.isLive) {
+        signaling.send(buildViewerJoined({ viewerId: this.viewerId, credentials: this.credentials }));
+      }
+    });
+
+    signaling.on(MessageType.BROADCASTER_STATE, (message) => {
+      this.emit('broadcaster-state', {
+        audioMuted: message.audioMuted,
+        videoOff: message.videoOff,
+        encrypted: Boolean(message.encrypted)
+      });
+    });
+
+    // Signaling stays up, so the page can answer with credentials
+    signaling.on(MessageType.JOIN_REJECTED, (message) => {
+      this.setState(SubscriberState.REJECTED, message.challenge ? 'Passcode required' : 'Access denied');
+      this.emit('join-rejected', { reason: message.reason, challenge: message.challenge || null });
+    });
+
+    signaling.on(MessageType.KICK_VIEWER, (message) => {
+      this.reject(message.banned
+        ? 'You have been banned from this stream'
+        : 'You were removed from the stream by the broadcaster');
+      this.emit('kicked', { banned: Boolean(message.banned) });
+    });
+
+    signaling.on(MessageType.OFFER, (message) => this.handleOffer(message));
+
+    signaling.on(MessageType.ICE_CANDIDATE, async (message) => {
+      // Candidates from a viewer we relay to
+      if (message.broadcasterId === this.viewerId) {
+        this.forwarder.addIceCandidate(message);
+        return;
+      }
+      try {
+        await this.peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
+      } catch (error) {
+        console.error('Error adding received ice candidate', error);
+      }
+    });
+
+    signaling.on(MessageType.THUMBNAIL, (message) => this.emit('thumbnail', message.image));
+    signaling.on(MessageType.STAGE_UPDATE, (message) => this.emit('stage-update', { onStage: message.onStage }));
+    signaling.on(MessageType.E2EE_KEY, (message) => {
+      if (this.e2ee) {
+        this.e2ee.addStreamKey({ keyIndex: message.keyIndex, key: message.key });
+      }
+    });
+
+    signaling.on(MessageType.RELAY_ASSIGN, (message) => {
+      console.log(`Relaying the stream to ${message.childId}`);
+      this.forwarder.addChild(message.childId);
+    });
+    signaling.on(MessageType.RELAY_DETACH, (message) => this.forwarder.removeChild(message.childId));
+    signaling.on(MessageType.ICE_RESTART_REQUEST, (message) => this.forwarder.restartIce(message.viewerId));
+    signaling.on(MessageType.LAYER_REQUEST, (message) => this.forwarder.setChildLayer(message.viewerId, message.layer));
+  }
+
+  async handleOffer(message) {
+    try {
+      if (this.state !== SubscriberState.LIVE) {
+        this.setState(SubscriberState.NEGOTIATING, 'Received offer from broadcaster, establishing connection...');
+      }
+
+      // Re-parented in relay mode: the offer comes from a new upstream
+      // peer, which needs a connection of its own
+      if (this.broadcasterId && message.broadcasterId !== this.broadcasterId) {
+        this.createPeerConnection();
+      }
+      this.broadcasterId = message.broadcasterId;
+
+      const peerConnection = this.peerConnection;
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(message.offer));
+      // On stage our camera and microphone go out with the answer
+      await attachStageMedia(peerConnection, this.stageMedia, this.e2ee);
+      const answer = await peerConnection.createAnswer();
+      await peerConnection.setLocalDescription(answer);
+
+      this.signaling.send(buildAnswer({
+        answer,
+        broadcasterId: message.broadcasterId,
+        viewerId: this.viewerId,
+        requestId: message.requestId
+      }));
+      // A new upstream peer doesn't know our layer yet
+      this.sendLayer();
+    } catch (error) {
+      console.error(`Error handling offer for stream ${this.streamId}:`, error);
+    }
+  }
+
+  // Replaces any previous upstream connection
+  createPeerConnection() {
+    const previous = this.peerConnection;
+    if (this.stopWatching) {
+      this.stopWatching();
+    }
+
+    const peerConnection = new RTCPeerConnection(withE2ee({ iceServers: this.iceServers }, this.e2ee));
+    this.peerConnection = peerConnection;
+
+    peerConnection.onicecandidate = (event) => {
+      if (event.candidate && this.signaling) {
+        this.signaling.send(buildIceCandidate({
+          candidate: event.candidate,
+          broadcasterId: this.broadcasterId,
+          viewerId: this.viewerId
+        }));
+      }
+    };
+
+    peerConnection.ontrack = (event) => {
+      if (this.e2ee) {
+        this.e2ee.decryptReceiver(event.receiver);
+      }
+      const [stream] = event.streams;
+      if (stream && stream !== this.stream) {
+        this.stream = stream;
+        this.forwarder.setStream(stream);
+        this.emit('stream', stream);
+      }
+    };
+
+    // The broadcaster opens the chat channel alongside the media
+    peerConnection.ondatachannel = (event) => this.emit('datachannel', event.channel);
+
+    peerConnection.onconnectionstatechange = () => {
+      if (peerConnection !== this.peerConnection) {
+        return;
+      }
+      if (peerConnection.connectionState === 'connected') {
+        this.setState(SubscriberState.LIVE, 'Connected to broadcast');
+      } else if (peerConnection.connectionState === 'disconnected' || peerConnection.connectionState === 'failed') {
+        this.setState(SubscriberState.RECOVERING, 'Connection interrupted, trying to recover...');
+      }
+    };
+
+    // Ask the broadcaster for ICE restarts while the connection is down
+    this.stopWatching = watchPeerConnection(peerConnection, {
+      onRestart: (attempt) => {
+        if (this.signaling && this.broadcasterId) {
+          console.log(`Requesting ICE restart for stream ${this.streamId} (attempt ${attempt})`);
+          this.signaling.send(buildIceRestartRequest({ viewerId: this.viewerId, broadcasterId: this.broadcasterId }));
+        }
+      },
+      onGiveUp: () => this.setState(SubscriberState.LOST, 'Connection lost')
+    });
+
+    if (previous) {
+      previous.close();
+    }
+  }
+
+  // Announce ourselves again with new credentials, e.g. a passcode proof
+  join(credentials) {
+    this.credentials = credentials;
+    if (this.signaling) {
+      this.setState(SubscriberState.NEGOTIATING, 'Checking access...');
+      this.signaling.send(buildViewerJoined({ viewerId: this.viewerId, credentials }));
+    }
+  }
+
+  // Ask whoever sends us video for a quality layer
+  setLayer(layer) {
+    this.layer = layer;
+    this.sendLayer();
+  }
+
+  sendLayer() {
+    if (this.signaling && this.broadcasterId) {
+      this.signaling.send(buildLayerRequest({
+        viewerId: this.viewerId,
+        broadcasterId: this.broadcasterId,
+        layer: this.layer
+      }));
+    }
+  }
+
+  raiseHand(raised) {
+    if (this.signaling) {
+      this.signaling.send(buildHandRaise({ viewerId: this.viewerId, raised }));
+    }
+  }
+
+  // What we send once on stage; applied with the next offer
+  setStageMedia(media) {
+    this.stageMedia = media;
+  }
+
+  // Give up on the stream for a reason the page decided on
+  reject(detail) {
+    this.teardown();
+    this.setState(SubscriberState.REJECTED, detail);
+  }
+
+  teardown() {
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+    if (this.peerConnection) {
+      this.peerConnection.close();
+      this.peerConnection = null;
+    }
+    if (this.signaling) {
+      this.signaling.send(buildViewerLeft({ viewerId: this.viewerId }));
+      this.signaling.removeAllListeners();
+      this.signaling.close();
+      this.signaling = null;
+    }
+    // Viewers we relayed to get re-parented by the broadcaster
+    if (this.forwarder) {
+      this.forwarder.close();
+      this.forwarder.removeAllListeners();
+      this.forwarder = null;
+      this.emit('relay-children', 0);
+    }
+    this.broadcasterId = null;
+    this.stageMedia = null;
+    if (this.stream) {
+      this.stream = null;
+      this.emit('stream', null);
+    }
+  }
+
+  // Start over with fresh connections, under a new viewer id so the
+  // broadcaster doesn't mistake us for a resume
+  reconnect() {
+    this.teardown();
+    this.viewerId = createViewerId();
+    return this.connect();
+  }
+
+  close() {
+    this.teardown();
+    this.setState(SubscriberState.CLOSED);
+    this.removeAllListeners();
+  }
+}
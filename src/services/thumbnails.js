@@ -0,0 +1,109 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// Poster frames of a live stream, for viewers waiting on the stream and
+// for the stream listing
+
+export const DEFAULT_THUMBNAIL_OPTIONS = Object.freeze({
+  // Capture this often while live
+  interval: 10000,
+  maxWidth: 320,
+  quality: 0.7
+});
+
+// Delay before the first capture, so the video has frames to draw
+const FIRST_CAPTURE_DELAY_MS = 1000;
+
+const toBlob = (canvas, type, quality) => new Promise((resolve) => {
+  canvas.toBlob(resolve, type, quality);
+});
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+export const hasVideoFrame = (video) => Boolean(video) && video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0;
+
+// Draw the current frame of a <video>, scaled down to `maxWidth`, and
+// compress it as WebP, or JPEG where the browser can't encode WebP.
+// Resolves to { blob, dataUrl, width, height, capturedAt }.
+export const captureFrame = async (video, { maxWidth, quality } = DEFAULT_THUMBNAIL_OPTIONS) => {
+  const scale = Math.min(1, maxWidth / video.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  let blob = await toBlob(canvas, 'image/webp', quality);
+  // Unsupported types silently fall back to PNG, which is far larger
+  if (!blob || blob.type !== 'image/webp') {
+    blob = await toBlob(canvas, 'image/jpeg', quality);
+  }
+  if (!blob) {
+    throw new Error('Could not encode the video frame');
+  }
+
+  return {
+    blob,
+    dataUrl: await blobToDataUrl(blob),
+    width: canvas.width,
+    height: canvas.height,
+    capturedAt: Date.now()
+  };
+};
+
+export const uploadThumbnail = async (url, blob) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type },
+    body: blob
+  });
+  if (!response.ok) {
+    throw new Error(`Thumbnail upload failed with ${response.status}`);
+  }
+};
+
+// Captures a frame from a playing <video> every `interval` ms.
+//
+// Emits:
+//   'thumbnail' ({ blob, dataUrl, width, height, capturedAt })
+export class ThumbnailCapturer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_THUMBNAIL_OPTIONS, ...options };
+    this.video = null;
+    this.timers = [];
+  }
+
+  start(video) {
+    this.stop();
+    this.video = video;
+    this.timers = [
+      setTimeout(() => this.capture(), FIRST_CAPTURE_DELAY_MS),
+      setInterval(() => this.capture(), this.options.interval)
+    ];
+  }
+
+  async capture() {
+    if (!hasVideoFrame(this.video)) {
+      return;
+    }
+
+    try {
+      this.emit('thumbnail', await captureFrame(this.video, this.options));
+    } catch (error) {
+      console.error('Error capturing thumbnail:', error);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    this.timers = [];
+    this.video = null;
+  }
+}
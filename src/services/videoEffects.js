@@ -0,0 +1,283 @@
+import { hasVideoFrame } from './thumbnails.js';
+
+// Effects drawn onto the camera track before it is sent: background blur,
+// a watermark, a lower-third title and a timestamp
+
+export const DEFAULT_EFFECTS = Object.freeze({
+  blur: false,
+  timestamp: false,
+  watermarkText: '',
+  // ImageBitmap shown in the corner with the watermark, see loadLogo()
+  logo: null,
+  lowerThirdTitle: '',
+  lowerThirdSubtitle: ''
+});
+
+// The background is blurred by drawing the frame this many times smaller
+// and scaling it back up
+const BLUR_DOWNSCALE = 12;
+const LOWER_THIRD_ACCENT = '#2196f3';
+
+export const hasActiveEffects = (effects) => Boolean(
+  effects.blur ||
+  effects.timestamp ||
+  effects.logo ||
+  effects.watermarkText.trim() ||
+  effects.lowerThirdTitle.trim() ||
+  effects.lowerThirdSubtitle.trim()
+);
+
+export const loadLogo = (file) => createImageBitmap(file);
+
+// Insertable streams hand over every camera frame as it arrives. Without
+// them frames are pulled from a <video> on a timer, which browsers throttle
+// in background tabs.
+export const isInsertableStreamsSupported = () => (
+  typeof MediaStreamTrackProcessor !== 'undefined' &&
+  typeof MediaStreamTrackGenerator !== 'undefined' &&
+  typeof VideoFrame !== 'undefined'
+);
+
+const createCanvas = () => {
+  const canvas = document.createElement('canvas');
+  return { canvas, context: canvas.getContext('2d') };
+};
+
+const resize = (canvas, width, height) => {
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+};
+
+// Draws effects onto a video track, producing a new track (`track`) that
+// stays the same while the input or the effects change. The input track is
+// cloned, so stopping the pipeline leaves it running.
+export class VideoEffectsPipeline {
+  constructor({ frameRate = 30 } = {}) {
+    this.frameRate = frameRate;
+    this.effects = DEFAULT_EFFECTS;
+    this.input = null;
+    this.stopped = false;
+    this.output = createCanvas();
+    this.blurred = createCanvas();
+    this.subject = createCanvas();
+
+    if (isInsertableStreamsSupported()) {
+      this.generator = new MediaStreamTrackGenerator({ kind: 'video' });
+      this.writer = this.generator.writable.getWriter();
+      this.track = this.generator;
+    } else {
+      this.video = document.createElement('video');
+      this.video.muted = true;
+      this.video.playsInline = true;
+      [this.track] = this.output.canvas.captureStream(frameRate).getVideoTracks();
+    }
+  }
+
+  start(track, effects = this.effects) {
+    this.effects = effects;
+    this.setInput(track);
+    return this.track;
+  }
+
+  setEffects(effects) {
+    this.effects = effects;
+  }
+
+  // Switch to another source, e.g. a different camera, without changing
+  // the output track
+  setInput(track) {
+    this.releaseInput();
+    this.input = track.clone();
+
+    if (this.generator) {
+      this.readFrames(this.input);
+    } else {
+      this.video.srcObject = new MediaStream([this.input]);
+      this.video.play().catch(error => console.error('Error playing effects source:', error));
+      this.timer = setInterval(() => {
+        if (hasVideoFrame(this.video)) {
+          this.render(this.video, this.video.videoWidth, this.video.videoHeight);
+        }
+      }, 1000 / this.frameRate);
+    }
+  }
+
+  async readFrames(input) {
+    const reader = new MediaStreamTrackProcessor({ track: input }).readable.getReader();
+    this.reader = reader;
+
+    for (;;) {
+      const { value: frame, done } = await reader.read();
+      if (done) {
+        return;
+      }
+
+      try {
+        if (this.stopped || this.reader !== reader) {
+          continue;
+        }
+        this.render(frame, frame.displayWidth, frame.displayHeight);
+        await this.writer.write(new VideoFrame(this.output.canvas, { timestamp: frame.timestamp }));
+      } catch (error) {
+        console.error('Error processing video frame:', error);
+      } finally {
+        frame.close();
+      }
+    }
+  }
+
+  render(source, width, height) {
+    const { canvas, context } = this.output;
+    resize(canvas, width, height);
+
+    if (this.effects.blur) {
+      this.drawBlurred(source, width, height);
+    } else {
+      context.drawImage(source, 0, 0, width, height);
+    }
+
+    if (this.effects.timestamp) {
+      this.drawTimestamp(width, height);
+    }
+    if (this.effects.logo || this.effects.watermarkText.trim()) {
+      this.drawWatermark(width, height);
+    }
+    if (this.effects.lowerThirdTitle.trim() || this.effects.lowerThirdSubtitle.trim()) {
+      this.drawLowerThird(width, height);
+    }
+  }
+
+  // Without a segmentation model there's no telling the person from the
+  // background, so keep the middle of the frame sharp and blur outwards
+  drawBlurred(source, width, height) {
+    const { context } = this.output;
+
+    const small = this.blurred;
+    resize(small.canvas, Math.max(1, Math.round(width / BLUR_DOWNSCALE)), Math.max(1, Math.round(height / BLUR_DOWNSCALE)));
+    small.context.drawImage(source, 0, 0, small.canvas.width, small.canvas.height);
+    context.imageSmoothingEnabled = true;
+    context.drawImage(small.canvas, 0, 0, width, height);
+
+    const subject = this.subject;
+    resize(subject.canvas, width, height);
+    subject.context.globalCompositeOperation = 'source-over';
+    subject.context.drawImage(source, 0, 0, width, height);
+
+    const radius = Math.min(width, height);
+    const mask = subject.context.createRadialGradient(width / 2, height * 0.55, radius * 0.3, width / 2, height * 0.55, radius * 0.65);
+    mask.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    mask.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    subject.context.globalCompositeOperation = 'destination-in';
+    subject.context.fillStyle = mask;
+    subject.context.fillRect(0, 0, width, height);
+
+    context.drawImage(subject.canvas, 0, 0);
+  }
+
+  drawTimestamp(width, height) {
+    const { context } = this.output;
+    const unit = height / 24;
+    const text = new Date().toLocaleTimeString();
+
+    context.font = `${Math.round(unit)}px Arial, sans-serif`;
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(unit / 2, unit / 2, context.measureText(text).width + unit, unit * 1.6);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, unit, unit * 0.8);
+  }
+
+  // Logo and text in the top right corner, partly see-through
+  drawWatermark(width, height) {
+    const { context } = this.output;
+    const { logo } = this.effects;
+    const text = this.effects.watermarkText.trim();
+    const unit = height / 24;
+    let top = unit / 2;
+
+    context.save();
+    context.globalAlpha = 0.7;
+
+    if (logo) {
+      const logoHeight = height / 8;
+      const logoWidth = logoHeight * (logo.width / logo.height);
+      context.drawImage(logo, width - logoWidth - unit / 2, top, logoWidth, logoHeight);
+      top += logoHeight + unit / 4;
+    }
+
+    if (text) {
+      context.font = `bold ${Math.round(unit)}px Arial, sans-serif`;
+      context.textAlign = 'right';
+      context.textBaseline = 'top';
+      context.fillStyle = '#ffffff';
+      context.shadowColor = 'rgba(0, 0, 0, 0.8)';
+      context.shadowBlur = unit / 4;
+      context.fillText(text, width - unit / 2, top);
+    }
+
+    context.restore();
+  }
+
+  drawLowerThird(width, height) {
+    const { context } = this.output;
+    const title = this.effects.lowerThirdTitle.trim();
+    const subtitle = this.effects.lowerThirdSubtitle.trim();
+    const unit = height / 24;
+    const titleFont = `bold ${Math.round(unit * 1.3)}px Arial, sans-serif`;
+    const subtitleFont = `${Math.round(unit * 0.9)}px Arial, sans-serif`;
+
+    context.font = titleFont;
+    const titleWidth = context.measureText(title).width;
+    context.font = subtitleFont;
+    const subtitleWidth = context.measureText(subtitle).width;
+
+    const boxHeight = unit * (title && subtitle ? 3.4 : 2.2);
+    const boxWidth = Math.min(width - unit * 2, Math.max(titleWidth, subtitleWidth) + unit * 2);
+    const left = unit;
+    const top = height - boxHeight - unit * 1.5;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    context.fillRect(left, top, boxWidth, boxHeight);
+    context.fillStyle = LOWER_THIRD_ACCENT;
+    context.fillRect(left, top, unit / 3, boxHeight);
+
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#ffffff';
+    let line = top + unit * 0.5;
+    if (title) {
+      context.font = titleFont;
+      context.fillText(title, left + unit, line, boxWidth - unit * 1.5);
+      line += unit * 1.6;
+    }
+    if (subtitle) {
+      context.font = subtitleFont;
+      context.fillStyle = '#dddddd';
+      context.fillText(subtitle, left + unit, line, boxWidth - unit * 1.5);
+    }
+  }
+
+  releaseInput() {
+    clearInterval(this.timer);
+    if (this.reader) {
+      this.reader.cancel().catch(() => {});
+      this.reader = null;
+    }
+    if (this.input) {
+      this.input.stop();
+      this.input = null;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    this.releaseInput();
+    if (this.video) {
+      this.video.srcObject = null;
+    }
+    this.track.stop();
+  }
+}
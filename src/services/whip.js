@@ -0,0 +1,156 @@
+// WHIP (publishing) and WHEP (playback) clients. Both are the same HTTP
+// exchange: POST an SDP offer to the endpoint, get the answer back along
+// with a session resource URL, DELETE that URL to hang up.
+//
+// Candidates are gathered up front and sent inside the offer rather than
+// trickled, which every WHIP/WHEP server accepts.
+
+export const StreamTransport = Object.freeze({
+  // Peer-to-peer through our own signaling server
+  P2P: 'p2p',
+  // Broadcaster publishes over WHIP, viewers play over WHEP
+  WHIP: 'whip'
+});
+
+// Query parameter telling the viewer to play over WHEP
+export const WHEP_TRANSPORT_PARAM = 'whep';
+
+// Link relation of the WHEP layer extension: POSTing { encodingId } to its
+// URL picks the simulcast layer the server forwards
+export const WHEP_LAYER_REL = 'urn:ietf:params:whep:ext:core:layer';
+
+// Don't hold the offer forever if some candidate never finishes gathering
+const ICE_GATHERING_TIMEOUT_MS = 3000;
+
+export class WhipError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'WhipError';
+    this.status = status;
+  }
+}
+
+const waitForIceGathering = (peerConnection, timeout) => new Promise((resolve) => {
+  if (peerConnection.iceGatheringState === 'complete') {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    clearTimeout(timer);
+    peerConnection.removeEventListener('icegatheringstatechange', onStateChange);
+    resolve();
+  };
+  const onStateChange = () => {
+    if (peerConnection.iceGatheringState === 'complete') {
+      done();
+    }
+  };
+  const timer = setTimeout(done, timeout);
+  peerConnection.addEventListener('icegatheringstatechange', onStateChange);
+});
+
+// The target of the first link in a Link header with relation `rel`
+export const findLink = (header, rel) => {
+  if (!header) {
+    return null;
+  }
+  for (const link of header.split(/,(?=\s*<)/)) {
+    const match = link.match(/^\s*<([^>]*)>(.*)$/);
+    const rels = match && match[2].match(/;\s*rel="?([^";]+)"?/);
+    if (rels && rels[1].split(/\s+/).includes(rel)) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+// One WHIP or WHEP session. `fetchImpl` can be swapped out, e.g. in tests.
+export class WhipSession {
+  constructor({ endpoint, token = null, fetchImpl = (...args) => globalThis.fetch(...args) }) {
+    if (!endpoint) {
+      throw new WhipError('No WHIP/WHEP endpoint configured');
+    }
+    this.endpoint = endpoint;
+    this.token = token;
+    this.fetch = fetchImpl;
+    this.resourceUrl = null;
+    this.layerUrl = null;
+  }
+
+  // Whether the server lets a WHEP viewer pick its simulcast layer
+  get supportsLayers() {
+    return this.layerUrl !== null;
+  }
+
+  headers(extra = {}) {
+    return {
+      ...extra,
+      ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+    };
+  }
+
+  // Offer the peer connection's transceivers to the server and apply its
+  // answer. Add tracks (WHIP) or recvonly transceivers (WHEP) first.
+  async negotiate(peerConnection, { gatheringTimeout = ICE_GATHERING_TIMEOUT_MS } = {}) {
+    const offer = await peerConnection.createOffer();
+    await peerConnection.setLocalDescription(offer);
+    await waitForIceGathering(peerConnection, gatheringTimeout);
+
+    const response = await this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.headers({ 'Content-Type': 'application/sdp' }),
+      body: peerConnection.localDescription.sdp
+    });
+
+    if (response.status !== 201 && response.status !== 200) {
+      throw new WhipError(`Server refused the session (${response.status})`, response.status);
+    }
+
+    const location = response.headers.get('Location');
+    this.resourceUrl = location ? new URL(location, this.endpoint).toString() : null;
+    const layerLink = findLink(response.headers.get('Link'), WHEP_LAYER_REL);
+    this.layerUrl = layerLink ? new URL(layerLink, this.resourceUrl || this.endpoint).toString() : null;
+
+    const answer = await response.text();
+    if (peerConnection.signalingState !== 'closed') {
+      await peerConnection.setRemoteDescription({ type: 'answer', sdp: answer });
+    }
+    return this.resourceUrl;
+  }
+
+  // Ask the server to forward the simulcast layer with rid `encodingId`.
+  // Resolves false when it doesn't support the layer extension.
+  async selectLayer(encodingId) {
+    if (!this.layerUrl) {
+      return false;
+    }
+
+    const response = await this.fetch(this.layerUrl, {
+      method: 'POST',
+      headers: this.headers({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ encodingId })
+    });
+    if (!response.ok) {
+      throw new WhipError(`Server refused the layer ${encodingId} (${response.status})`, response.status);
+    }
+    return true;
+  }
+
+  // Tear the session down on the server; failures are only logged since
+  // the server times sessions out anyway
+  async close() {
+    const resourceUrl = this.resourceUrl;
+    this.resourceUrl = null;
+    this.layerUrl = null;
+    if (!resourceUrl) {
+      return;
+    }
+
+    try {
+      await this.fetch(resourceUrl, { method: 'DELETE', headers: this.headers() });
+    } catch (error) {
+      console.error('Error ending WHIP/WHEP session:', error);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { WHEP_LAYER_REL, WhipError, WhipSession, findLink } from './whip.js';
+
+const ENDPOINT = 'https://media.example.com/whep/stream_1';
+
+const fakePeerConnection = () => ({
+  signalingState: 'stable',
+  iceGatheringState: 'complete',
+  localDescription: null,
+  createOffer: async () => ({ type: 'offer', sdp: 'v=0 offer' }),
+  async setLocalDescription(description) {
+    this.localDescription = description;
+  },
+  setRemoteDescription: vi.fn(async () => {})
+});
+
+const answerWith = (headers) => new Response('v=0 answer', { status: 201, headers });
+
+describe('findLink', () => {
+  it('finds the link with the relation among several', () => {
+    const header = '<stun:stun.example.net>; rel="ice-server", </sessions/1/layer>; rel="' + WHEP_LAYER_REL + '"';
+    expect(findLink(header, WHEP_LAYER_REL)).toBe('/sessions/1/layer');
+    expect(findLink(header, 'ice-server')).toBe('stun:stun.example.net');
+  });
+
+  it('returns null without a matching link', () => {
+    expect(findLink(null, WHEP_LAYER_REL)).toBeNull();
+    expect(findLink('<stun:stun.example.net>; rel="ice-server"', WHEP_LAYER_REL)).toBeNull();
+  });
+});
+
+describe('WhipSession layers', () => {
+  it('resolves the layer URL the server links to and posts the encoding to it', async () => {
+    const fetchImpl = vi.fn()
+      .mockResolvedValueOnce(answerWith({
+        Location: '/sessions/1',
+        Link: `</sessions/1/layer>; rel="${WHEP_LAYER_REL}"`
+      }))
+      .mockResolvedValueOnce(new Response(null, { status: 200 }));
+    const session = new WhipSession({ endpoint: ENDPOINT, token: 'secret', fetchImpl });
+
+    await session.negotiate(fakePeerConnection());
+    expect(session.supportsLayers).toBe(true);
+
+    await expect(session.selectLayer('low')).resolves.toBe(true);
+    const [url, init] = fetchImpl.mock.calls[1];
+    expect(url).toBe('https://media.example.com/sessions/1/layer');
+    expect(init.method).toBe('POST');
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(JSON.parse(init.body)).toEqual({ encodingId: 'low' });
+  });
+
+  it('resolves false when the server has no layer extension', async () => {
+    const fetchImpl = vi.fn().mockResolvedValueOnce(answerWith({ Location: '/sessions/1' }));
+    const session = new WhipSession({ endpoint: ENDPOINT, fetchImpl });
+
+    await session.negotiate(fakePeerConnection());
+    expect(session.supportsLayers).toBe(false);
+    await expect(session.selectLayer('low')).resolves.toBe(false);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects with the status when the server refuses the layer', async () => {
+    const fetchImpl = vi.fn()
+      .mockResolvedValueOnce(answerWith({ Link: `<https://media.example.com/layer/1>; rel="${WHEP_LAYER_REL}"` }))
+      .mockResolvedValueOnce(new Response('no such layer', { status: 400 }));
+    const session = new WhipSession({ endpoint: ENDPOINT, fetchImpl });
+
+    await session.negotiate(fakePeerConnection());
+    const error = await session.selectLayer('ultra').catch(rejection => rejection);
+    expect(error).toBeInstanceOf(WhipError);
+    expect(error.status).toBe(400);
+  });
+});
@@ -0,0 +1,81 @@
+// In-memory stand-in for the signaling server. Hand `server.WebSocket` to a
+// SignalingClient as its WebSocketImpl, then drive the sockets it opens:
+// accept or refuse them, drop them, and deliver messages to them. Whatever
+// the clients send is collected in `received`.
+export class MockSignalingServer {
+  constructor() {
+    this.sockets = [];
+    this.received = [];
+
+    const server = this;
+    class MockWebSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        server.sockets.push(this);
+      }
+
+      send(data) {
+        if (this.readyState !== MockWebSocket.OPEN) {
+          throw new Error('MockWebSocket is not open');
+        }
+        server.received.push(JSON.parse(data));
+      }
+
+      close(code = 1000, reason = '') {
+        server.closeSocket(this, { code, reason, wasClean: true });
+      }
+    }
+    // The readyState constants WebSocket has
+    Object.assign(MockWebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+    this.WebSocket = MockWebSocket;
+  }
+
+  get lastSocket() {
+    return this.sockets[this.sockets.length - 1];
+  }
+
+  accept(socket = this.lastSocket) {
+    socket.readyState = this.WebSocket.OPEN;
+    if (socket.onopen) {
+      socket.onopen();
+    }
+  }
+
+  // Fail a connection attempt before it opens: browsers report an error,
+  // then the close
+  refuse(socket = this.lastSocket) {
+    if (socket.onerror) {
+      socket.onerror(new Error('Connection refused'));
+    }
+    this.closeSocket(socket, { code: 1006, reason: '', wasClean: false });
+  }
+
+  // Lose an open connection, as a server restart would
+  drop(socket = this.lastSocket) {
+    this.closeSocket(socket, { code: 1006, reason: '', wasClean: false });
+  }
+
+  closeSocket(socket, event) {
+    if (socket.readyState === this.WebSocket.CLOSED) {
+      return;
+    }
+    socket.readyState = this.WebSocket.CLOSED;
+    if (socket.onclose) {
+      socket.onclose(event);
+    }
+  }
+
+  // Objects are sent as JSON, strings as they are
+  deliver(message, socket = this.lastSocket) {
+    socket.onmessage({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+  }
+
+  receivedOfType(type) {
+    return this.received.filter(message => message.type === type);
+  }
+}